@@ -0,0 +1,182 @@
+/**
+ * Environment Profiles - where the suite runs and how patient it is
+ *
+ * One profile per target environment, selected with TEST_ENV:
+ *
+ *   npm test                      # local (default) - the stand-ins in servers/
+ *   TEST_ENV=staging npm test     # URLs and password from STAGING_* variables
+ *   TEST_ENV=prod-like npm test   # the public demo sites
+ *
+ * A profile holds the base URLs of both demo sites, the persona credentials,
+ * timeouts, the retry policy and the network mode (see support/network.js).
+ * playwright.config.js, global-setup.js, fixtures and page objects all read
+ * the selected profile from here.
+ *
+ * Variables can also come from a .env file (see .env.example). BASE_URL and
+ * INTERNET_URL still override the URLs of whichever profile is selected.
+ *
+ * The profile is validated when this module is loaded, so a missing value
+ * stops the run before any browser starts.
+ */
+
+require('dotenv').config({ quiet: true });
+
+const { PERSONAS } = require('./personas');
+const { MODES: NETWORK_MODES } = require('../support/network');
+
+const SAUCE_DEMO_PORT = Number(process.env.SAUCE_DEMO_PORT || 3100);
+const INTERNET_PORT = Number(process.env.INTERNET_PORT || 3200);
+
+/* Users the login page accepts but that are not personas (they never get a session) */
+const EXTRA_USERS = ['locked_out_user'];
+
+const DEFAULT_TIMEOUTS = {
+  test: 30000,       // whole test
+  expect: 5000,      // web-first assertions
+  action: 0,         // click/fill (0 = bounded by the test timeout)
+  navigation: 0,     // page.goto and friends
+  element: 5000,     // BasePage.waitForElement default
+  pageLoad: 10000,   // a page object's "wait for page to load"
+  login: 10000,      // LoginPage: submit until products page or error banner
+};
+
+const PROFILES = {
+  local: {
+    description: 'Local stand-ins started by webServer',
+    sauceDemoURL: `http://localhost:${SAUCE_DEMO_PORT}`,
+    internetURL: `http://localhost:${INTERNET_PORT}`,
+    startServers: true,
+    password: 'secret_sauce',
+    timeouts: DEFAULT_TIMEOUTS,
+    retries: process.env.CI ? 2 : 0,
+    networkMode: process.env.NETWORK_MODE || 'passthrough',
+  },
+
+  staging: {
+    description: 'Deployed copies of both sites, configured through STAGING_* variables',
+    sauceDemoURL: process.env.STAGING_BASE_URL,
+    internetURL: process.env.STAGING_INTERNET_URL,
+    startServers: false,
+    password: process.env.STAGING_PASSWORD,
+    timeouts: { ...DEFAULT_TIMEOUTS, test: 60000, expect: 10000, navigation: 30000, pageLoad: 20000, login: 20000 },
+    retries: 2,
+    networkMode: process.env.NETWORK_MODE || 'passthrough',
+  },
+
+  'prod-like': {
+    description: 'The public demo sites',
+    sauceDemoURL: 'https://www.saucedemo.com',
+    internetURL: 'https://the-internet.herokuapp.com',
+    startServers: false,
+    password: process.env.PROD_PASSWORD || 'secret_sauce',
+    timeouts: { ...DEFAULT_TIMEOUTS, test: 60000, expect: 10000, navigation: 30000, pageLoad: 20000, login: 20000 },
+    retries: 2,
+    networkMode: process.env.NETWORK_MODE || 'passthrough',
+  },
+};
+
+/* Where a missing value should come from, for the error message */
+const HINTS = {
+  staging: {
+    sauceDemoURL: 'STAGING_BASE_URL',
+    internetURL: 'STAGING_INTERNET_URL',
+    password: 'STAGING_PASSWORD',
+  },
+};
+
+/**
+ * List everything wrong with a profile
+ *
+ * @param {string} name
+ * @param {Object} profile
+ * @returns {string[]} one line per problem, empty when the profile is usable
+ */
+function validateProfile(name, profile) {
+  const problems = [];
+  const hint = key => (HINTS[name]?.[key] ? ` (set ${HINTS[name][key]})` : '');
+
+  for (const key of ['sauceDemoURL', 'internetURL']) {
+    if (!profile[key]) {
+      problems.push(`${key} is missing${hint(key)}`);
+    } else if (!URL.canParse(profile[key])) {
+      problems.push(`${key} is not a valid URL: "${profile[key]}"`);
+    }
+  }
+  if (!profile.password) {
+    problems.push(`password is missing${hint('password')}`);
+  }
+  for (const [key, value] of Object.entries(profile.timeouts || {})) {
+    if (!Number.isFinite(value) || value < 0) {
+      problems.push(`timeouts.${key} must be a number of milliseconds, got ${value}`);
+    }
+  }
+  for (const key of Object.keys(DEFAULT_TIMEOUTS)) {
+    if (profile.timeouts?.[key] === undefined) {
+      problems.push(`timeouts.${key} is missing`);
+    }
+  }
+  if (!Number.isInteger(profile.retries) || profile.retries < 0) {
+    problems.push(`retries must be a whole number, got ${profile.retries}`);
+  }
+  if (!NETWORK_MODES.includes(profile.networkMode)) {
+    problems.push(`networkMode must be one of ${NETWORK_MODES.join(', ')}, got "${profile.networkMode}"`);
+  }
+  return problems;
+}
+
+/**
+ * Select, override and validate a profile
+ *
+ * @param {string} [name] - defaults to TEST_ENV, then 'local'
+ * @returns {Object} the profile plus `name` and `credentials` (username -> { username, password })
+ * @throws {Error} for an unknown profile name or an invalid profile
+ */
+function loadEnvironment(name = process.env.TEST_ENV || 'local') {
+  const base = PROFILES[name];
+  if (!base) {
+    throw new Error(`Unknown TEST_ENV "${name}", expected one of: ${Object.keys(PROFILES).join(', ')}`);
+  }
+
+  const profile = {
+    ...base,
+    sauceDemoURL: process.env.BASE_URL || base.sauceDemoURL,
+    internetURL: process.env.INTERNET_URL || base.internetURL,
+  };
+
+  const problems = validateProfile(name, profile);
+  if (problems.length) {
+    throw new Error(`Environment profile "${name}" is invalid:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+  }
+
+  const credentials = Object.fromEntries(
+    [...PERSONAS, ...EXTRA_USERS].map(username => [username, { username, password: profile.password }]),
+  );
+
+  return Object.freeze({ name, ...profile, credentials });
+}
+
+const environment = loadEnvironment();
+
+/**
+ * Credentials of a known user in the selected profile
+ *
+ * @param {string} username - e.g. 'standard_user'
+ * @returns {{username: string, password: string}}
+ */
+function credentialsFor(username) {
+  const credentials = environment.credentials[username];
+  if (!credentials) {
+    throw new Error(`No credentials for "${username}" in environment "${environment.name}"`);
+  }
+  return credentials;
+}
+
+module.exports = {
+  environment,
+  credentialsFor,
+  loadEnvironment,
+  validateProfile,
+  PROFILES,
+  SAUCE_DEMO_PORT,
+  INTERNET_PORT,
+};
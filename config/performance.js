@@ -0,0 +1,46 @@
+/**
+ * Performance Budgets - limits for page-object actions measured by the
+ * `perf` fixture (support/performance.js)
+ *
+ * Keys are actions as "<PageObject>.<method>"; '*' applies to every action
+ * and is merged under the action's own budget. Times are in milliseconds,
+ * transferSize in bytes. A metric a browser does not report (e.g. long tasks
+ * outside Chromium) is never over budget.
+ *
+ * Metrics:
+ * - duration              the action itself, measured from the test
+ * - ttfb, domContentLoaded, load
+ *                         Navigation Timing of the document the action opened
+ * - firstPaint, firstContentfulPaint
+ *                         Paint Timing of that document
+ * - longTaskCount, longTaskTime
+ *                         main-thread tasks over 50 ms during the action
+ * - resourceCount, transferSize
+ *                         resources fetched during the action
+ *
+ * The numbers fit the local stand-ins; a remote profile may need looser ones.
+ */
+
+const BUDGETS = {
+  '*': { duration: 5000, longTaskTime: 250 },
+
+  'LoginPage.navigateToLogin': { duration: 2000, load: 2000, firstContentfulPaint: 1500 },
+  // performance_glitch_user takes 3 seconds to get from here to the catalog
+  'LoginPage.login': { duration: 2000, load: 2000 },
+
+  'ProductsPage.sortBy': { duration: 1000 },
+  'CartPage.navigateToCart': { duration: 2000, load: 2000 },
+};
+
+/**
+ * The budget of an action, with the '*' defaults filled in
+ *
+ * @param {string} action - e.g. 'LoginPage.login'
+ * @param {Object} [budgets]
+ * @returns {Object<string, number>} metric -> limit
+ */
+function budgetFor(action, budgets = BUDGETS) {
+  return { ...budgets['*'], ...budgets[action] };
+}
+
+module.exports = { BUDGETS, budgetFor };
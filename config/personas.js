@@ -0,0 +1,33 @@
+/**
+ * Sauce Demo Personas - users that can log in, and where their auth state lives
+ *
+ * global-setup.js logs in every persona once and saves one storage state file
+ * per persona; playwright.config.js exposes each persona as a project that
+ * loads its file through `use.storageState`.
+ *
+ * locked_out_user is deliberately missing: it can never log in.
+ * Passwords belong to the environment profile (see config/environment.js).
+ */
+
+const path = require('path');
+
+const PERSONAS = [
+  'standard_user',
+  'problem_user',
+  'performance_glitch_user',
+  'error_user',
+  'visual_user',
+];
+
+const AUTH_DIR = path.join(__dirname, '..', 'auth');
+
+/**
+ * Storage state file for a persona, e.g. auth/standard_user.json
+ *
+ * @param {string} username
+ */
+function storageStatePath(username) {
+  return path.join(AUTH_DIR, `${username}.json`);
+}
+
+module.exports = { PERSONAS, AUTH_DIR, storageStatePath };
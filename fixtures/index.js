@@ -0,0 +1,311 @@
+/**
+ * Custom Test Fixtures - Page objects injected into every test
+ *
+ * Import `test` and `expect` from here instead of '@playwright/test':
+ * ```
+ * const { test, expect } = require('../fixtures');
+ *
+ * test('adds to cart', async ({ authenticatedPage, productsPage }) => {
+ *   await productsPage.addProductToCart('Sauce Labs Backpack');
+ * });
+ * ```
+ *
+ * PLAYWRIGHT vs CYPRESS:
+ * - Playwright: test.extend() declares fixtures; each test only gets (and only
+ *   pays for) the fixtures it names in its arguments
+ * - Cypress: beforeEach hooks and custom commands registered globally
+ *   in cypress/support, shared through aliases or closure variables
+ * - Fixtures are created fresh per test, so there is no mutable state
+ *   shared across a describe block and parallel tests cannot interfere
+ */
+
+const base = require('@playwright/test');
+const { environment, credentialsFor } = require('../config/environment');
+const NetworkMock = require('../support/network');
+const WindowManager = require('../support/windows');
+const VisualChecker = require('../support/visual');
+const AccessibilityAuditor = require('../support/accessibility');
+const PerformanceMonitor = require('../support/performance');
+const StateIsolation = require('../support/isolation');
+const BrowserErrorCollector = require('../support/browser-errors');
+const { ensureAuthState, personaOf } = require('../support/auth-state');
+const { withSteps } = require('../support/steps');
+const { TestData, RUN_SEED, SEED_VARIABLE, seedFor, getPersona } = require('../test-data');
+const LoginPage = require('../pages/LoginPage');
+const ProductsPage = require('../pages/ProductsPage');
+const ProductDetailPage = require('../pages/ProductDetailPage');
+const InternetPage = require('../pages/InternetPage');
+const CartPage = require('../pages/CartPage');
+const CheckoutInformationPage = require('../pages/CheckoutInformationPage');
+const CheckoutOverviewPage = require('../pages/CheckoutOverviewPage');
+const CheckoutCompletePage = require('../pages/CheckoutCompletePage');
+const RichTextEditor = require('../pages/components/RichTextEditor');
+
+/**
+ * Whether a fixture adds its own verdict (visual changes, budgets...) at teardown
+ *
+ * Yes when the test body passed - a test.fail() test then fails on that
+ * verdict, as expected - or already ended the way it was expected to. A test
+ * that failed unexpectedly keeps its own error instead of getting a second one.
+ */
+function addsVerdict(testInfo) {
+  return testInfo.status === 'passed' || testInfo.status === testInfo.expectedStatus;
+}
+
+const test = base.test.extend({
+  /**
+   * Credentials used by authenticatedPage, from the environment profile
+   * Override per project in playwright.config.js or per file with test.use()
+   */
+  credentials: [credentialsFor('standard_user'), { option: true }],
+
+  /**
+   * The logged-in user's persona: credentials plus what to expect from the
+   * site (test-data/personas.js)
+   */
+  persona: async ({ credentials }, use) => {
+    await use(getPersona(credentials.username));
+  },
+
+  /**
+   * TestData seeded for this test (test-data/index.js)
+   * The seeds go into a `test-data` annotation so the data can be replayed
+   */
+  testData: async ({}, use, testInfo) => {
+    const testData = new TestData(seedFor(testInfo));
+    testInfo.annotations.push({
+      type: 'test-data',
+      description: `seed ${testData.seed}, replay with ${SEED_VARIABLE}=${RUN_SEED}`,
+    });
+    await use(testData);
+  },
+
+  /**
+   * passthrough, record or replay - see support/network.js
+   * Defaults to the environment profile; override per project with use: { networkMode }
+   */
+  networkMode: [environment.networkMode, { option: true }],
+
+  /**
+   * How app state is cleared between tests: clear-storage, reset-app-state
+   * or none - see support/isolation.js. Override per project with use: { isolation }
+   */
+  isolation: ['clear-storage', { option: true }],
+
+  /**
+   * Path of a persona's saved state, logged in again first if its session
+   * would run out before the test does (support/auth-state.js)
+   * ```
+   * const context = await browser.newContext({ storageState: await authStateFor('problem_user') });
+   * ```
+   */
+  authStateFor: async ({ browser, baseURL }, use, testInfo) => {
+    // A minute on top of the test's own timeout, for its hooks and teardown
+    const validForMs = testInfo.timeout + 60 * 1000;
+    await use(username => ensureAuthState(browser, username, { baseURL, validForMs }));
+  },
+
+  /**
+   * The storage state the context starts from, without the app's cart when
+   * isolation is clear-storage (the session cookie is kept). A persona's
+   * saved state is refreshed first if needed (see authStateFor).
+   */
+  storageState: async ({ storageState, isolation, authStateFor }, use) => {
+    const persona = personaOf(storageState);
+    const state = persona ? await authStateFor(persona) : storageState;
+    await use(isolation === 'clear-storage' ? StateIsolation.withoutAppStorage(state) : state);
+  },
+
+  /**
+   * StateIsolation for the test (support/isolation.js), driven by the page
+   * fixture; tests only use it to allowLeftover()
+   */
+  appState: async ({ isolation, baseURL }, use, testInfo) => {
+    await use(new StateIsolation(testInfo, { mode: isolation, baseURL }));
+  },
+
+  /**
+   * What fails a test: 'fail', 'warn' or 'ignore' per browser error type
+   * (console, pageerror, request) - see support/browser-errors.js
+   * Override per project or file with use: { browserErrorPolicy: { request: 'warn' } }
+   */
+  browserErrorPolicy: [{}, { option: true }],
+
+  /**
+   * BrowserErrorCollector for the test's context (support/browser-errors.js)
+   * Attaches what it heard and fails the test on errors that are not allowed
+   */
+  browserErrors: async ({ browserErrorPolicy }, use, testInfo) => {
+    const browserErrors = new BrowserErrorCollector(testInfo, { policy: browserErrorPolicy });
+    await use(browserErrors);
+    browserErrors.stop();
+    if (browserErrors.entries.length) {
+      await testInfo.attach('browser-errors', {
+        body: JSON.stringify(browserErrors.report(), null, 2),
+        contentType: 'application/json',
+      });
+    }
+    if (addsVerdict(testInfo)) {
+      browserErrors.expectNoErrors();
+    }
+  },
+
+  /**
+   * NetworkMock for the test's context: records its part of the spec's HAR
+   * or replays the spec's HAR, and lets the test declare stubs
+   * (failImages, slow, serverError, stub)
+   */
+  network: async ({ context, networkMode }, use, testInfo) => {
+    const network = new NetworkMock(context, {
+      mode: networkMode,
+      harPath: networkMode === 'record' ? NetworkMock.recordingPathFor(testInfo) : NetworkMock.harPathFor(testInfo),
+    });
+    await network.start();
+    await use(network);
+    await network.stop();
+  },
+
+  /**
+   * WindowManager for the test's context (support/windows.js)
+   * Fails the test at teardown if a window it opened is still open
+   */
+  windows: async ({ context, page }, use, testInfo) => {
+    const windows = new WindowManager(context);
+    await use(windows);
+    windows.dispose();
+    if (addsVerdict(testInfo)) {
+      await windows.assertNoLeftovers();
+    }
+  },
+
+  /**
+   * VisualChecker for page-object regions (support/visual.js)
+   * Attaches the visual report and fails the test if a region changed
+   */
+  visual: async ({}, use, testInfo) => {
+    const visual = new VisualChecker(testInfo, { baselineProject: testInfo.project.metadata.visualBaseline });
+    await use(visual);
+    if (visual.results.length) {
+      await testInfo.attach('visual-report', {
+        body: JSON.stringify(visual.report(), null, 2),
+        contentType: 'application/json',
+      });
+    }
+    if (addsVerdict(testInfo)) {
+      visual.expectNoChanges();
+    }
+  },
+
+  /**
+   * AccessibilityAuditor for the test's page (support/accessibility.js)
+   * Attaches the audits and fails the test on violations that are not known issues
+   */
+  a11y: async ({ page }, use, testInfo) => {
+    const a11y = new AccessibilityAuditor(page, testInfo);
+    await use(a11y);
+    if (a11y.audits.length) {
+      await testInfo.attach('a11y-report', {
+        body: JSON.stringify(a11y.report(), null, 2),
+        contentType: 'application/json',
+      });
+    }
+    if (addsVerdict(testInfo)) {
+      a11y.expectNoNewViolations();
+    }
+  },
+
+  /**
+   * PerformanceMonitor for the test's page (support/performance.js)
+   * Attaches the measured actions and fails the test if one went over budget
+   */
+  perf: async ({ page }, use, testInfo) => {
+    const perf = new PerformanceMonitor(page, testInfo);
+    await perf.install();
+    await use(perf);
+    if (perf.actions.length) {
+      await testInfo.attach('performance', {
+        body: JSON.stringify(perf.report(), null, 2),
+        contentType: 'application/json',
+      });
+    }
+    if (addsVerdict(testInfo)) {
+      perf.expectWithinBudgets();
+    }
+  },
+
+  /**
+   * The built-in page, created after the network layer so that recording
+   * or replay is in place before the first navigation
+   *
+   * It starts from the default app state and, unless the test failed
+   * unexpectedly, cleans up and fails the test if state would leak into another one.
+   * Browser errors are collected from its context until the clean-up is done.
+   */
+  page: async ({ page, network, appState, browserErrors }, use, testInfo) => {
+    browserErrors.watch(page.context());
+    await appState.prepare(page);
+    await use(page);
+    if (addsVerdict(testInfo)) {
+      await appState.cleanUp();
+      await appState.expectNoLeftovers();
+    }
+    browserErrors.stop();
+  },
+
+  /*
+   * Page objects: each async method a test calls runs as a test step named
+   * '<PageObject>.<method>' (support/steps.js)
+   */
+  loginPage: async ({ page }, use) => {
+    await use(withSteps(new LoginPage(page)));
+  },
+
+  productsPage: async ({ page }, use) => {
+    await use(withSteps(new ProductsPage(page)));
+  },
+
+  productDetailPage: async ({ page }, use) => {
+    await use(withSteps(new ProductDetailPage(page)));
+  },
+
+  internetPage: async ({ page }, use) => {
+    await use(withSteps(new InternetPage(page)));
+  },
+
+  cartPage: async ({ page }, use) => {
+    await use(withSteps(new CartPage(page)));
+  },
+
+  checkoutInformationPage: async ({ page }, use) => {
+    await use(withSteps(new CheckoutInformationPage(page)));
+  },
+
+  checkoutOverviewPage: async ({ page }, use) => {
+    await use(withSteps(new CheckoutOverviewPage(page)));
+  },
+
+  checkoutCompletePage: async ({ page }, use) => {
+    await use(withSteps(new CheckoutCompletePage(page)));
+  },
+
+  /** First TinyMCE-style editor on the page */
+  richTextEditor: async ({ page }, use) => {
+    await use(withSteps(new RichTextEditor(page)));
+  },
+
+  /**
+   * The test's page, already logged in and showing the products catalog
+   *
+   * Page objects only wrap the page, so there is nothing of their own to
+   * dispose of; the page and its context are closed by Playwright's built-in
+   * fixtures once the test finishes, which also drops the session.
+   */
+  authenticatedPage: async ({ page, loginPage, productsPage, credentials }, use) => {
+    await loginPage.navigateToLogin();
+    await loginPage.login(credentials.username, credentials.password);
+    await productsPage.waitForProductsToLoad();
+    await use(page);
+  },
+});
+
+module.exports = { test, expect: base.expect };
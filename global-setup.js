@@ -1,72 +1,69 @@
 /**
  * Global Setup - Authentication Setup for Entire Test Suite
- * 
+ *
  * This file runs ONCE before all tests in the entire suite
- * Use this in playwright.config.js with:
+ * It is registered in playwright.config.js with:
  * globalSetup: require.resolve('./global-setup.js')
- * 
+ *
+ * It logs in every Sauce Demo persona (see config/personas.js) and saves one
+ * storage state file per persona, e.g. auth/standard_user.json. The persona
+ * projects in playwright.config.js load these files through `storageState`.
+ *
+ * A state file is reused while its session cookie stays valid for at least
+ * AUTH_MIN_VALIDITY_MINUTES (default 5). Sauce Demo's session expires 10
+ * minutes after login, so a long run outlives it: the fixtures log a persona
+ * in again before a test that would outlast its saved session
+ * (see support/auth-state.js).
+ *
  * PLAYWRIGHT ADVANTAGE:
  * You can set up authentication for all tests in one place
  * All subsequent tests automatically have auth state available
  * No need to log in in individual tests
- * 
+ *
  * This is much more efficient than:
  * 1. Logging in before each test
  * 2. Using cy.session() which requires memory-based session
  * 3. Replaying login steps for every test
- * 
+ *
  * EXAMPLE USAGE:
  * 1. npx playwright test (uses saved auth state)
  * 2. Each test loads with user already authenticated
  * 3. Tests run 3-5x faster
+ * 4. AUTH_MIN_VALIDITY_MINUTES=10 npx playwright test (forces a fresh login)
  */
 
 const { chromium } = require('@playwright/test');
 const fs = require('fs');
-const path = require('path');
+const { PERSONAS, AUTH_DIR, storageStatePath } = require('./config/personas');
+const { environment } = require('./config/environment');
+const { isValidFor, saveAuthState } = require('./support/auth-state');
+const { RUN_SEED, SEED_VARIABLE } = require('./test-data/random');
 
-const authFile = path.join(__dirname, 'auth', 'auth.json');
+const DEFAULT_MIN_VALIDITY_MINUTES = 5;
 
 async function globalSetup(config) {
-  // This runs before all tests
-  console.log('🔐 Starting global authentication setup...');
-  
-  // Create auth directory
-  const authDir = path.dirname(authFile);
-  if (!fs.existsSync(authDir)) {
-    fs.mkdirSync(authDir, { recursive: true });
-  }
-  
-  // Check if auth file already exists and is fresh
-  // (Optional: could check file age to refresh auth periodically)
-  if (fs.existsSync(authFile)) {
-    console.log('✅ Auth state already exists, skipping setup');
+  // This runs before all tests (the webServer stand-ins are already up)
+  const { baseURL } = config.projects[0].use;
+  const minValidityMinutes = Number(process.env.AUTH_MIN_VALIDITY_MINUTES ?? DEFAULT_MIN_VALIDITY_MINUTES);
+
+  console.log(`🎲 Test data seed ${RUN_SEED} (replay with ${SEED_VARIABLE}=${RUN_SEED})`);
+  console.log(`🔐 Starting global authentication setup (${environment.name}: ${baseURL})...`);
+  fs.mkdirSync(AUTH_DIR, { recursive: true });
+
+  const stale = PERSONAS.filter(username => !isValidFor(storageStatePath(username), minValidityMinutes * 60 * 1000));
+  if (stale.length === 0) {
+    console.log(`✅ Auth sessions stay valid for ${minValidityMinutes} more minutes, skipping setup`);
     return;
   }
-  
+
   // Launch browser for authentication
   const browser = await chromium.launch();
-  const context = await browser.createContext();
-  const page = await context.newPage();
-  
+
   try {
-    // Navigate to login page
-    await page.goto('https://www.saucedemo.com/');
-    
-    // Perform login
-    await page.fill('[data-test="username"]', 'standard_user');
-    await page.fill('[data-test="password"]', 'secret_sauce');
-    await page.click('[data-test="login-button"]');
-    
-    // Wait for products to load (confirmation of successful login)
-    await page.waitForSelector('.inventory_container', { timeout: 10000 });
-    
-    // Save authentication state
-    await context.storageState({ path: authFile });
-    
-    console.log('✅ Authentication setup completed');
-    console.log('   Auth state saved to:', authFile);
-    
+    for (const username of stale) {
+      await saveAuthState(browser, username, { baseURL });
+      console.log(`✅ ${username} auth state saved to:`, storageStatePath(username));
+    }
   } catch (error) {
     console.error('❌ Authentication setup failed:', error);
     throw error;
@@ -0,0 +1,25 @@
+/**
+ * Global Teardown - runs ONCE after all tests in the entire suite
+ * It is registered in playwright.config.js with:
+ * globalTeardown: require.resolve('./global-teardown.js')
+ *
+ * With NETWORK_MODE=record every test records its own part of its spec's HAR
+ * (tests run in parallel, each in its own browser context). This merges the
+ * parts into one HAR per spec, hars/<spec>.har (see support/network.js).
+ *
+ * PLAYWRIGHT vs CYPRESS:
+ * - Playwright: globalTeardown runs in the runner process after every worker
+ *   has finished and closed its contexts
+ * - Cypress: the closest is the `after:run` event in setupNodeEvents
+ */
+
+const path = require('path');
+const NetworkMock = require('./support/network');
+
+async function globalTeardown() {
+  for (const harPath of NetworkMock.mergeRecordings()) {
+    console.log('📼 HAR recording saved to:', path.relative(process.cwd(), harPath));
+  }
+}
+
+module.exports = globalTeardown;
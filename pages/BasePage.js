@@ -9,10 +9,66 @@
  * - Playwright's await/async pattern makes async operations more explicit than Cypress chaining
  * 
  * This BasePage provides common utilities that all page objects can inherit
+ * 
+ * LOCATOR-FIRST:
+ * Every element method takes either a selector string or a Locator.
+ * Strings are resolved against the page object's root (the page, a frame
+ * or a component), so subclasses can declare their elements as locators:
+ * ```
+ * this.loginButton = this.locator('[data-test="login-button"]');
+ * await this.click(this.loginButton);
+ * ```
+ * Plain selector strings keep working for page objects not migrated yet.
+ * 
+ * Timeouts come from the environment profile (config/environment.js):
+ * subclasses use this.timeouts.pageLoad rather than hardcoded milliseconds.
  */
 
+const { expect, errors } = require('@playwright/test');
+const { environment } = require('../config/environment');
+
+/* Elements that hold a frame, in document order */
+const FRAME_ELEMENTS = 'frame, iframe';
+
+/* A quoted CSS attribute value */
+function cssString(value) {
+  return `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Frame elements matched by one frame() path segment, inside `scope`
+ *
+ * A segment is a name or id ('frame-left'), an index among all frame
+ * elements (0), or an object { name, id, url, index } whose conditions must
+ * all hold - url matches part of the src attribute, index picks among the
+ * matches.
+ */
+function frameSegmentLocator(scope, segment) {
+  if (typeof segment === 'number') {
+    return scope.locator(FRAME_ELEMENTS).nth(segment);
+  }
+  if (typeof segment === 'string') {
+    const value = cssString(segment);
+    return scope.locator(`:is(frame, iframe):is([name=${value}], [id=${value}])`);
+  }
+  const { name, id, url, index } = segment;
+  const conditions = [
+    name !== undefined ? `[name=${cssString(name)}]` : '',
+    id !== undefined ? `[id=${cssString(id)}]` : '',
+    url !== undefined ? `[src*=${cssString(url)}]` : '',
+  ].join('');
+  const frames = scope.locator(`:is(frame, iframe)${conditions}`);
+  return index !== undefined ? frames.nth(index) : frames;
+}
+
 class BasePage {
-  constructor(page) {
+  /**
+   * @param {import('@playwright/test').Page} page
+   * @param {Object} [options]
+   * @param {import('@playwright/test').Page|import('@playwright/test').FrameLocator|import('@playwright/test').Locator} [options.root]
+   *   where selector strings are looked up - defaults to the whole page
+   */
+  constructor(page, { root } = {}) {
     /**
      * PLAYWRIGHT DIFFERENCE: 
      * Page object is injected into the class constructor
@@ -20,6 +76,125 @@ class BasePage {
      * This makes Playwright more testable and allows passing different page contexts
      */
     this.page = page;
+
+    /**
+     * Scope for selector strings: a Page, FrameLocator or Locator
+     * PLAYWRIGHT ADVANTAGE: the same page object works inside an iframe
+     * Cypress needs cy.get('iframe').its('0.contentDocument') for every query
+     */
+    this.root = root || page;
+
+    /** Timeouts of the selected environment profile */
+    this.timeouts = environment.timeouts;
+  }
+
+  /**
+   * Resolve a selector string or Locator to a Locator in this page object's root
+   * Locators are returned unchanged, so methods accept either
+   * 
+   * @param {string|import('@playwright/test').Locator} target
+   * @returns {import('@playwright/test').Locator}
+   */
+  locator(target) {
+    return typeof target === 'string' ? this.root.locator(target) : target;
+  }
+
+  /**
+   * Resolve a chain of nested frames to a FrameLocator
+   * 
+   * Each segment is looked up inside the previous frame, starting at this
+   * page object's root:
+   * ```
+   * this.frame('frame-top', 'frame-left')          // by name or id
+   * this.frame(0, 1)                                // by index among the frame elements
+   * this.frame({ url: '/frame_bottom' })            // by part of the src
+   * this.frame({ name: 'frame-top' }, { index: 2 }) // mixed
+   * ```
+   * getFrameTree() lists the paths that exist on the current page.
+   * 
+   * PLAYWRIGHT vs CYPRESS:
+   * - Playwright: frame locators are lazy, so a frame that is added or
+   *   reloaded later is found again on every use
+   * - Cypress: each level needs cy.get('iframe').its('0.contentDocument.body'),
+   *   re-run by hand whenever the frame reloads
+   * 
+   * @param {...(string|number|{name?: string, id?: string, url?: string, index?: number})} path
+   *   segments, or one array of segments
+   * @returns {import('@playwright/test').FrameLocator}
+   */
+  frame(...path) {
+    const segments = path.flat();
+    if (segments.length === 0) {
+      throw new Error('frame() needs at least one path segment');
+    }
+    return segments.reduce((scope, segment) => frameSegmentLocator(scope, segment).contentFrame(), this.root);
+  }
+
+  /**
+   * This page object, scoped to a nested frame
+   * click(), fillText(), getText() etc. then act inside that frame
+   * 
+   * @param {...(string|number|Object)} path - same as frame()
+   */
+  inFrame(...path) {
+    return this.within(this.frame(...path));
+  }
+
+  /**
+   * The page's frame tree, for debugging
+   * 
+   * Every node carries a `path` that frame() accepts - the frame's name,
+   * else its id, else its index. The tree always starts at the page's
+   * main frame, whatever this page object's root is.
+   * 
+   * @returns {Promise<{name: string, id: ?string, url: string, path: Array<string|number>, children: Array}>}
+   */
+  async getFrameTree() {
+    const describe = async (frame, parentPath) => {
+      let id = null;
+      let path = parentPath;
+      if (frame.parentFrame()) {
+        const element = await frame.frameElement();
+        const info = await element.evaluate((el, selector) => ({
+          id: el.id || null,
+          index: [...el.ownerDocument.querySelectorAll(selector)].indexOf(el),
+        }), FRAME_ELEMENTS);
+        id = info.id;
+        path = [...parentPath, frame.name() || id || info.index];
+      }
+      const children = await Promise.all(frame.childFrames().map(child => describe(child, path)));
+      return { name: frame.name(), id, url: frame.url(), path, children };
+    };
+    return describe(this.page.mainFrame(), []);
+  }
+
+  /**
+   * getFrameTree() as indented text, one frame per line
+   * ```
+   * (main) http://localhost:3200/nested_frames
+   *   frame-top http://localhost:3200/frame_top
+   *     frame-left http://localhost:3200/frame_left
+   * ```
+   */
+  async describeFrameTree() {
+    const lines = [];
+    const walk = (node, depth) => {
+      const label = node.path.length ? String(node.path[node.path.length - 1]) : '(main)';
+      lines.push(`${'  '.repeat(depth)}${label} ${node.url}`);
+      node.children.forEach(child => walk(child, depth + 1));
+    };
+    walk(await this.getFrameTree(), 0);
+    return lines.join('\n');
+  }
+
+  /**
+   * Create a copy of this page object scoped to another root
+   * e.g. the same form inside an iframe, or one card of a list
+   * 
+   * @param {import('@playwright/test').FrameLocator|import('@playwright/test').Locator} root
+   */
+  within(root) {
+    return new this.constructor(this.page, { root });
   }
 
   /**
@@ -38,13 +213,14 @@ class BasePage {
    * Click an element
    * 
    * PLAYWRIGHT vs CYPRESS:
-   * - Playwright: locator-based with single step (no implicit wait strategy)
+   * - Playwright: locator.click() waits until the element is visible, stable,
+   *   enabled and not covered, then clicks once
    * - Cypress: cy.get().click() with built-in retry logic
-   * - Playwright requires explicit wait configurations when needed
-   * - Playwright's approach is faster when elements are ready (no unnecessary waits)
+   * - Both auto-wait, but Playwright's actionability checks run before the
+   *   action instead of retrying the whole chain
    */
-  async click(selector) {
-    await this.page.click(selector);
+  async click(target, options) {
+    await this.locator(target).click(options);
   }
 
   /**
@@ -55,8 +231,8 @@ class BasePage {
    * - Cypress: cy.get().clear().type() with implicit waits between
    * - Playwright fill() is more atomic and faster
    */
-  async fillText(selector, text) {
-    await this.page.fill(selector, text);
+  async fillText(target, text) {
+    await this.locator(target).fill(text);
   }
 
   /**
@@ -67,33 +243,103 @@ class BasePage {
    * - Cypress: cy.get().then() with callback pattern
    * - Playwright's async/await is more readable for modern JS developers
    */
-  async getText(selector) {
-    return await this.page.textContent(selector);
+  async getText(target) {
+    return await this.locator(target).textContent();
   }
 
   /**
    * Wait for element to be visible
+   * When the target matches several elements, waits for the first one
    * 
    * PLAYWRIGHT vs CYPRESS:
-   * - Playwright: explicit waitForSelector() or waitForVisible()
+   * - Playwright: locator.waitFor() with an explicit state and timeout
    * - Cypress: implicit waiting in cy.get() with configurable timeout
    * - Playwright requires explicit waits; Cypress does it implicitly (can hide issues)
    * - Playwright's explicit waits are more predictable in slow environments
    */
-  async waitForElement(selector, timeout = 5000) {
-    await this.page.waitForSelector(selector, { timeout });
+  async waitForElement(target, timeout = environment.timeouts.element) {
+    await this.locator(target).first().waitFor({ state: 'visible', timeout });
   }
 
   /**
    * Check if element is visible
    * 
+   * Waits up to the expect timeout for the element to appear, so it can be
+   * called right after the action that shows it, and answers false instead of
+   * throwing when it does not. Pass `{ timeout: 0 }` for a snapshot of the
+   * page right now - only right for "is it there at the moment?" branching,
+   * since a false answer then costs no wait. In assertions prefer
+   * expectVisible()/expectHidden().
+   * 
    * PLAYWRIGHT vs CYPRESS:
-   * - Playwright: use isVisible() method
+   * - Playwright: locator.isVisible() returns a boolean immediately, so the
+   *   wait is waitFor() with the TimeoutError turned into false
    * - Cypress: cy.get().should('be.visible') assertion-based
    * - Playwright's method returns boolean; Cypress uses assertion chain
+   * 
+   * @param {string|import('@playwright/test').Locator} target
+   * @param {{timeout?: number}} [options] - ms to wait for the element to become
+   *   visible, defaults to the expect timeout; 0 checks without waiting
+   */
+  async isElementVisible(target, { timeout = this.timeouts.expect } = {}) {
+    const element = this.locator(target).first();
+    if (!timeout) {
+      return await element.isVisible();
+    }
+    try {
+      await element.waitFor({ state: 'visible', timeout });
+      return true;
+    } catch (error) {
+      if (error instanceof errors.TimeoutError) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Web-first assertions
+   * 
+   * PLAYWRIGHT vs CYPRESS:
+   * - Playwright: expect(locator).toBeVisible() retries until it passes or times out
+   * - Cypress: cy.get().should('be.visible') retries the same way
+   * - Unlike `expect(await isElementVisible()).toBe(true)`, these never read
+   *   the page too early
+   */
+  async expectVisible(target, options) {
+    await expect(this.locator(target)).toBeVisible(options);
+  }
+
+  async expectHidden(target, options) {
+    await expect(this.locator(target)).toBeHidden(options);
+  }
+
+  /**
+   * @param {string|RegExp|Array<string|RegExp>} expected - substring, pattern or one entry per match
    */
-  async isElementVisible(selector) {
-    return await this.page.isVisible(selector);
+  async expectText(target, expected, options) {
+    await expect(this.locator(target)).toContainText(expected, options);
+  }
+
+  /**
+   * Named regions compared against screenshot baselines by the `visual`
+   * fixture (support/visual.js). Subclasses override this:
+   * ```
+   * visualRegions() {
+   *   return {
+   *     header: '.primary_header',
+   *     footer: { target: '.footer', mask: ['.footer_copy'] },
+   *   };
+   * }
+   * ```
+   * A region is a selector/Locator, or { target, mask, maxDiffPixelRatio, threshold }
+   * where `mask` lists elements painted over before comparing (content that
+   * changes from run to run) and the thresholds override the config defaults.
+   *
+   * @returns {Object<string, string|import('@playwright/test').Locator|Object>}
+   */
+  visualRegions() {
+    return {};
   }
 
   /**
@@ -144,6 +390,29 @@ class BasePage {
     await this.page.context().storageState({ path: filepath });
   }
 
+  /**
+   * Read a localStorage entry of the current page's origin
+   * 
+   * PLAYWRIGHT vs CYPRESS:
+   * - Playwright: page.evaluate() runs in the page, so it sees the app's real storage
+   * - Cypress: cy.window().its('localStorage') or cy.getAllLocalStorage()
+   * 
+   * @param {string} key
+   * @returns {Promise<*>} the parsed JSON value, the raw string if it is not JSON,
+   *   or null when the key is not set
+   */
+  async getLocalStorageItem(key) {
+    const value = await this.page.evaluate(storageKey => window.localStorage.getItem(storageKey), key);
+    if (value === null) {
+      return null;
+    }
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value;
+    }
+  }
+
   /**
    * Handle file uploads
    * 
@@ -152,8 +421,8 @@ class BasePage {
    * - Cypress: cy.get('input[type=file]').selectFile()
    * - Both work similarly, but Playwright requires absolute path in some cases
    */
-  async uploadFile(selector, filepath) {
-    await this.page.setInputFiles(selector, filepath);
+  async uploadFile(target, filepath) {
+    await this.locator(target).setInputFiles(filepath);
   }
 }
 
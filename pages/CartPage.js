@@ -0,0 +1,172 @@
+/**
+ * CartPage - Page Object for the Sauce Demo cart (cart.html)
+ *
+ * First step of the purchase funnel:
+ * ProductsPage -> CartPage -> CheckoutInformationPage -> CheckoutOverviewPage -> CheckoutCompletePage
+ */
+
+const BasePage = require('./BasePage');
+const Header = require('./components/Header');
+const BurgerMenu = require('./components/BurgerMenu');
+const Footer = require('./components/Footer');
+const { parsePrice } = require('../utils/price');
+
+/**
+ * localStorage key where Sauce Demo keeps the ids of the products in the cart
+ */
+const CART_STORAGE_KEY = 'cart-contents';
+
+/**
+ * Parts of a cart row, relative to the row
+ * Used with row.locator(), and with querySelector() inside evaluateAll()
+ */
+const ROW = {
+  name: '.inventory_item_name',
+  price: '.inventory_item_price',
+  quantity: '.cart_quantity',
+  link: '.cart_item_label a',
+  removeButton: '[data-test^="remove"]',
+};
+
+class CartPage extends BasePage {
+  constructor(page, options) {
+    super(page, options);
+    // Shared layout: header (cart link, badge, title), sidebar menu and footer
+    this.header = new Header(page);
+    this.menu = new BurgerMenu(page);
+    this.footer = new Footer(page);
+
+    // Cart contents: the list, the buttons below it, and one row per item
+    this.cartContents = this.locator('.cart_contents_container');
+    this.cartList = this.locator('.cart_list');
+    this.cartItems = this.locator('.cart_item');
+    this.itemNames = this.cartItems.locator(ROW.name);
+    this.itemPrices = this.cartItems.locator(ROW.price);
+
+    // Footer buttons
+    this.continueShoppingButton = this.locator('[data-test="continue-shopping"]');
+    this.checkoutButton = this.locator('[data-test="checkout"]');
+  }
+
+  /**
+   * Open the cart directly
+   */
+  async navigateToCart() {
+    await this.goto('/cart.html');
+    await this.waitForCartToLoad();
+  }
+
+  /**
+   * Wait for the cart list to render
+   */
+  async waitForCartToLoad() {
+    await this.waitForElement(this.cartList, this.timeouts.pageLoad);
+  }
+
+  /**
+   * Regions compared by the `visual` fixture (see BasePage.visualRegions)
+   * `cart` covers the item list and the Continue Shopping / Checkout buttons
+   */
+  visualRegions() {
+    return {
+      header: this.header.primaryHeader,
+      cart: this.cartContents,
+      footer: { target: this.footer.root, mask: [this.footer.copyright] },
+    };
+  }
+
+  /**
+   * Get the names of all items in the cart
+   */
+  async getItemNames() {
+    return await this.itemNames.allTextContents();
+  }
+
+  /**
+   * Get the prices of all items in the cart, as numbers
+   */
+  async getItemPrices() {
+    const prices = await this.itemPrices.allTextContents();
+    return prices.map(parsePrice);
+  }
+
+  /**
+   * Get the cart contents as shown on the cart page
+   *
+   * The product id comes from the item's title link (id="item_4_title_link"),
+   * so the result can be compared with getCartFromStorage().
+   *
+   * @returns {Promise<Array<{id: number, name: string, quantity: number, price: number}>>}
+   */
+  async getCartContents() {
+    await this.waitForCartToLoad();
+    const rows = await this.cartItems.evaluateAll((items, s) =>
+      items.map(item => ({
+        name: item.querySelector(s.name).textContent,
+        quantity: item.querySelector(s.quantity).textContent,
+        priceText: item.querySelector(s.price).textContent,
+        linkId: item.querySelector(s.link).id,
+      })), ROW);
+
+    return rows.map(row => ({
+      id: Number(/^item_(\d+)_title_link$/.exec(row.linkId)?.[1]),
+      name: row.name.trim(),
+      quantity: parseInt(row.quantity, 10),
+      price: parsePrice(row.priceText),
+    }));
+  }
+
+  /**
+   * Read the cart straight from the app's localStorage, without the UI
+   *
+   * Works on any Sauce Demo page, not only cart.html - the cart lives in
+   * localStorage, so it is shared by every tab and survives reloads.
+   *
+   * @returns {Promise<number[]>} product ids in the order they were added
+   */
+  async getCartFromStorage() {
+    const ids = await this.getLocalStorageItem(CART_STORAGE_KEY);
+    return Array.isArray(ids) ? ids : [];
+  }
+
+  /**
+   * Number of item rows in the cart
+   */
+  async getItemCount() {
+    return await this.cartItems.count();
+  }
+
+  /**
+   * Remove an item from the cart by name
+   *
+   * PLAYWRIGHT vs CYPRESS:
+   * - Playwright: filter the row by text, then scope the button to that row
+   * - Cypress: cy.contains('.cart_item', name).find('button').click()
+   * - Playwright then waits for the row to detach instead of a fixed wait
+   */
+  async removeItem(productName) {
+    const item = this.cartItems.filter({ hasText: productName });
+    await item.locator(ROW.removeButton).click();
+    await item.waitFor({ state: 'detached' });
+  }
+
+  /**
+   * Go back to the products catalog
+   */
+  async continueShopping() {
+    await this.click(this.continueShoppingButton);
+    await this.page.waitForURL(/.*inventory\.html/);
+  }
+
+  /**
+   * Start checkout (goes to the customer information step)
+   */
+  async checkout() {
+    await this.click(this.checkoutButton);
+    await this.page.waitForURL(/.*checkout-step-one\.html/);
+  }
+}
+
+CartPage.CART_STORAGE_KEY = CART_STORAGE_KEY;
+
+module.exports = CartPage;
@@ -0,0 +1,64 @@
+/**
+ * CheckoutCompletePage - Page Object for the order confirmation (checkout-complete.html)
+ */
+
+const BasePage = require('./BasePage');
+const Header = require('./components/Header');
+const BurgerMenu = require('./components/BurgerMenu');
+const Footer = require('./components/Footer');
+
+class CheckoutCompletePage extends BasePage {
+  constructor(page, options) {
+    super(page, options);
+    // Shared layout: header (cart link, badge, title), sidebar menu and footer
+    this.header = new Header(page);
+    this.menu = new BurgerMenu(page);
+    this.footer = new Footer(page);
+
+    // Confirmation message
+    this.completeHeader = this.locator('.complete-header');
+    this.completeText = this.locator('.complete-text');
+
+    // Back Home button
+    this.backHomeButton = this.locator('[data-test="back-to-products"]');
+  }
+
+  /**
+   * Check if the order confirmation is displayed
+   * Waits up to `timeout` for it, then answers false instead of throwing
+   */
+  async isOrderComplete({ timeout = this.timeouts.pageLoad } = {}) {
+    return await this.isElementVisible(this.completeHeader, { timeout });
+  }
+
+  /**
+   * Assert the order confirmation is displayed (web-first, retries until it is)
+   */
+  async expectOrderComplete() {
+    await this.expectVisible(this.completeHeader);
+  }
+
+  /**
+   * Get confirmation header, e.g. "Thank you for your order!"
+   */
+  async getConfirmationHeader() {
+    return await this.getText(this.completeHeader);
+  }
+
+  /**
+   * Get confirmation body text
+   */
+  async getConfirmationText() {
+    return await this.getText(this.completeText);
+  }
+
+  /**
+   * Go back to the products catalog
+   */
+  async backHome() {
+    await this.click(this.backHomeButton);
+    await this.page.waitForURL(/.*inventory\.html/);
+  }
+}
+
+module.exports = CheckoutCompletePage;
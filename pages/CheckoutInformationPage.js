@@ -0,0 +1,97 @@
+/**
+ * CheckoutInformationPage - Page Object for checkout step one (checkout-step-one.html)
+ *
+ * Collects the customer's name and postal code and validates them
+ * before the order overview is shown.
+ */
+
+const BasePage = require('./BasePage');
+const Header = require('./components/Header');
+const BurgerMenu = require('./components/BurgerMenu');
+const Footer = require('./components/Footer');
+
+class CheckoutInformationPage extends BasePage {
+  constructor(page, options) {
+    super(page, options);
+    // Shared layout: header (cart link, badge, title), sidebar menu and footer
+    this.header = new Header(page);
+    this.menu = new BurgerMenu(page);
+    this.footer = new Footer(page);
+
+    // Form fields
+    this.firstNameInput = this.locator('[data-test="firstName"]');
+    this.lastNameInput = this.locator('[data-test="lastName"]');
+    this.postalCodeInput = this.locator('[data-test="postalCode"]');
+
+    // Buttons
+    this.continueButton = this.locator('[data-test="continue"]');
+    this.cancelButton = this.locator('[data-test="cancel"]');
+
+    // Validation error banner
+    this.errorMessage = this.locator('[data-test="error"]');
+  }
+
+  /**
+   * Fill in the customer information form
+   *
+   * Fields that are left out of `customer` are not touched, which is how
+   * the validation errors are exercised.
+   *
+   * @param {{firstName?: string, lastName?: string, postalCode?: string}} customer
+   */
+  async fillInformation({ firstName, lastName, postalCode }) {
+    if (firstName !== undefined) {
+      await this.fillText(this.firstNameInput, firstName);
+    }
+    if (lastName !== undefined) {
+      await this.fillText(this.lastNameInput, lastName);
+    }
+    if (postalCode !== undefined) {
+      await this.fillText(this.postalCodeInput, postalCode);
+    }
+  }
+
+  /**
+   * Click Continue without waiting for navigation
+   * Use this when the form is expected to fail validation
+   */
+  async submit() {
+    await this.click(this.continueButton);
+  }
+
+  /**
+   * Fill in the form and continue to the order overview
+   *
+   * @param {{firstName: string, lastName: string, postalCode: string}} customer
+   */
+  async continueToOverview(customer) {
+    await this.fillInformation(customer);
+    await this.submit();
+    await this.page.waitForURL(/.*checkout-step-two\.html/);
+  }
+
+  /**
+   * Cancel checkout and go back to the cart
+   */
+  async cancel() {
+    await this.click(this.cancelButton);
+    await this.page.waitForURL(/.*cart\.html/);
+  }
+
+  /**
+   * Check if a validation error is displayed
+   * Waits for the banner (up to the expect timeout), so it can be called right after submit()
+   */
+  async isErrorDisplayed(options) {
+    return await this.isElementVisible(this.errorMessage, options);
+  }
+
+  /**
+   * Get validation error text, e.g. "Error: First Name is required"
+   */
+  async getErrorMessage() {
+    return await this.getText(this.errorMessage);
+  }
+}
+
+module.exports = CheckoutInformationPage;
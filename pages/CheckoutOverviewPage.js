@@ -0,0 +1,120 @@
+/**
+ * CheckoutOverviewPage - Page Object for checkout step two (checkout-step-two.html)
+ *
+ * Shows the items being bought and the price summary:
+ * item total, tax and total. All amounts are returned as numbers.
+ */
+
+const BasePage = require('./BasePage');
+const Header = require('./components/Header');
+const BurgerMenu = require('./components/BurgerMenu');
+const Footer = require('./components/Footer');
+const { parsePrice } = require('../utils/price');
+
+class CheckoutOverviewPage extends BasePage {
+  constructor(page, options) {
+    super(page, options);
+    // Shared layout: header (cart link, badge, title), sidebar menu and footer
+    this.header = new Header(page);
+    this.menu = new BurgerMenu(page);
+    this.footer = new Footer(page);
+
+    // Items being bought
+    this.cartItems = this.locator('.cart_item');
+    this.itemNames = this.cartItems.locator('.inventory_item_name');
+    this.itemPrices = this.cartItems.locator('.inventory_item_price');
+
+    // Summary
+    this.paymentInfo = this.locator('[data-test="payment-info-value"]');
+    this.shippingInfo = this.locator('[data-test="shipping-info-value"]');
+    this.subtotalLabel = this.locator('.summary_subtotal_label');
+    this.taxLabel = this.locator('.summary_tax_label');
+    this.totalLabel = this.locator('.summary_total_label');
+
+    // Buttons
+    this.finishButton = this.locator('[data-test="finish"]');
+    this.cancelButton = this.locator('[data-test="cancel"]');
+  }
+
+  /**
+   * Get the names of the items being bought
+   */
+  async getItemNames() {
+    return await this.itemNames.allTextContents();
+  }
+
+  /**
+   * Get the prices of the items being bought, as numbers
+   */
+  async getItemPrices() {
+    const prices = await this.itemPrices.allTextContents();
+    return prices.map(parsePrice);
+  }
+
+  /**
+   * "Item total: $37.98" -> 37.98
+   */
+  async getSubtotal() {
+    return parsePrice(await this.getText(this.subtotalLabel));
+  }
+
+  /**
+   * "Tax: $3.04" -> 3.04
+   */
+  async getTax() {
+    return parsePrice(await this.getText(this.taxLabel));
+  }
+
+  /**
+   * "Total: $41.02" -> 41.02
+   */
+  async getTotal() {
+    return parsePrice(await this.getText(this.totalLabel));
+  }
+
+  /**
+   * Get the whole price summary at once
+   *
+   * PLAYWRIGHT ADVANTAGE: independent reads run concurrently with Promise.all
+   */
+  async getSummary() {
+    const [subtotal, tax, total] = await Promise.all([
+      this.getSubtotal(),
+      this.getTax(),
+      this.getTotal(),
+    ]);
+    return { subtotal, tax, total };
+  }
+
+  /**
+   * Payment method shown in the summary, e.g. "SauceCard #31337"
+   */
+  async getPaymentInfo() {
+    return await this.getText(this.paymentInfo);
+  }
+
+  /**
+   * Shipping method shown in the summary
+   */
+  async getShippingInfo() {
+    return await this.getText(this.shippingInfo);
+  }
+
+  /**
+   * Place the order
+   */
+  async finish() {
+    await this.click(this.finishButton);
+    await this.page.waitForURL(/.*checkout-complete\.html/);
+  }
+
+  /**
+   * Cancel the order and go back to the products catalog
+   */
+  async cancel() {
+    await this.click(this.cancelButton);
+    await this.page.waitForURL(/.*inventory\.html/);
+  }
+}
+
+module.exports = CheckoutOverviewPage;
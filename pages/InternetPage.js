@@ -6,31 +6,47 @@
  * - Iframe interactions
  * - Advanced locator strategies
  * 
- * NOTE: This site is at https://the-internet.herokuapp.com/
+ * NOTE: The live site is at https://the-internet.herokuapp.com/ - by default the
+ * suite uses the local stand-in in servers/the-internet (see config/environment.js)
  */
 
 const BasePage = require('./BasePage');
+const { environment } = require('../config/environment');
+
+/**
+ * Frame paths on the Nested Frames page
+ * frame-top is itself a frameset: left, middle and right live inside it
+ */
+const NESTED_FRAMES = {
+  left: ['frame-top', 'frame-left'],
+  middle: ['frame-top', 'frame-middle'],
+  right: ['frame-top', 'frame-right'],
+  bottom: ['frame-bottom'],
+};
 
 class InternetPage extends BasePage {
-  constructor(page) {
-    super(page);
+  constructor(page, options) {
+    super(page, options);
+    // The Internet is not the baseURL site, so its pages use absolute URLs
+    this.baseURL = environment.internetURL;
+
     // Links in the main menu
     this.iframesLink = 'text=Frames';
     this.multipleWindowsLink = 'text=Multiple Windows';
     this.nestedFramesLink = 'text=Nested Frames';
     
-    // For nested frames test
-    this.parentFrame = 'frame[name="frame-top"]';
-    this.leftFrame = 'frame[name="frame-left"]';
-    this.rightFrame = 'frame[name="frame-right"]';
+    // For nested frames test (paths for frame(), see NESTED_FRAMES)
+    this.nestedFrames = NESTED_FRAMES;
     this.bodyText = 'body';
   }
 
   /**
-   * Navigate to The Internet main page
+   * Navigate to The Internet main page, or one of its example pages
+   *
+   * @param {string} [path] - e.g. '/frames' or '/windows'
    */
-  async navigateToInternet() {
-    await this.goto('https://the-internet.herokuapp.com/');
+  async navigateToInternet(path = '/') {
+    await this.goto(new URL(path, this.baseURL).toString());
   }
 
   /**
@@ -48,59 +64,65 @@ class InternetPage extends BasePage {
    * Playwright has MUCH better iframe support than Cypress.
    * This is one of the major advantages and a key pain point with Cypress.
    * 
-   * Get text from nested iframe (left frame in nested frames)
+   * Get the text of a (nested) frame, given its path
    * 
    * PLAYWRIGHT approach:
    * ```
-   * async getLeftFrameText() {
-   *   const frameHandle = await this.page.waitForSelector('frame[name="frame-left"]');
-   *   const contentFrame = await frameHandle.contentFrame();
-   *   const bodyText = await contentFrame.$eval('body', el => el.innerText);
-   *   return bodyText;
+   * async getFrameText(...path) {
+   *   // this.frame('frame-top', 'frame-left'): for each level, a locator finds
+   *   // the <frame> element and contentFrame() enters it (see BasePage.frame)
+   *   return await this.getText(this.frame(...path).locator('body'));
    * }
    * ```
    * 
    * CYPRESS approach (NIGHTMARE - this is a known limitation):
    * ```
    * getLeftFrameText() {
-   *   return cy.get('iframe[name="frame-left"]')
+   *   return cy.get('frame[name="frame-top"]')
+   *     .its('0.contentDocument')
+   *     .find('frame[name="frame-left"]')
    *     .its('0.contentDocument.body')
    *     .should('not.be.empty')
    *     .then(cy.wrap)
-   *     .find('body')
    *     .invoke('text');
    * }
    * ```
    * 
    * PLAYWRIGHT ADVANTAGES:
-   * 1. Native contentFrame() method designed for iframes
-   * 2. Handles multiple nested iframes elegantly
+   * 1. A frame is entered from its element's locator (locator.contentFrame()),
+   *    lazily, so a frame that reloads is found again
+   * 2. Handles multiple nested iframes elegantly - one path, any depth
    * 3. No need to access contentDocument (hacky in Cypress)
    * 4. Better error messages when iframe isn't found
    * 5. Synchronous frame context switching (Cypress is asynchronous and fragile)
    * 
    * This is one of THE BIGGEST pain points that makes Cypress difficult for iframe-heavy apps
+   * 
+   * @param {...(string|number|Object)} path - frame path, see BasePage.frame()
    */
-  async getLeftFrameText() {
-    // Playwright's iframe handling is MUCH cleaner than Cypress
-    const frameLocator = this.page.frameLocator('frame[name="frame-left"]');
-    return await frameLocator.locator('body').textContent();
+  async getFrameText(...path) {
+    const text = await this.getText(this.frame(...path).locator(this.bodyText));
+    return text.trim();
   }
 
   /**
-   * Get text from right nested frame
+   * Text of the frames on the Nested Frames page
+   * frame-top has no text of its own - it only holds left, middle and right
    */
+  async getLeftFrameText() {
+    return await this.getFrameText(NESTED_FRAMES.left);
+  }
+
+  async getMiddleFrameText() {
+    return await this.getFrameText(NESTED_FRAMES.middle);
+  }
+
   async getRightFrameText() {
-    const frameLocator = this.page.frameLocator('frame[name="frame-right"]');
-    return await frameLocator.locator('body').textContent();
+    return await this.getFrameText(NESTED_FRAMES.right);
   }
 
-  /**
-   * Get text from top frame (parent frame in nested frames)
-   */
-  async getTopFrameText() {
-    const frameLocator = this.page.frameLocator('frame[name="frame-top"]');
-    return await frameLocator.locator('body').textContent();
+  async getBottomFrameText() {
+    return await this.getFrameText(NESTED_FRAMES.bottom);
   }
 
   /**
@@ -110,8 +132,11 @@ class InternetPage extends BasePage {
    * Cypress cannot handle multiple tabs/windows - period.
    * Playwright handles this natively and elegantly.
    * 
-   * Click "Click Here" link and wait for new tab
-   * Returns the new page object
+   * Click a link that opens a new tab (by default the first target="_blank"
+   * link, i.e. "Click Here") and return the popup it opened
+   * 
+   * To track several windows, wait by URL or title, or check nothing is left
+   * open, use the `windows` fixture (support/windows.js)
    * 
    * PLAYWRIGHT approach (elegant):
    * ```
@@ -151,12 +176,12 @@ class InternetPage extends BasePage {
    * 
    * This single feature makes Playwright invaluable for many modern web apps
    */
-  async clickNewWindowLink() {
-    // Listen for new page AND click simultaneously
-    // This is how you properly handle new windows/tabs in Playwright
+  async clickNewWindowLink(link = this.locator('a[target="_blank"]').first()) {
+    // Listen for the popup AND click simultaneously
+    // page.waitForEvent('popup') only resolves for windows opened by this page
     const [newPage] = await Promise.all([
-      this.page.context().waitForEvent('page'),
-      this.page.locator('a[target="_blank"]').first().click()
+      this.page.waitForEvent('popup'),
+      this.click(link)
     ]);
     return newPage;
   }
@@ -7,27 +7,53 @@
 
 const BasePage = require('./BasePage');
 
+/**
+ * Error codes returned by tryLogin(), one per login error banner
+ */
+const LOGIN_ERRORS = {
+  MISSING_USERNAME: 'missing-username',
+  MISSING_PASSWORD: 'missing-password',
+  BAD_CREDENTIALS: 'bad-credentials',
+  LOCKED_OUT: 'locked-out',
+  NOT_LOGGED_IN: 'not-logged-in',
+  UNKNOWN: 'unknown',
+};
+
+/* Cookie holding the logged-in username; login sets it, logout clears it */
+const SESSION_COOKIE = 'session-username';
+
+/* Banner text -> error code */
+const ERROR_PATTERNS = [
+  [/Username is required/, LOGIN_ERRORS.MISSING_USERNAME],
+  [/Password is required/, LOGIN_ERRORS.MISSING_PASSWORD],
+  [/do not match any user/, LOGIN_ERRORS.BAD_CREDENTIALS],
+  [/locked out/, LOGIN_ERRORS.LOCKED_OUT],
+  [/when you are logged in/, LOGIN_ERRORS.NOT_LOGGED_IN],
+];
+
 class LoginPage extends BasePage {
-  // Selectors as class properties
+  // Elements declared as locators
   // PLAYWRIGHT vs CYPRESS: Both approaches can use selector objects, but Playwright's
-  // page-scoped locators are faster (locator().click() vs cy.get().click())
+  // locators are lazy - declared once here, looked up again on every use
+  // (no stale elements, unlike a saved cy.get() alias after a re-render)
 
-  constructor(page) {
-    super(page);
+  constructor(page, options) {
+    super(page, options);
     // Username input field
-    this.usernameInput = '[data-test="username"]';
+    this.usernameInput = this.locator('[data-test="username"]');
     
     // Password input field
-    this.passwordInput = '[data-test="password"]';
+    this.passwordInput = this.locator('[data-test="password"]');
     
     // Login button
-    this.loginButton = '[data-test="login-button"]';
+    this.loginButton = this.locator('[data-test="login-button"]');
     
-    // Error message container
-    this.errorMessage = '[data-test="error"]';
+    // Error message container and its close (X) button
+    this.errorMessage = this.locator('[data-test="error"]');
+    this.errorCloseButton = this.locator('[data-test="error-button"]');
     
     // Products page title (success indicator)
-    this.productsTitle = '.title';
+    this.productsTitle = this.locator('.title');
   }
 
   /**
@@ -62,10 +88,60 @@ class LoginPage extends BasePage {
    * 6. Cypress: relies on assertion framework for error detection
    */
   async login(username, password) {
+    const result = await this.tryLogin(username, password);
+    if (!result.success) {
+      throw new Error(`Login as "${username}" failed (${result.errorCode}): ${result.message}`);
+    }
+  }
+
+  /**
+   * Attempt a login and report the outcome instead of timing out
+   * 
+   * Waits for whichever comes first: the products page (success) or the
+   * error banner (failure). Use this for negative tests; use login() when
+   * the login is expected to work.
+   * 
+   * PLAYWRIGHT ADVANTAGE: locator.or() waits for either outcome in one call
+   * Cypress would need cy.get('body').then($body => ...) branching on the DOM
+   * 
+   * @returns {Promise<{success: boolean, errorCode: ?string, message: ?string}>}
+   *   errorCode is one of LoginPage.ERRORS
+   */
+  async tryLogin(username, password) {
     await this.fillText(this.usernameInput, username);
     await this.fillText(this.passwordInput, password);
     await this.click(this.loginButton);
-    await this.waitForElement(this.productsTitle, 10000);
+
+    await this.productsTitle.or(this.errorMessage).first().waitFor({ timeout: this.timeouts.login });
+
+    if (await this.errorMessage.isVisible()) {
+      return this.getLoginError();
+    }
+    return { success: true, errorCode: null, message: null };
+  }
+
+  /**
+   * Read the error banner as a structured result
+   * Also covers the banner shown when a protected page is opened logged out
+   * 
+   * @returns {Promise<{success: false, errorCode: string, message: string}>}
+   */
+  async getLoginError() {
+    const message = (await this.getErrorMessage()).trim();
+    const match = ERROR_PATTERNS.find(([pattern]) => pattern.test(message));
+    return {
+      success: false,
+      errorCode: match ? match[1] : LOGIN_ERRORS.UNKNOWN,
+      message,
+    };
+  }
+
+  /**
+   * Close the error banner with its X button
+   */
+  async dismissError() {
+    await this.click(this.errorCloseButton);
+    await this.errorMessage.waitFor({ state: 'detached' });
   }
 
   /**
@@ -101,6 +177,7 @@ class LoginPage extends BasePage {
 
   /**
    * Check if login error is displayed
+   * Waits for the banner (up to the expect timeout), so it can be called right after submitting
    * 
    * PLAYWRIGHT vs CYPRESS:
    * - Playwright: async method returning boolean
@@ -108,8 +185,8 @@ class LoginPage extends BasePage {
    * - Playwright separates verification from actions
    * - Cypress mixes actions and assertions in one chain
    */
-  async isErrorDisplayed() {
-    return await this.isElementVisible(this.errorMessage);
+  async isErrorDisplayed(options) {
+    return await this.isElementVisible(this.errorMessage, options);
   }
 
   /**
@@ -128,4 +205,7 @@ class LoginPage extends BasePage {
   }
 }
 
+LoginPage.ERRORS = LOGIN_ERRORS;
+LoginPage.SESSION_COOKIE = SESSION_COOKIE;
+
 module.exports = LoginPage;
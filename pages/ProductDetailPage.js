@@ -0,0 +1,117 @@
+/**
+ * ProductDetailPage - Page Object for a single Sauce Demo product (inventory-item.html)
+ *
+ * Reached by clicking a product name or image in the inventory list,
+ * or directly with inventory-item.html?id=<product id>
+ */
+
+const BasePage = require('./BasePage');
+const Header = require('./components/Header');
+const BurgerMenu = require('./components/BurgerMenu');
+const Footer = require('./components/Footer');
+const InventoryItem = require('./models/InventoryItem');
+
+class ProductDetailPage extends BasePage {
+  constructor(page, options) {
+    super(page, options);
+    // Shared layout: header (cart link, badge, title), sidebar menu and footer
+    this.header = new Header(page);
+    this.menu = new BurgerMenu(page);
+    this.footer = new Footer(page);
+
+    // Product details
+    this.detailsContainer = this.locator('.inventory_details');
+    this.productName = this.locator('.inventory_details_name');
+    this.productDescription = this.locator('.inventory_details_desc');
+    this.productPrice = this.locator('.inventory_details_price');
+    this.productImage = this.locator('.inventory_details_img');
+
+    // Cart button ("Add to cart" or "Remove")
+    this.addToCartButton = this.locator('[data-test="add-to-cart"]');
+    this.removeButton = this.locator('[data-test="remove"]');
+    this.cartButton = this.addToCartButton.or(this.removeButton);
+
+    // Back to products
+    this.backButton = this.locator('[data-test="back-to-products"]');
+  }
+
+  /**
+   * Open a product's detail page by its id
+   *
+   * @param {number} productId - e.g. 4 for Sauce Labs Backpack
+   */
+  async navigateToProduct(productId) {
+    await this.goto(`/inventory-item.html?id=${productId}`);
+    await this.waitForDetailsToLoad();
+  }
+
+  /**
+   * Wait for the product details to render
+   */
+  async waitForDetailsToLoad() {
+    await this.waitForElement(this.productName, this.timeouts.pageLoad);
+  }
+
+  /**
+   * Read the product shown on this page as an InventoryItem
+   *
+   * detailLink is this page's own path, so it can be compared with the
+   * link the inventory list pointed to.
+   *
+   * @returns {Promise<InventoryItem>}
+   */
+  async getItem() {
+    await this.waitForDetailsToLoad();
+    const [name, description, priceText, imageSrc, buttonText] = await Promise.all([
+      this.getText(this.productName),
+      this.getText(this.productDescription),
+      this.getText(this.productPrice),
+      this.productImage.getAttribute('src'),
+      this.getText(this.cartButton),
+    ]);
+    const url = new URL(this.getCurrentUrl());
+
+    return InventoryItem.fromDom({
+      name,
+      description,
+      priceText,
+      imageSrc,
+      buttonText,
+      detailLink: `${url.pathname}${url.search}`,
+    });
+  }
+
+  /**
+   * Add the product to the cart
+   */
+  async addToCart() {
+    await this.click(this.addToCartButton);
+  }
+
+  /**
+   * Remove the product from the cart
+   */
+  async removeFromCart() {
+    await this.click(this.removeButton);
+  }
+
+  /**
+   * Check if the product is in the cart (its button says "Remove")
+   * Waits for the button, so it can be called right after addToCart()
+   *
+   * @param {{timeout?: number}} [options] - see BasePage.isElementVisible()
+   */
+  async isInCart(options) {
+    return await this.isElementVisible(this.removeButton, options);
+  }
+
+  /**
+   * Go back to the inventory list
+   */
+  async backToProducts() {
+    await this.click(this.backButton);
+    await this.page.waitForURL(/.*inventory\.html/);
+  }
+}
+
+module.exports = ProductDetailPage;
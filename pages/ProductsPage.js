@@ -6,35 +6,92 @@
  */
 
 const BasePage = require('./BasePage');
+const Header = require('./components/Header');
+const BurgerMenu = require('./components/BurgerMenu');
+const Footer = require('./components/Footer');
+const InventoryItem = require('./models/InventoryItem');
+const { parsePrice } = require('../utils/price');
+
+/**
+ * Sort modes of the product sort dropdown, keyed by option value
+ * `by` is the field the list is ordered on, `direction` 1 = ascending, -1 = descending
+ */
+const SORT_MODES = {
+  az: { label: 'Name (A to Z)', by: 'name', direction: 1 },
+  za: { label: 'Name (Z to A)', by: 'name', direction: -1 },
+  lohi: { label: 'Price (low to high)', by: 'price', direction: 1 },
+  hilo: { label: 'Price (high to low)', by: 'price', direction: -1 },
+};
+
+/* A product card in the inventory list */
+const PRODUCT_CARD = '.inventory_item';
+
+/**
+ * Parts of a product card, relative to the card
+ * Used with card.locator(), and with querySelector() inside evaluateAll()
+ */
+const CARD = {
+  name: '.inventory_item_name',
+  price: '.inventory_item_price',
+  description: '.inventory_item_desc',
+  image: 'img.inventory_item_img',
+  link: '.inventory_item_label a',
+  addToCartButton: '[data-test*="add-to-cart"]',
+  removeButton: '[data-test^="remove"]',
+  cartButton: '.pricebar button',
+};
 
 class ProductsPage extends BasePage {
-  constructor(page) {
-    super(page);
-    // Products container
-    this.productsContainer = '.inventory_container';
-    
-    // Individual product items
-    this.productItem = '.inventory_item';
-    this.productName = '.inventory_item_name';
-    this.productPrice = '.inventory_item_price';
-    this.addToCartButton = '[data-test*="add-to-cart"]';
-    
-    // Cart icon and badge
-    this.cartIcon = '.shopping_cart_link';
-    this.cartBadge = '.shopping_cart_badge';
-    
-    // Sorting dropdown
-    this.sortDropdown = '[data-test="product-sort-container"]';
-    
-    // Logout link
-    this.logoutButton = '#logout_sidebar_link';
+  constructor(page, options) {
+    super(page, options);
+    // Shared layout: header (cart link, badge, title), sidebar menu and footer
+    this.header = new Header(page);
+    this.menu = new BurgerMenu(page);
+    this.footer = new Footer(page);
+
+    // Products container and list
+    this.productsContainer = this.locator('.inventory_container');
+    this.inventoryList = this.locator('.inventory_list');
+
+    // Product cards, and their parts across every card
+    this.productItems = this.locator(PRODUCT_CARD);
+    this.productNames = this.productItems.locator(CARD.name);
+    this.productPrices = this.productItems.locator(CARD.price);
+    this.productImages = this.productItems.locator(CARD.image);
+    this.removeButtons = this.productItems.locator(CARD.removeButton);
+
+    // Sorting dropdown and the label showing the selected option
+    this.sortDropdown = this.locator('[data-test="product-sort-container"]');
+    this.activeSortOption = this.locator('[data-test="active-option"]');
+  }
+
+  /**
+   * The card of one product, found by its name
+   *
+   * @param {string} productName
+   * @returns {import('@playwright/test').Locator}
+   */
+  productCard(productName) {
+    return this.productItems.filter({ hasText: productName });
   }
 
   /**
    * Wait for products to load
    */
   async waitForProductsToLoad() {
-    await this.waitForElement(this.productsContainer, 10000);
+    await this.waitForElement(this.productsContainer, this.timeouts.pageLoad);
+  }
+
+  /**
+   * Regions compared by the `visual` fixture (see BasePage.visualRegions)
+   * The footer's copyright year changes every January, so it is masked
+   */
+  visualRegions() {
+    return {
+      header: this.header.primaryHeader,
+      inventory: this.inventoryList,
+      footer: { target: this.footer.root, mask: [this.footer.copyright] },
+    };
   }
 
   /**
@@ -45,7 +102,7 @@ class ProductsPage extends BasePage {
    * PLAYWRIGHT approach (using locator API - more efficient):
    * ```
    * async getProductNames() {
-   *   const locators = await this.page.locator(this.productName).all();
+   *   const locators = await this.productNames.all();
    *   return Promise.all(locators.map(loc => loc.textContent()));
    * }
    * ```
@@ -67,10 +124,38 @@ class ProductsPage extends BasePage {
    * 5. Playwright approach is more performant (locators are lazy-evaluated)
    */
   async getProductNames() {
-    const locators = await this.page.locator(this.productName).all();
+    const locators = await this.productNames.all();
     return Promise.all(locators.map(loc => loc.textContent()));
   }
 
+  /**
+   * Get all product prices, in display order, as numbers
+   */
+  async getProductPrices() {
+    const prices = await this.productPrices.allTextContents();
+    return prices.map(parsePrice);
+  }
+
+  /**
+   * Names of the products whose image failed to load
+   *
+   * Waits until every image has either loaded or failed, then picks the ones
+   * the browser could not decode (naturalWidth 0) - a broken image has a
+   * valid src, so the attribute alone does not tell.
+   */
+  async getBrokenImages() {
+    const selectors = { item: PRODUCT_CARD, name: CARD.name };
+    return await this.productImages.evaluateAll(async (images, s) => {
+      await Promise.all(images.map(img => (img.complete ? null : new Promise(resolve => {
+        img.addEventListener('load', resolve, { once: true });
+        img.addEventListener('error', resolve, { once: true });
+      }))));
+      return images
+        .filter(img => img.naturalWidth === 0)
+        .map(img => img.closest(s.item).querySelector(s.name).textContent.trim());
+    }, selectors);
+  }
+
   /**
    * Get product price by product name
    * 
@@ -80,10 +165,8 @@ class ProductsPage extends BasePage {
    * PLAYWRIGHT approach (very efficient):
    * ```
    * async getProductPrice(productName) {
-   *   const product = this.page
-   *     .locator(this.productItem)
-   *     .filter({ hasText: productName });
-   *   return product.locator(this.productPrice).textContent();
+   *   const product = this.productItems.filter({ hasText: productName });
+   *   return product.locator('.inventory_item_price').textContent();
    * }
    * ```
    * 
@@ -105,36 +188,107 @@ class ProductsPage extends BasePage {
    * 4. Locator chains are lazy (better performance)
    */
   async getProductPrice(productName) {
-    const product = this.page
-      .locator(this.productItem)
-      .filter({ hasText: productName });
-    return await product.locator(this.productPrice).textContent();
+    return await this.productCard(productName).locator(CARD.price).textContent();
+  }
+
+  /**
+   * Get every product in the inventory as a typed InventoryItem
+   * (name, description, numeric price, image src, in-cart state, detail link)
+   *
+   * PLAYWRIGHT ADVANTAGE: evaluateAll() reads every card in a single round
+   * trip to the browser instead of one call per field per product.
+   * Cypress would need cy.get().each() with nested .find().invoke() calls.
+   *
+   * @returns {Promise<InventoryItem[]>}
+   */
+  async getInventoryItems() {
+    await this.waitForProductsToLoad();
+    const rawItems = await this.productItems.evaluateAll((items, s) =>
+      items.map(item => ({
+        name: item.querySelector(s.name).textContent,
+        description: item.querySelector(s.description).textContent,
+        priceText: item.querySelector(s.price).textContent,
+        imageSrc: item.querySelector(s.image).getAttribute('src'),
+        buttonText: item.querySelector(s.cartButton).textContent,
+        detailLink: item.querySelector(s.link).getAttribute('href'),
+      })), CARD);
+    return rawItems.map(raw => InventoryItem.fromDom(raw));
+  }
+
+  /**
+   * Get a single product from the inventory by name
+   *
+   * @returns {Promise<InventoryItem|undefined>}
+   */
+  async getInventoryItem(productName) {
+    const items = await this.getInventoryItems();
+    return items.find(item => item.name === productName);
+  }
+
+  /**
+   * Open a product's detail page by clicking its name
+   */
+  async openProductDetail(productName) {
+    await this.productCard(productName).locator(CARD.link).click();
+    await this.page.waitForURL(/.*inventory-item\.html/);
   }
 
   /**
    * Add product to cart by name
    */
   async addProductToCart(productName) {
-    const product = this.page
-      .locator(this.productItem)
-      .filter({ hasText: productName });
-    await product.locator(this.addToCartButton).click();
+    await this.productCard(productName).locator(CARD.addToCartButton).click();
+  }
+
+  /**
+   * Add several products to cart, in order
+   *
+   * @param {string[]} productNames
+   */
+  async addProductsToCart(productNames) {
+    for (const productName of productNames) {
+      await this.addProductToCart(productName);
+    }
+  }
+
+  /**
+   * Remove product from cart by name (using its "Remove" button in the list)
+   */
+  async removeProductFromCart(productName) {
+    await this.productCard(productName).locator(CARD.removeButton).click();
+  }
+
+  /**
+   * Remove every product from the cart, straight from the inventory list
+   *
+   * Throws if an item could not be removed (error_user's Remove buttons
+   * are broken), instead of leaving the cart half cleared.
+   */
+  async clearCart() {
+    const { removeButtons } = this;
+    const count = await removeButtons.count();
+    for (let i = 0; i < count; i++) {
+      await removeButtons.first().click();
+    }
+
+    const remaining = await removeButtons.count();
+    if (remaining > 0) {
+      throw new Error(`clearCart() could not remove ${remaining} item(s) from the cart`);
+    }
   }
 
   /**
-   * Get cart item count
+   * Get cart item count from the header badge (see Header.getCartItemCount)
    */
   async getCartItemCount() {
-    const badgeText = await this.getText(this.cartBadge);
-    return parseInt(badgeText, 10);
+    return await this.header.getCartItemCount();
   }
 
   /**
-   * Navigate to cart
+   * Navigate to cart through the header's cart link
    */
   async goToCart() {
-    await this.click(this.cartIcon);
-    await this.page.waitForURL(/.*cart*/);
+    await this.header.openCart();
   }
 
   /**
@@ -145,7 +299,7 @@ class ProductsPage extends BasePage {
    * PLAYWRIGHT approach:
    * ```
    * async sortBy(option) {
-   *   await this.page.selectOption(this.sortDropdown, option);
+   *   await this.sortDropdown.selectOption(option);
    * }
    * ```
    * 
@@ -157,22 +311,85 @@ class ProductsPage extends BasePage {
    * ```
    * 
    * Both are quite similar, but Playwright's selectOption is explicit
-   * and handles edge cases better (like when options have values vs labels)
+   * and handles edge cases better (like when options have values vs labels).
+   * Called on the dropdown's locator, it waits for the select to be ready;
+   * the old page.selectOption(selector, ...) form is discouraged.
    */
   async sortBy(option) {
     // option values: 'az', 'za', 'lohi', 'hilo'
-    await this.page.selectOption(this.sortDropdown, option);
+    await this.sortDropdown.selectOption(option);
+  }
+
+  /**
+   * Get the sort mode currently selected in the dropdown
+   *
+   * @returns {Promise<{value: string, label: string}>} e.g. { value: 'lohi', label: 'Price (low to high)' }
+   */
+  async getSortState() {
+    const [value, label] = await Promise.all([
+      this.sortDropdown.inputValue(),
+      this.getText(this.activeSortOption),
+    ]);
+    return { value, label };
+  }
+
+  /**
+   * Check that the product list is really ordered the way a sort mode says
+   *
+   * Reads back the names and numeric prices in display order. Names are
+   * compared with Intl.Collator, so the check is locale-aware instead of
+   * relying on code point order.
+   *
+   * ```
+   * await productsPage.sortBy('hilo');
+   * const result = await productsPage.verifySortOrder('hilo');
+   * expect(result.sorted, result.message).toBe(true);
+   * ```
+   *
+   * @param {string} [mode] - 'az', 'za', 'lohi' or 'hilo'; defaults to the selected mode
+   * @param {{locale?: string}} [options]
+   * @returns {Promise<{mode: string, sorted: boolean, firstOutOfOrder: ?{index: number, previous: Object, current: Object}, message: string}>}
+   *   firstOutOfOrder holds the first adjacent pair in the wrong order (index of the second item)
+   */
+  async verifySortOrder(mode, { locale = 'en' } = {}) {
+    const sortMode = mode || (await this.getSortState()).value;
+    const rule = SORT_MODES[sortMode];
+    if (!rule) {
+      throw new Error(`Unknown sort mode "${sortMode}", expected one of: ${Object.keys(SORT_MODES).join(', ')}`);
+    }
+
+    const [names, prices] = await Promise.all([this.getProductNames(), this.getProductPrices()]);
+    const products = names.map((name, i) => ({ name, price: prices[i] }));
+    const collator = new Intl.Collator(locale);
+    const compare = rule.by === 'name'
+      ? (a, b) => collator.compare(a.name, b.name)
+      : (a, b) => a.price - b.price;
+
+    for (let i = 1; i < products.length; i++) {
+      const previous = products[i - 1];
+      const current = products[i];
+      if (compare(previous, current) * rule.direction > 0) {
+        const show = product => (rule.by === 'name' ? `"${product.name}"` : `"${product.name}" ($${product.price})`);
+        return {
+          mode: sortMode,
+          sorted: false,
+          firstOutOfOrder: { index: i, previous, current },
+          message: `Products are not sorted by ${rule.label}: ${show(previous)} comes before ${show(current)} at position ${i}`,
+        };
+      }
+    }
+
+    return { mode: sortMode, sorted: true, firstOutOfOrder: null, message: `Products are sorted by ${rule.label}` };
   }
 
   /**
-   * Logout
+   * Logout through the sidebar menu (see BurgerMenu)
    */
   async logout() {
-    // Open sidebar menu
-    await this.click('.bm-burger-button');
-    await this.page.waitForSelector(this.logoutButton);
-    await this.click(this.logoutButton);
+    await this.menu.logout();
   }
 }
 
+ProductsPage.SORT_MODES = SORT_MODES;
+
 module.exports = ProductsPage;
@@ -0,0 +1,137 @@
+/**
+ * BurgerMenu - Component object for the Sauce Demo sidebar menu
+ *
+ * The button in the header's top left opens a sidebar with four links:
+ * All Items, About, Logout and Reset App State. Every action opens the
+ * menu first if it is closed, so a spec can call menu.logout() directly:
+ * ```
+ * this.menu = new BurgerMenu(page);
+ * await productsPage.menu.resetAppState();
+ * await productsPage.menu.logout();
+ * ```
+ *
+ * PLAYWRIGHT vs CYPRESS:
+ * - Playwright: clicks wait for the menu's slide-in to finish (the link must
+ *   be visible and stable), so no sleep is needed after opening it
+ * - Cypress: the classic workaround is cy.wait() or { force: true } on the
+ *   sidebar links while the menu animates
+ */
+
+const BasePage = require('../BasePage');
+
+/* Menu button and sidebar, inside the primary header */
+const MENU_CONTAINER = '#menu_button_container';
+
+/**
+ * Sidebar links, keyed by the name passed to item()
+ * Values are the links' ids
+ */
+const ITEMS = {
+  allItems: 'inventory_sidebar_link',
+  about: 'about_sidebar_link',
+  logout: 'logout_sidebar_link',
+  resetAppState: 'reset_sidebar_link',
+};
+
+class BurgerMenu extends BasePage {
+  /**
+   * @param {import('@playwright/test').Page} page
+   * @param {Object} [options]
+   * @param {import('@playwright/test').Locator} [options.root] - defaults to the page's menu
+   */
+  constructor(page, { root } = {}) {
+    super(page, { root: root || page.locator(MENU_CONTAINER) });
+    this.openButton = this.locator('#react-burger-menu-btn');
+    this.closeButton = this.locator('#react-burger-cross-btn');
+    this.sidebar = this.locator('.bm-menu-wrap');
+    this.links = this.locator('.bm-item-list a');
+  }
+
+  /**
+   * Sidebar link by name: allItems, about, logout or resetAppState
+   */
+  item(name) {
+    const id = ITEMS[name];
+    if (!id) {
+      throw new Error(`Unknown menu item "${name}", expected one of: ${Object.keys(ITEMS).join(', ')}`);
+    }
+    return this.locator(`#${id}`);
+  }
+
+  /**
+   * Whether the sidebar is open right now (no waiting: open() and close()
+   * branch on it, and both wait for the sidebar themselves)
+   */
+  async isOpen() {
+    return await this.isElementVisible(this.sidebar, { timeout: 0 });
+  }
+
+  /**
+   * Open the sidebar (no-op when it is already open)
+   */
+  async open() {
+    if (!await this.isOpen()) {
+      await this.click(this.openButton);
+    }
+    await this.expectVisible(this.sidebar);
+  }
+
+  /**
+   * Close the sidebar (no-op when it is already closed)
+   */
+  async close() {
+    if (await this.isOpen()) {
+      await this.click(this.closeButton);
+    }
+    await this.expectHidden(this.sidebar);
+  }
+
+  /**
+   * Labels of the sidebar links, in order
+   */
+  async getItemLabels() {
+    await this.open();
+    return (await this.links.allTextContents()).map(label => label.trim());
+  }
+
+  /**
+   * Back to the products catalog
+   */
+  async goToAllItems() {
+    await this.open();
+    await this.click(this.item('allItems'));
+    await this.page.waitForURL(/\/inventory\.html/);
+  }
+
+  /**
+   * Where About leads (saucelabs.com) - read instead of followed, so the
+   * suite does not depend on an external site
+   */
+  async getAboutUrl() {
+    return await this.item('about').getAttribute('href');
+  }
+
+  /**
+   * Log out; ends on the login page
+   */
+  async logout() {
+    await this.open();
+    await this.click(this.item('logout'));
+    await this.page.waitForURL(url => url.pathname === '/');
+  }
+
+  /**
+   * Empty the cart and restore the default sort order, then close the menu
+   * Stays on the current page
+   */
+  async resetAppState() {
+    await this.open();
+    await this.click(this.item('resetAppState'));
+    await this.close();
+  }
+}
+
+BurgerMenu.MENU_CONTAINER = MENU_CONTAINER;
+BurgerMenu.ITEMS = ITEMS;
+
+module.exports = BurgerMenu;
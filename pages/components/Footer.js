@@ -0,0 +1,52 @@
+/**
+ * Footer - Component object for the footer of every logged-in Sauce Demo page
+ *
+ * Social links (Twitter, Facebook, LinkedIn) and the copyright line, whose
+ * year is the current one. The links open in a new tab; specs read their
+ * targets instead of following them to the external sites.
+ */
+
+const BasePage = require('../BasePage');
+
+/* The footer element */
+const FOOTER = '[data-test="footer"]';
+
+class Footer extends BasePage {
+  /**
+   * @param {import('@playwright/test').Page} page
+   * @param {Object} [options]
+   * @param {import('@playwright/test').Locator} [options.root] - defaults to the page's footer
+   */
+  constructor(page, { root } = {}) {
+    super(page, { root: root || page.locator(FOOTER) });
+    this.socialLinks = this.locator('.social a');
+    this.copyright = this.locator('[data-test="footer-copy"]');
+  }
+
+  /**
+   * @returns {Promise<Array<{name: string, href: string, newTab: boolean}>>} in display order
+   */
+  async getSocialLinks() {
+    return await this.socialLinks.evaluateAll(links => links.map(link => ({
+      name: link.textContent.trim(),
+      href: link.getAttribute('href'),
+      newTab: link.getAttribute('target') === '_blank',
+    })));
+  }
+
+  async getCopyright() {
+    return (await this.getText(this.copyright)).trim();
+  }
+
+  /**
+   * Year in the copyright line, e.g. 2026
+   */
+  async getCopyrightYear() {
+    const match = /©\s*(\d{4})/.exec(await this.getCopyright());
+    return match ? Number(match[1]) : null;
+  }
+}
+
+Footer.FOOTER = FOOTER;
+
+module.exports = Footer;
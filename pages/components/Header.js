@@ -0,0 +1,69 @@
+/**
+ * Header - Component object for the header of every logged-in Sauce Demo page
+ *
+ * The header holds the burger menu button (see BurgerMenu), the cart link
+ * with its item badge, and the page title ("Products", "Your Cart", ...).
+ * Page objects compose it instead of declaring the cart selectors themselves:
+ * ```
+ * this.header = new Header(page);
+ * expect(await cartPage.header.getCartItemCount()).toBe(2);
+ * ```
+ *
+ * PLAYWRIGHT vs CYPRESS:
+ * - Playwright: a component is a small page object rooted at one element,
+ *   shared by every page object that renders it
+ * - Cypress: shared parts end up as custom commands (cy.openCart()),
+ *   with no object tying their selectors together
+ */
+
+const BasePage = require('../BasePage');
+
+/* Container of the primary and secondary header */
+const HEADER_CONTAINER = '#header_container';
+
+class Header extends BasePage {
+  /**
+   * @param {import('@playwright/test').Page} page
+   * @param {Object} [options]
+   * @param {import('@playwright/test').Locator} [options.root] - defaults to the page's header
+   */
+  constructor(page, { root } = {}) {
+    super(page, { root: root || page.locator(HEADER_CONTAINER) });
+    this.primaryHeader = this.locator('.primary_header');
+    this.appLogo = this.locator('.app_logo');
+    this.title = this.locator('[data-test="title"]');
+
+    // Cart link and its badge (the badge is not rendered for an empty cart)
+    this.cartLink = this.locator('[data-test="shopping-cart-link"]');
+    this.cartBadge = this.locator('[data-test="shopping-cart-badge"]');
+  }
+
+  /**
+   * Page title shown under the logo, e.g. 'Products' or 'Checkout: Overview'
+   */
+  async getTitle() {
+    return (await this.getText(this.title)).trim();
+  }
+
+  /**
+   * Number of items in the cart according to the badge; no badge counts as 0
+   */
+  async getCartItemCount() {
+    if (await this.cartBadge.count() === 0) {
+      return 0;
+    }
+    return parseInt(await this.getText(this.cartBadge), 10);
+  }
+
+  /**
+   * Open the cart through the cart link
+   */
+  async openCart() {
+    await this.click(this.cartLink);
+    await this.page.waitForURL(/\/cart\.html/);
+  }
+}
+
+Header.HEADER_CONTAINER = HEADER_CONTAINER;
+
+module.exports = Header;
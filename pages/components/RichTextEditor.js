@@ -0,0 +1,197 @@
+/**
+ * RichTextEditor - Component object for a TinyMCE-style iframe editor
+ *
+ * TinyMCE renders a container (.tox-tinymce) with a toolbar of labelled
+ * buttons and an iframe whose body is the contenteditable document. This
+ * component drives any editor built that way, so specs never need the
+ * iframe id or the #tinymce selector:
+ * ```
+ * const editor = new RichTextEditor(page);   // first editor on the page
+ * await editor.setContent('Hello');
+ * await editor.selectText('Hello');
+ * await editor.format('bold');
+ * expect(await editor.getHtml()).toMatch(/<(b|strong)>Hello</);
+ * ```
+ * For a page with several editors, pass the container as the root:
+ * `new RichTextEditor(page, { root: page.locator('#comments .tox-tinymce') })`
+ *
+ * PLAYWRIGHT vs CYPRESS:
+ * - Playwright: the editor body is a locator inside a frame locator, so
+ *   typing and reading go through the same auto-waiting API as the page
+ * - Cypress: needs the iframe's contentDocument wrapped by hand, and
+ *   cy.type() into a contenteditable iframe body is a known source of flakes
+ */
+
+const BasePage = require('../BasePage');
+
+/* Container of a TinyMCE editor */
+const EDITOR_CONTAINER = '.tox-tinymce';
+
+/**
+ * Toolbar formats, keyed by the name passed to format()
+ * Values are the buttons' accessible names (aria-label)
+ */
+const FORMATS = {
+  bold: 'Bold',
+  italic: 'Italic',
+  underline: 'Underline',
+  strikethrough: 'Strikethrough',
+  alignLeft: 'Align left',
+  alignCenter: 'Align center',
+  alignRight: 'Align right',
+  bulletList: 'Bullet list',
+  numberedList: 'Numbered list',
+};
+
+function formatLabel(name) {
+  const label = FORMATS[name];
+  if (!label) {
+    throw new Error(`Unknown format "${name}", expected one of: ${Object.keys(FORMATS).join(', ')}`);
+  }
+  return label;
+}
+
+class RichTextEditor extends BasePage {
+  /**
+   * @param {import('@playwright/test').Page} page
+   * @param {Object} [options]
+   * @param {import('@playwright/test').Locator} [options.root] - the editor container;
+   *   defaults to the first .tox-tinymce on the page
+   */
+  constructor(page, { root } = {}) {
+    super(page, { root: root || page.locator(EDITOR_CONTAINER).first() });
+    // Toolbar and status bar
+    this.toolbar = this.locator('.tox-toolbar');
+    this.elementPath = this.locator('.tox-statusbar__path');
+
+    // The editable document inside the editor's iframe
+    this.contentFrame = this.locator('.tox-edit-area iframe').contentFrame();
+    this.body = this.contentFrame.locator('body');
+  }
+
+  /**
+   * Wait until the editor's document is rendered
+   */
+  async waitForReady() {
+    await this.waitForElement(this.body, this.timeouts.pageLoad);
+  }
+
+  /**
+   * Toolbar button by its accessible name, e.g. 'Bold' or 'Undo'
+   */
+  toolbarButton(name) {
+    return this.toolbar.getByRole('button', { name, exact: true });
+  }
+
+  /**
+   * Delete everything in the editor, the way a user would (select all + Delete),
+   * so the change is recorded in the undo history
+   */
+  async clear() {
+    await this.selectAll();
+    await this.body.press('Delete');
+  }
+
+  /**
+   * Type at the end of the current content
+   * '\n' presses Enter and starts a new paragraph
+   */
+  async type(text) {
+    await this.body.press('ControlOrMeta+End');
+    await this.body.pressSequentially(text);
+  }
+
+  /**
+   * Replace the content with plain text
+   */
+  async setContent(text) {
+    await this.clear();
+    await this.type(text);
+  }
+
+  /**
+   * Select the whole document
+   */
+  async selectAll() {
+    await this.body.press('ControlOrMeta+A');
+  }
+
+  /**
+   * Select the first occurrence of some text, so format() applies to it
+   * The text must sit inside one text node (not cross formatting boundaries)
+   */
+  async selectText(text) {
+    const found = await this.body.evaluate((body, wanted) => {
+      const doc = body.ownerDocument;
+      const walker = doc.createTreeWalker(body, NodeFilter.SHOW_TEXT);
+      for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        const start = node.textContent.indexOf(wanted);
+        if (start !== -1) {
+          body.focus();
+          const range = doc.createRange();
+          range.setStart(node, start);
+          range.setEnd(node, start + wanted.length);
+          const selection = doc.getSelection();
+          selection.removeAllRanges();
+          selection.addRange(range);
+          return true;
+        }
+      }
+      return false;
+    }, text);
+    if (!found) {
+      throw new Error(`Text "${text}" not found in the editor`);
+    }
+  }
+
+  /**
+   * Apply a toolbar format to the current selection (or toggle it off)
+   *
+   * @param {string} name - one of RichTextEditor.FORMATS, e.g. 'bold' or 'bulletList'
+   */
+  async format(name) {
+    await this.click(this.toolbarButton(formatLabel(name)));
+  }
+
+  /**
+   * Whether a toolbar format is active at the cursor (its button is pressed)
+   *
+   * @param {string} name - one of RichTextEditor.FORMATS
+   */
+  async isFormatActive(name) {
+    return (await this.toolbarButton(formatLabel(name)).getAttribute('aria-pressed')) === 'true';
+  }
+
+  async undo() {
+    await this.click(this.toolbarButton('Undo'));
+  }
+
+  async redo() {
+    await this.click(this.toolbarButton('Redo'));
+  }
+
+  /**
+   * The editor's HTML, as TinyMCE would save it
+   */
+  async getHtml() {
+    return (await this.body.innerHTML()).trim();
+  }
+
+  /**
+   * The editor's text as the user sees it, one line per paragraph
+   */
+  async getPlainText() {
+    return (await this.body.innerText()).trim();
+  }
+
+  /**
+   * Element path shown in the status bar, e.g. 'p » strong'
+   */
+  async getElementPath() {
+    return (await this.getText(this.elementPath)).trim();
+  }
+}
+
+RichTextEditor.FORMATS = FORMATS;
+
+module.exports = RichTextEditor;
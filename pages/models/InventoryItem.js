@@ -0,0 +1,61 @@
+/**
+ * InventoryItem - Typed model of a Sauce Demo product
+ *
+ * Returned by ProductsPage.getInventoryItems() for every card in the
+ * inventory list, and by ProductDetailPage.getItem() for the detail page,
+ * so specs can compare the two and assert on numbers instead of strings.
+ */
+
+const { parsePrice } = require('../../utils/price');
+
+class InventoryItem {
+  /**
+   * @param {Object} fields
+   * @param {string} fields.name
+   * @param {string} fields.description
+   * @param {number} fields.price - e.g. 29.99
+   * @param {string} fields.imageSrc - src attribute of the product image
+   * @param {boolean} fields.inCart - whether the item's button says "Remove"
+   * @param {string} fields.detailLink - e.g. '/inventory-item.html?id=4'
+   */
+  constructor({ name, description, price, imageSrc, inCart, detailLink }) {
+    this.name = name;
+    this.description = description;
+    this.price = price;
+    this.imageSrc = imageSrc;
+    this.inCart = inCart;
+    this.detailLink = detailLink;
+  }
+
+  /**
+   * Build an item from the raw strings read out of the DOM
+   *
+   * @param {{name: string, description: string, priceText: string, imageSrc: string,
+   *          buttonText: string, detailLink: string}} raw
+   */
+  static fromDom({ name, description, priceText, imageSrc, buttonText, detailLink }) {
+    return new InventoryItem({
+      name: name.trim(),
+      description: description.trim(),
+      price: parsePrice(priceText),
+      imageSrc,
+      inCart: buttonText.trim() === 'Remove',
+      detailLink,
+    });
+  }
+
+  /**
+   * Product data that should be identical wherever the product is shown
+   * (cart state and links are left out - they depend on where you look)
+   */
+  productData() {
+    return {
+      name: this.name,
+      description: this.description,
+      price: this.price,
+      imageSrc: this.imageSrc,
+    };
+  }
+}
+
+module.exports = InventoryItem;
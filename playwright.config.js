@@ -1,11 +1,17 @@
 // @ts-check
 const { defineConfig, devices } = require('@playwright/test');
+const { PERSONAS, storageStatePath } = require('./config/personas');
 
 /**
- * Read environment variables from file.
- * https://github.com/motdotla/dotenv
+ * Environment profile (local, staging, prod-like), selected with TEST_ENV.
+ * Loading it also reads variables from .env (https://github.com/motdotla/dotenv)
+ * and fails right here if the profile is missing a required value.
  */
-// require('dotenv').config();
+const { environment, credentialsFor, SAUCE_DEMO_PORT, INTERNET_PORT } = require('./config/environment');
+const VisualChecker = require('./support/visual');
+
+/* Seed of this run's random test data, shared with every worker (see test-data/random.js) */
+const { RUN_SEED } = require('./test-data/random');
 
 /**
  * See https://playwright.dev/docs/test-configuration.
@@ -19,6 +25,12 @@ const { defineConfig, devices } = require('@playwright/test');
  */
 module.exports = defineConfig({
   testDir: './tests',
+
+  /* Log in every persona once and save its storage state (see global-setup.js) */
+  globalSetup: require.resolve('./global-setup.js'),
+
+  /* Merge the HAR parts recorded with NETWORK_MODE=record (see global-teardown.js) */
+  globalTeardown: require.resolve('./global-teardown.js'),
   
   /* Run tests in files in parallel */
   fullyParallel: true,
@@ -26,19 +38,44 @@ module.exports = defineConfig({
   /* Fail the build on CI if you accidentally left test.only in the source code. */
   forbidOnly: !!process.env.CI,
   
-  /* Retry on CI only */
-  retries: process.env.CI ? 2 : 0,
+  /* Retry policy and timeouts come from the environment profile */
+  retries: environment.retries,
+  timeout: environment.timeouts.test,
+  expect: {
+    timeout: environment.timeouts.expect,
+    /* Visual comparison defaults (support/visual.js); regions can override the thresholds */
+    toHaveScreenshot: VisualChecker.DEFAULTS,
+  },
+
+  /* Screenshot baselines, one set per project and platform: tests/__screenshots__/<project>/<platform>/<spec file>/ */
+  snapshotPathTemplate: VisualChecker.snapshotPathTemplate(),
+  
+  /* Shown in the HTML report, so a run's test data can be replayed with TEST_DATA_SEED */
+  metadata: { testDataSeed: RUN_SEED },
   
   /* Opt out of parallel tests on CI. */
   workers: process.env.CI ? 1 : undefined,
 
-  /* Reporter to use. See https://playwright.dev/docs/test-reporters */
-  reporter: 'html',
+  /* Reporters to use. See https://playwright.dev/docs/test-reporters
+   * - dot on CI, list locally: progress in the terminal. Playwright only adds
+   *   its default one when no reporter prints, and the two below do
+   * - performance: perf-results/run-<time>.json (see support/performance.js)
+   * - capability: results by capability tag, project and page-object method,
+   *   as test-results/capability-report.json and test-results/junit.xml */
+  reporter: [
+    [process.env.CI ? 'dot' : 'list'],
+    ['html'],
+    ['./reporters/performance-reporter.js'],
+    ['./reporters/capability-reporter.js'],
+  ],
 
   /* Shared settings for all the projects below. See https://playwright.dev/docs/api/class-testoptions. */
   use: {
     /* Base URL to use in actions like `await page.goto('/')`. */
-    baseURL: 'https://www.saucedemo.com',
+    baseURL: environment.sauceDemoURL,
+
+    actionTimeout: environment.timeouts.action,
+    navigationTimeout: environment.timeouts.navigation,
 
     /* Collect trace when retrying the failed test. See https://playwright.dev/docs/trace-viewer */
     trace: 'on-first-retry',
@@ -57,19 +94,24 @@ module.exports = defineConfig({
    * capabilities. In Cypress, you'd need to use separate tools or platforms for Safari testing.
    */
   projects: [
+    /* Screenshot baselines are committed for the Chromium projects only; the
+     * others leave out @visual until theirs are recorded (see support/visual.js) */
     {
       name: 'chromium',
       use: { ...devices['Desktop Chrome'] },
+      grepInvert: /@persona/,
     },
 
     {
       name: 'firefox',
       use: { ...devices['Desktop Firefox'] },
+      grepInvert: /@persona|@visual/,
     },
 
     {
       name: 'webkit',
       use: { ...devices['Desktop Safari'] },
+      grepInvert: /@persona|@visual/,
     },
 
     /* Test against mobile viewports.
@@ -80,21 +122,56 @@ module.exports = defineConfig({
     {
       name: 'Mobile Chrome',
       use: { ...devices['Pixel 5'] },
+      grepInvert: /@persona/,
     },
     {
       name: 'Mobile Safari',
       use: { ...devices['iPhone 12'] },
+      grepInvert: /@persona|@visual/,
     },
+
+    /* One project per Sauce Demo persona, starting already logged in.
+     *
+     * PLAYWRIGHT ADVANTAGE: storageState loads the cookies and localStorage saved by
+     * global-setup.js, so tests tagged @persona run once per user without logging in.
+     * The persona name is available to tests as testInfo.project.metadata.persona
+     *
+     * Personas render in Desktop Chrome like the chromium project and compare
+     * against its screenshot baselines, so visual defects of a persona show up
+     * as differences instead of being recorded as its own baseline.
+     */
+    ...PERSONAS.map(username => ({
+      name: username,
+      grep: /@persona/,
+      metadata: { persona: username, visualBaseline: 'chromium' },
+      snapshotPathTemplate: VisualChecker.snapshotPathTemplate('chromium'),
+      use: {
+        ...devices['Desktop Chrome'],
+        storageState: storageStatePath(username),
+        credentials: credentialsFor(username),
+        /* Personas start logged in, so they clear the cart through the app's Reset App State */
+        isolation: 'reset-app-state',
+      },
+    })),
   ],
 
-  /* Run your local dev server before starting the tests
+  /* Run the local demo-site stand-ins before starting the tests (local profile only)
    * 
    * PLAYWRIGHT ADVANTAGE: webServer configuration allows automatic server startup
    * Cypress requires manual server management or additional plugins
    */
-  // webServer: {
-  //   command: 'npm run start',
-  //   url: 'http://localhost:3000',
-  //   reuseExistingServer: !process.env.CI,
-  // },
+  webServer: environment.startServers ? [
+    {
+      command: 'node servers/sauce-demo/server.js',
+      url: `http://localhost:${SAUCE_DEMO_PORT}`,
+      env: { PORT: String(SAUCE_DEMO_PORT) },
+      reuseExistingServer: !process.env.CI,
+    },
+    {
+      command: 'node servers/the-internet/server.js',
+      url: `http://localhost:${INTERNET_PORT}`,
+      env: { PORT: String(INTERNET_PORT) },
+      reuseExistingServer: !process.env.CI,
+    },
+  ] : undefined,
 });
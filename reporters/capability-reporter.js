@@ -0,0 +1,203 @@
+/**
+ * Capability Reporter - results by capability, browser project and page object
+ *
+ * Every test is described by:
+ * - its capability: the first tag of its describe block other than @persona
+ *   (@multi-tab, @iframes, @auth, @cross-browser, ...), or "untagged"
+ * - its area: the top-level describe title
+ * - the page objects and methods it touched: the '<PageObject>.<method>'
+ *   steps recorded by the page-object fixtures (support/steps.js)
+ *
+ * At the end of the run it writes, to test-results/:
+ * - capability-report.json   every test plus the summaries below
+ * - junit.xml                one <testsuite> per capability and project, with
+ *                            the tags above as <properties> of each test case
+ * and prints the summary by capability and project. Flaky means the test
+ * failed, then passed on a retry; the method summary shows which page-object
+ * methods the failing and flaky tests have in common.
+ *
+ * Registered in playwright.config.js next to the HTML reporter.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { STEP_TITLE } = require('../support/steps');
+
+const DEFAULT_OUTPUT_DIR = path.join(__dirname, '..', 'test-results');
+
+const OUTCOMES = { expected: 'passed', unexpected: 'failed', flaky: 'flaky', skipped: 'skipped' };
+
+function stripAnsi(text) {
+  return String(text).replace(/\u001b\[[0-9;]*m/g, '');
+}
+
+function escapeXml(text) {
+  return stripAnsi(text).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[c]);
+}
+
+/**
+ * Page-object method steps of one attempt, with whether each one failed
+ */
+function collectMethodSteps(steps, found = new Map()) {
+  for (const step of steps) {
+    if (step.category === 'test.step' && STEP_TITLE.test(step.title)) {
+      found.set(step.title, found.get(step.title) || !!step.error);
+    }
+    collectMethodSteps(step.steps, found);
+  }
+  return found;
+}
+
+/**
+ * Counters for one group of tests
+ */
+function tally(tests) {
+  const counts = { tests: tests.length, passed: 0, failed: 0, flaky: 0, skipped: 0, retries: 0 };
+  for (const test of tests) {
+    counts[test.outcome] += 1;
+    counts.retries += test.retries;
+  }
+  return counts;
+}
+
+function groupBy(items, keysOf) {
+  const groups = new Map();
+  for (const item of items) {
+    for (const key of keysOf(item)) {
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(item);
+    }
+  }
+  return [...groups].sort(([a], [b]) => a.localeCompare(b));
+}
+
+class CapabilityReporter {
+  /**
+   * @param {{outputDir?: string, ignoreTags?: string[]}} [options] - options from the
+   *   reporter entry in playwright.config.js; ignoreTags are never a capability
+   */
+  constructor({ outputDir = DEFAULT_OUTPUT_DIR, ignoreTags = ['@persona'] } = {}) {
+    this.outputDir = outputDir;
+    this.ignoreTags = ignoreTags;
+  }
+
+  onBegin(config, suite) {
+    this.rootDir = config.rootDir;
+    this.suite = suite;
+  }
+
+  /**
+   * One test, over all its attempts
+   */
+  _describe(test) {
+    const [, project, , ...titles] = test.titlePath();
+    const last = test.results[test.results.length - 1];
+
+    const methods = new Map();
+    for (const result of test.results) {
+      for (const [method, failed] of collectMethodSteps(result.steps)) {
+        methods.set(method, methods.get(method) || failed);
+      }
+    }
+
+    const capability = test.tags.find(tag => !this.ignoreTags.includes(tag));
+    return {
+      title: titles.join(' › '),
+      file: path.relative(this.rootDir, test.location.file),
+      line: test.location.line,
+      project,
+      capability: capability ? capability.slice(1) : 'untagged',
+      area: titles.length > 1 ? titles[0] : '(no describe)',
+      tags: test.tags,
+      pageObjects: [...new Set([...methods.keys()].map(method => method.split('.')[0]))].sort(),
+      methods: [...methods.keys()].sort(),
+      failedMethods: [...methods].filter(([, failed]) => failed).map(([method]) => method).sort(),
+      outcome: OUTCOMES[test.outcome()],
+      retries: test.results.length - 1,
+      duration: test.results.reduce((sum, result) => sum + result.duration, 0),
+      error: last.error ? stripAnsi(last.error.message || last.error.value || '').split('\n')[0] : null,
+    };
+  }
+
+  _summarize(tests) {
+    return {
+      total: tally(tests),
+      byCapability: groupBy(tests, t => [`${t.capability}\u0000${t.project}`]).map(([key, group]) => {
+        const [capability, project] = key.split('\u0000');
+        return { capability, project, ...tally(group) };
+      }),
+      byArea: groupBy(tests, t => [t.area]).map(([area, group]) => ({ area, ...tally(group) })),
+      byMethod: groupBy(tests, t => t.methods).map(([method, group]) => ({
+        method,
+        ...tally(group),
+        stepFailures: group.filter(t => t.failedMethods.includes(method)).length,
+      })),
+    };
+  }
+
+  _toJUnit(tests, summary) {
+    const seconds = ms => (ms / 1000).toFixed(3);
+    const suites = groupBy(tests, t => [`${t.capability} [${t.project}]`]).map(([name, group]) => {
+      const counts = tally(group);
+      const cases = group.map(t => {
+        const properties = [
+          ['capability', t.capability],
+          ['project', t.project],
+          ['area', t.area],
+          ['pageObjects', t.pageObjects.join(', ')],
+          ['methods', t.methods.join(', ')],
+          ['retries', t.retries],
+          ['flaky', t.outcome === 'flaky'],
+        ].map(([key, value]) => `        <property name="${key}" value="${escapeXml(value)}"/>`).join('\n');
+        const outcome = t.outcome === 'failed'
+          ? `\n      <failure message="${escapeXml(t.error || 'failed')}">${escapeXml(`${t.file}:${t.line}`)}</failure>`
+          : t.outcome === 'skipped' ? '\n      <skipped/>' : '';
+        return `    <testcase name="${escapeXml(t.title)}" classname="${escapeXml(t.file)}" time="${seconds(t.duration)}">\n` +
+          `      <properties>\n${properties}\n      </properties>${outcome}\n    </testcase>`;
+      }).join('\n');
+      return `  <testsuite name="${escapeXml(name)}" tests="${counts.tests}" failures="${counts.failed}" ` +
+        `skipped="${counts.skipped}" time="${seconds(group.reduce((sum, t) => sum + t.duration, 0))}">\n${cases}\n  </testsuite>`;
+    });
+    const { total } = summary;
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      `<testsuites tests="${total.tests}" failures="${total.failed}" skipped="${total.skipped}">\n${suites.join('\n')}\n</testsuites>\n`;
+  }
+
+  _printSummary(summary) {
+    const columns = ['tests', 'passed', 'failed', 'flaky', 'skipped', 'retries'];
+    const row = (label, counts) => label.padEnd(40) + columns.map(c => String(counts[c]).padStart(8)).join('');
+    const lines = ['', 'Results by capability and project', row('', Object.fromEntries(columns.map(c => [c, c])))];
+    for (const entry of summary.byCapability) {
+      lines.push(row(`${entry.capability} [${entry.project}]`, entry));
+    }
+    const unstable = summary.byMethod.filter(m => m.failed || m.flaky);
+    if (unstable.length) {
+      lines.push('', 'Page-object methods in failed or flaky tests');
+      for (const m of unstable) {
+        lines.push(`  ${m.method}: ${m.failed} failed, ${m.flaky} flaky of ${m.tests} test(s), step failed in ${m.stepFailures}`);
+      }
+    }
+    console.log(lines.join('\n'));
+  }
+
+  onEnd() {
+    const tests = this.suite.allTests().filter(test => test.results.length).map(test => this._describe(test));
+    if (!tests.length) {
+      return;
+    }
+    const summary = this._summarize(tests);
+
+    fs.mkdirSync(this.outputDir, { recursive: true });
+    fs.writeFileSync(path.join(this.outputDir, 'capability-report.json'), JSON.stringify({ summary, tests }, null, 2));
+    fs.writeFileSync(path.join(this.outputDir, 'junit.xml'), this._toJUnit(tests, summary));
+    this._printSummary(summary);
+  }
+
+  printsToStdio() {
+    return true;
+  }
+}
+
+module.exports = CapabilityReporter;
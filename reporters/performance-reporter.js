@@ -0,0 +1,113 @@
+/**
+ * Performance Reporter - one JSON file per run with every measured action
+ *
+ * Collects the `performance` attachments the `perf` fixture adds to tests
+ * (support/performance.js) and writes them to perf-results/run-<time>.json:
+ * ```
+ * {
+ *   "startedAt": "...", "environment": "local", "status": "passed",
+ *   "summary": { "tests": 12, "actions": 40, "overBudget": 1 },
+ *   "tests": [{ "title": "...", "file": "...", "project": "chromium", "status": "passed",
+ *               "retry": 0, "actions": [{ "name": "LoginPage.login", "metrics": {...}, ... }] }]
+ * }
+ * ```
+ * Nothing is written when no test measured anything.
+ *
+ * It also appends the run to the local history (support/perf-history.js):
+ * the duration of every passed test plus the metrics of its actions, so
+ * `npm run perf:trend` can compare runs.
+ *
+ * Registered in playwright.config.js next to the HTML reporter.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { environment } = require('../config/environment');
+const history = require('../support/perf-history');
+
+const DEFAULT_OUTPUT_DIR = path.join(__dirname, '..', 'perf-results');
+
+class PerformanceReporter {
+  /**
+   * @param {{outputDir?: string, historyFile?: string}} [options] - options from the
+   *   reporter entry in playwright.config.js
+   */
+  constructor({ outputDir = DEFAULT_OUTPUT_DIR, historyFile = history.HISTORY_FILE } = {}) {
+    this.outputDir = outputDir;
+    this.historyFile = historyFile;
+    /** Tests with measured actions */
+    this.tests = [];
+    /** Every passed test, for the history */
+    this.passed = [];
+  }
+
+  onBegin(config) {
+    this.rootDir = config.rootDir;
+    this.startedAt = new Date();
+  }
+
+  onTestEnd(test, result) {
+    const title = test.titlePath().slice(3).join(' › ');
+    const file = path.relative(this.rootDir, test.location.file);
+    const attachment = result.attachments.find(a => a.name === 'performance' && a.body);
+    const measured = attachment ? JSON.parse(attachment.body.toString()) : null;
+
+    if (result.status === 'passed') {
+      this.passed.push({
+        test: `${file} › ${title}`,
+        project: test.parent.project().name,
+        duration: result.duration,
+        actions: measured ? measured.actions : [],
+      });
+    }
+    if (!measured) {
+      return;
+    }
+    const { project, persona, actions } = measured;
+    this.tests.push({
+      title,
+      file,
+      project,
+      persona,
+      status: result.status,
+      retry: result.retry,
+      actions,
+    });
+  }
+
+  onEnd(result) {
+    if (this.passed.length) {
+      history.appendRun(history.toHistoryEntry({
+        startedAt: this.startedAt.toISOString(),
+        environment: environment.name,
+        tests: this.passed,
+      }), this.historyFile);
+    }
+    if (!this.tests.length) {
+      return;
+    }
+    const actions = this.tests.flatMap(test => test.actions);
+    const run = {
+      startedAt: this.startedAt.toISOString(),
+      environment: environment.name,
+      status: result.status,
+      summary: {
+        tests: this.tests.length,
+        actions: actions.length,
+        overBudget: actions.filter(action => action.violations.length).length,
+      },
+      tests: this.tests,
+    };
+
+    fs.mkdirSync(this.outputDir, { recursive: true });
+    const file = path.join(this.outputDir, `run-${run.startedAt.replace(/[:.]/g, '-')}.json`);
+    fs.writeFileSync(file, JSON.stringify(run, null, 2));
+    console.log(`Performance results: ${path.relative(process.cwd(), file)}`);
+  }
+
+  printsToStdio() {
+    return true;
+  }
+}
+
+module.exports = PerformanceReporter;
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+/**
+ * Performance Trend - compare the latest run with the runs before it
+ *
+ *   npm run perf:trend                       # baseline = the 10 previous runs
+ *   npm run perf:trend -- --runs 20          # a longer baseline
+ *   npm run perf:trend -- --out reports/perf # where trend.md and trend.html go
+ *
+ * Reads the local history written by the performance reporter
+ * (perf-history/history.jsonl, see support/perf-history.js), prints the
+ * Markdown report and writes it with an HTML version next to the history.
+ * Exits with 1 when a timing regressed, so CI can fail on it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { HISTORY_FILE, ANALYSIS_DEFAULTS, loadHistory, analyze } = require('../support/perf-history');
+
+/* Test durations listed in the "slowest" section */
+const SLOWEST = 15;
+
+const SPARK = '▁▂▃▄▅▆▇█';
+
+function parseArgs(argv) {
+  const args = { runs: ANALYSIS_DEFAULTS.baselineRuns, out: path.dirname(HISTORY_FILE), history: HISTORY_FILE };
+  for (let i = 0; i < argv.length; i += 2) {
+    const [flag, value] = [argv[i], argv[i + 1]];
+    if (flag === '--runs') {
+      args.runs = Number(value);
+    } else if (flag === '--out') {
+      args.out = value;
+    } else if (flag === '--history') {
+      args.history = value;
+    } else {
+      throw new Error(`Unknown option ${flag}, expected --runs, --out or --history`);
+    }
+  }
+  return args;
+}
+
+function sparkline(values) {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  return values.map(v => SPARK[max === min ? 0 : Math.round(((v - min) / (max - min)) * (SPARK.length - 1))]).join('');
+}
+
+const ms = value => (value === null ? '-' : `${Math.round(value)} ms`);
+const percent = change => (change === null ? '-' : `${change > 0 ? '+' : ''}${Math.round(change * 100)}%`);
+
+const COLUMNS = ['Test', 'Project', 'Action', 'Metric', 'Baseline', 'Latest', 'Change', 'Trend'];
+const cells = row => [row.test, row.project, row.action, row.metric, ms(row.baseline), ms(row.latest), percent(row.change), sparkline(row.series)];
+
+/**
+ * The report as sections of rows, shared by both output formats
+ */
+function buildReport(analysis) {
+  const { latest, baseline, options, rows } = analysis;
+  const by = status => rows.filter(row => row.status === status).sort((a, b) => b.change - a.change);
+  const slowest = rows
+    .filter(row => row.action === '(test)')
+    .sort((a, b) => b.latest - a.latest)
+    .slice(0, SLOWEST);
+
+  return {
+    summary: [
+      `Latest run: ${latest.startedAt} (${latest.environment}${latest.commit ? `, commit ${latest.commit}` : ''})`,
+      baseline.runs
+        ? `Baseline: ${baseline.runs} previous run(s), ${baseline.from} to ${baseline.to}`
+        : 'Baseline: no previous runs in this environment yet',
+      `A regression is a robust z-score over ${options.zThreshold}, at least ${options.minChange * 100}% ` +
+        `and ${options.minDelta} ms slower than the baseline median`,
+    ],
+    sections: [
+      { title: 'Regressions', rows: by('regression') },
+      { title: 'Improvements', rows: by('improvement') },
+      { title: 'Slowest tests', rows: slowest },
+    ],
+    notJudged: rows.filter(row => row.status === 'new').length,
+    minSamples: options.minSamples,
+  };
+}
+
+function toMarkdown(report) {
+  const lines = ['# Performance Trend', '', ...report.summary.map(line => `${line}  `), ''];
+  for (const { title, rows } of report.sections) {
+    lines.push(`## ${title} (${rows.length})`, '');
+    if (!rows.length) {
+      lines.push('None.', '');
+      continue;
+    }
+    lines.push(`| ${COLUMNS.join(' | ')} |`, `|${COLUMNS.map(() => '---').join('|')}|`);
+    for (const row of rows) {
+      lines.push(`| ${cells(row).map(cell => String(cell).replace(/\|/g, '\\|')).join(' | ')} |`);
+    }
+    lines.push('');
+  }
+  if (report.notJudged) {
+    lines.push(`${report.notJudged} timing(s) have fewer than ${report.minSamples} baseline runs and are not judged yet.`, '');
+  }
+  return lines.join('\n');
+}
+
+function toHtml(report) {
+  const escape = text => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+  const table = rows => rows.length
+    ? `<table><thead><tr>${COLUMNS.map(c => `<th>${c}</th>`).join('')}</tr></thead><tbody>${
+      rows.map(row => `<tr class="${row.status}">${cells(row).map(c => `<td>${escape(c)}</td>`).join('')}</tr>`).join('')
+    }</tbody></table>`
+    : '<p>None.</p>';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Performance Trend</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #132322; }
+  table { border-collapse: collapse; margin-bottom: 2rem; }
+  th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+  tr.regression td { background: #fde2e1; }
+  tr.improvement td { background: #e1f7ea; }
+</style>
+</head>
+<body>
+<h1>Performance Trend</h1>
+${report.summary.map(line => `<p>${escape(line)}</p>`).join('\n')}
+${report.sections.map(({ title, rows }) => `<h2>${escape(title)} (${rows.length})</h2>\n${table(rows)}`).join('\n')}
+${report.notJudged ? `<p>${report.notJudged} timing(s) have fewer than ${report.minSamples} baseline runs and are not judged yet.</p>` : ''}
+</body>
+</html>
+`;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const analysis = analyze(loadHistory(args.history), { baselineRuns: args.runs });
+  if (!analysis) {
+    console.error(`No performance history in ${args.history} - run the tests first.`);
+    process.exit(2);
+  }
+
+  const report = buildReport(analysis);
+  const markdown = toMarkdown(report);
+  fs.mkdirSync(args.out, { recursive: true });
+  fs.writeFileSync(path.join(args.out, 'trend.md'), markdown);
+  fs.writeFileSync(path.join(args.out, 'trend.html'), toHtml(report));
+
+  console.log(markdown);
+  console.log(`Written to ${path.join(args.out, 'trend.md')} and trend.html`);
+  process.exit(report.sections[0].rows.length ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,777 @@
+/**
+ * Sauce Demo stand-in - client side application
+ *
+ * Mirrors the markup, data-test attributes, storage keys and persona
+ * defects of https://www.saucedemo.com closely enough for the page objects
+ * in pages/ to run against it unchanged.
+ */
+(function () {
+  'use strict';
+
+  var PASSWORD = 'secret_sauce';
+  var USERS = [
+    'standard_user',
+    'locked_out_user',
+    'problem_user',
+    'performance_glitch_user',
+    'error_user',
+    'visual_user',
+  ];
+  var LOCKED_OUT_USERS = ['locked_out_user'];
+
+  var SESSION_COOKIE = 'session-username';
+  var SESSION_MINUTES = 10;
+  var CART_KEY = 'cart-contents';
+  var PERFORMANCE_GLITCH_MS = 3000;
+
+  /* Known persona defects, kept close to the behavior of the real site */
+  var DEFECTS = {
+    problem_user: ['broken-images', 'broken-sort', 'broken-cart-buttons', 'last-name-into-first-name', 'wrong-detail-link'],
+    performance_glitch_user: ['slow-login'],
+    error_user: ['sort-error', 'broken-cart-buttons', 'cart-errors', 'remove-error', 'last-name-disabled', 'finish-error'],
+    visual_user: ['visual'],
+  };
+  var BROKEN_CART_BUTTON_IDS = [1, 5, 3];
+
+  var PRODUCTS = [
+    {
+      id: 4,
+      name: 'Sauce Labs Backpack',
+      desc: 'carry.allTheThings() with the sleek, streamlined Sly Pack that melds uncompromising style with unequaled laptop and tablet protection.',
+      price: 29.99,
+      image: 'sauce-backpack',
+    },
+    {
+      id: 0,
+      name: 'Sauce Labs Bike Light',
+      desc: "A red light isn't the desired state in testing but it sure helps when riding your bike at night. Water-resistant with 3 lighting modes, 1 AAA battery included.",
+      price: 9.99,
+      image: 'bike-light',
+    },
+    {
+      id: 1,
+      name: 'Sauce Labs Bolt T-Shirt',
+      desc: 'Get your testing superhero on with the Sauce Labs bolt T-shirt. From American Apparel, 100% ringspun combed cotton, heather gray with red bolt.',
+      price: 15.99,
+      image: 'bolt-shirt',
+    },
+    {
+      id: 5,
+      name: 'Sauce Labs Fleece Jacket',
+      desc: "It's not every day that you come across a midweight quarter-zip fleece jacket capable of handling everything from a relaxing day outdoors to a busy day at the office.",
+      price: 49.99,
+      image: 'sauce-pullover',
+    },
+    {
+      id: 2,
+      name: 'Sauce Labs Onesie',
+      desc: "Rib snap infant onesie for the junior automation engineer in development. Reinforced 3-snap bottom closure, two-needle hemmed sleeved and bottom won't unravel.",
+      price: 7.99,
+      image: 'red-onesie',
+    },
+    {
+      id: 3,
+      name: 'Test.allTheThings() T-Shirt (Red)',
+      desc: 'This classic Sauce Labs t-shirt is perfect to wear when cozying up to your keyboard to automate a few tests. Super-soft and comfy ringspun combed cotton.',
+      price: 15.99,
+      image: 'red-tatt',
+    },
+  ];
+
+  var SORT_OPTIONS = [
+    { value: 'az', label: 'Name (A to Z)' },
+    { value: 'za', label: 'Name (Z to A)' },
+    { value: 'lohi', label: 'Price (low to high)' },
+    { value: 'hilo', label: 'Price (high to low)' },
+  ];
+
+  var PROTECTED_PAGES = [
+    '/inventory.html',
+    '/inventory-item.html',
+    '/cart.html',
+    '/checkout-step-one.html',
+    '/checkout-step-two.html',
+    '/checkout-complete.html',
+  ];
+
+  /* Sort order only lives in memory, exactly like the real React state */
+  var sortMode = 'az';
+
+  var root = document.getElementById('root');
+
+  /* ------------------------------------------------------------------ */
+  /* Session and cart storage                                            */
+  /* ------------------------------------------------------------------ */
+
+  function getUser() {
+    var match = document.cookie.match(new RegExp('(?:^|; )' + SESSION_COOKIE + '=([^;]*)'));
+    return match ? decodeURIComponent(match[1]) : null;
+  }
+
+  function setUser(username) {
+    var expires = new Date(Date.now() + SESSION_MINUTES * 60 * 1000).toUTCString();
+    document.cookie = SESSION_COOKIE + '=' + encodeURIComponent(username) + '; expires=' + expires + '; path=/';
+  }
+
+  function clearUser() {
+    document.cookie = SESSION_COOKIE + '=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/';
+  }
+
+  function hasDefect(defect) {
+    var defects = DEFECTS[getUser()] || [];
+    return defects.indexOf(defect) !== -1;
+  }
+
+  function getCart() {
+    try {
+      var ids = JSON.parse(window.localStorage.getItem(CART_KEY));
+      return Array.isArray(ids) ? ids : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  function setCart(ids) {
+    if (ids.length) {
+      window.localStorage.setItem(CART_KEY, JSON.stringify(ids));
+    } else {
+      window.localStorage.removeItem(CART_KEY);
+    }
+  }
+
+  function isInCart(id) {
+    return getCart().indexOf(id) !== -1;
+  }
+
+  function addToCart(id) {
+    if (!isInCart(id)) {
+      setCart(getCart().concat(id));
+    }
+  }
+
+  function removeFromCart(id) {
+    setCart(getCart().filter(function (cartId) { return cartId !== id; }));
+  }
+
+  /* ------------------------------------------------------------------ */
+  /* Helpers                                                             */
+  /* ------------------------------------------------------------------ */
+
+  function escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function slug(name) {
+    return name.toLowerCase().replace(/\s+/g, '-');
+  }
+
+  function formatPrice(price) {
+    return '$' + price.toFixed(2);
+  }
+
+  function findProduct(id) {
+    for (var i = 0; i < PRODUCTS.length; i++) {
+      if (PRODUCTS[i].id === id) {
+        return PRODUCTS[i];
+      }
+    }
+    return null;
+  }
+
+  function imageFor(product) {
+    var broken = hasDefect('broken-images') || (hasDefect('visual') && product.id === 4);
+    return '/static/media/' + (broken ? 'sl-404' : product.image) + '.svg';
+  }
+
+  function priceFor(product) {
+    // visual_user sees a different price on every render of the inventory
+    if (hasDefect('visual')) {
+      return Math.round(Math.random() * 10000) / 100;
+    }
+    return product.price;
+  }
+
+  function detailHref(product) {
+    var id = hasDefect('wrong-detail-link') ? product.id + 1 : product.id;
+    return '/inventory-item.html?id=' + id;
+  }
+
+  function go(path) {
+    window.location.href = path;
+  }
+
+  /* ------------------------------------------------------------------ */
+  /* Shared layout: header, burger menu and footer                       */
+  /* ------------------------------------------------------------------ */
+
+  function cartBadge() {
+    var count = getCart().length;
+    return count ? '<span class="shopping_cart_badge" data-test="shopping-cart-badge">' + count + '</span>' : '';
+  }
+
+  function header(title, secondary) {
+    var cartClass = 'shopping_cart_container' + (hasDefect('visual') ? ' visual_failure' : '');
+    return [
+      '<div id="header_container" class="header_container" data-test="header-container">',
+      '<div class="primary_header" data-test="primary-header">',
+      '<div id="menu_button_container">',
+      '<div class="bm-burger-button"><button type="button" id="react-burger-menu-btn">Open Menu</button></div>',
+      '<div class="bm-menu-wrap" aria-hidden="true" hidden>',
+      '<nav class="bm-item-list">',
+      '<a id="inventory_sidebar_link" class="bm-item menu-item" href="/inventory.html" data-test="inventory-sidebar-link">All Items</a>',
+      '<a id="about_sidebar_link" class="bm-item menu-item" href="https://saucelabs.com/" data-test="about-sidebar-link">About</a>',
+      '<a id="logout_sidebar_link" class="bm-item menu-item" href="#" data-test="logout-sidebar-link">Logout</a>',
+      '<a id="reset_sidebar_link" class="bm-item menu-item" href="#" data-test="reset-sidebar-link">Reset App State</a>',
+      '</nav>',
+      '<div class="bm-cross-button"><button type="button" id="react-burger-cross-btn">Close Menu</button></div>',
+      '</div>',
+      '</div>',
+      '<div class="header_label"><div class="app_logo">Swag Labs</div></div>',
+      '<div id="shopping_cart_container" class="' + cartClass + '">',
+      '<a class="shopping_cart_link" data-test="shopping-cart-link" href="/cart.html">' + cartBadge() + '</a>',
+      '</div>',
+      '</div>',
+      '<div class="header_secondary_container" data-test="secondary-header">',
+      title ? '<span class="title" data-test="title">' + escapeHtml(title) + '</span>' : '',
+      secondary || '',
+      '</div>',
+      '</div>',
+    ].join('');
+  }
+
+  function footer() {
+    return [
+      '<footer class="footer" data-test="footer">',
+      '<ul class="social">',
+      '<li class="social_twitter"><a href="https://twitter.com/saucelabs" target="_blank" rel="noreferrer" data-test="social-twitter">Twitter</a></li>',
+      '<li class="social_facebook"><a href="https://www.facebook.com/saucelabs" target="_blank" rel="noreferrer" data-test="social-facebook">Facebook</a></li>',
+      '<li class="social_linkedin"><a href="https://www.linkedin.com/company/sauce-labs/" target="_blank" rel="noreferrer" data-test="social-linkedin">LinkedIn</a></li>',
+      '</ul>',
+      '<div class="footer_copy" data-test="footer-copy">© ' + new Date().getFullYear() +
+        ' Sauce Labs. All Rights Reserved. Terms of Service | Privacy Policy</div>',
+      '</footer>',
+    ].join('');
+  }
+
+  function layout(title, secondary, content) {
+    root.innerHTML = [
+      '<div id="page_wrapper" class="page_wrapper">',
+      '<div id="contents_wrapper">',
+      header(title, secondary),
+      content,
+      '</div>',
+      footer(),
+      '</div>',
+    ].join('');
+    bindLayout();
+  }
+
+  function refreshBadge() {
+    var link = root.querySelector('.shopping_cart_link');
+    if (link) {
+      link.innerHTML = cartBadge();
+    }
+  }
+
+  function setMenuOpen(open) {
+    var menu = root.querySelector('.bm-menu-wrap');
+    menu.hidden = !open;
+    menu.setAttribute('aria-hidden', String(!open));
+  }
+
+  function bindLayout() {
+    root.querySelector('#react-burger-menu-btn').addEventListener('click', function () {
+      setMenuOpen(true);
+    });
+    root.querySelector('#react-burger-cross-btn').addEventListener('click', function () {
+      setMenuOpen(false);
+    });
+    root.querySelector('#logout_sidebar_link').addEventListener('click', function (event) {
+      event.preventDefault();
+      clearUser();
+      go('/');
+    });
+    root.querySelector('#reset_sidebar_link').addEventListener('click', function (event) {
+      event.preventDefault();
+      setCart([]);
+      sortMode = 'az';
+      render();
+    });
+  }
+
+  /* ------------------------------------------------------------------ */
+  /* Login                                                               */
+  /* ------------------------------------------------------------------ */
+
+  var ERROR_ICON = '<svg aria-hidden="true" width="10" height="10" viewBox="0 0 10 10">' +
+    '<path d="M1 1l8 8M9 1l-8 8" stroke="currentColor" stroke-width="2"/></svg>';
+
+  function loginError(container, inputs, message) {
+    if (!message) {
+      container.classList.remove('error');
+      container.innerHTML = '';
+      inputs.forEach(function (input) { input.classList.remove('input_error', 'error'); });
+      return;
+    }
+    container.classList.add('error');
+    container.innerHTML = '<h3 data-test="error"><button type="button" class="error-button" data-test="error-button" aria-label="close error">' +
+      ERROR_ICON + '</button>' + escapeHtml(message) + '</h3>';
+    inputs.forEach(function (input) { input.classList.add('input_error', 'error'); });
+    container.querySelector('.error-button').addEventListener('click', function () {
+      loginError(container, inputs, null);
+    });
+  }
+
+  function renderLogin(initialError) {
+    root.innerHTML = [
+      '<div class="login_container">',
+      '<div class="login_logo">Swag Labs</div>',
+      '<div class="login_wrapper"><div class="login_wrapper-inner"><div class="form_column"><div class="login-box">',
+      '<form novalidate>',
+      '<div class="form_group"><input class="input_error form_input" placeholder="Username" type="text" data-test="username" id="user-name" name="user-name" autocorrect="off" autocapitalize="none"></div>',
+      '<div class="form_group"><input class="input_error form_input" placeholder="Password" type="password" data-test="password" id="password" name="password" autocorrect="off" autocapitalize="none"></div>',
+      '<div class="error-message-container"></div>',
+      '<input type="submit" class="submit-button btn_action" data-test="login-button" id="login-button" name="login-button" value="Login">',
+      '</form>',
+      '</div></div></div></div>',
+      '<div class="login_credentials_wrap"><div class="login_credentials_wrap-inner">',
+      '<div class="login_credentials" data-test="login-credentials"><h4>Accepted usernames are:</h4>' + USERS.join('<br>') + '</div>',
+      '<div class="login_password" data-test="login-password"><h4>Password for all users:</h4>' + PASSWORD + '</div>',
+      '</div></div>',
+      '</div>',
+    ].join('');
+
+    var form = root.querySelector('form');
+    var username = root.querySelector('[data-test="username"]');
+    var password = root.querySelector('[data-test="password"]');
+    var errorContainer = root.querySelector('.error-message-container');
+    var inputs = [username, password];
+    inputs.forEach(function (input) { input.classList.remove('input_error'); });
+
+    if (initialError) {
+      loginError(errorContainer, inputs, initialError);
+    }
+
+    form.addEventListener('submit', function (event) {
+      event.preventDefault();
+      var user = username.value;
+
+      if (!user) {
+        loginError(errorContainer, inputs, 'Epic sadface: Username is required');
+      } else if (!password.value) {
+        loginError(errorContainer, inputs, 'Epic sadface: Password is required');
+      } else if (USERS.indexOf(user) === -1 || password.value !== PASSWORD) {
+        loginError(errorContainer, inputs, 'Epic sadface: Username and password do not match any user in this service');
+      } else if (LOCKED_OUT_USERS.indexOf(user) !== -1) {
+        loginError(errorContainer, inputs, 'Epic sadface: Sorry, this user has been locked out.');
+      } else {
+        loginError(errorContainer, inputs, null);
+        setUser(user);
+        if (hasDefect('slow-login')) {
+          setTimeout(function () { go('/inventory.html'); }, PERFORMANCE_GLITCH_MS);
+        } else {
+          go('/inventory.html');
+        }
+      }
+    });
+  }
+
+  /* ------------------------------------------------------------------ */
+  /* Inventory                                                           */
+  /* ------------------------------------------------------------------ */
+
+  function sortedProducts() {
+    var products = PRODUCTS.slice();
+    var compare = {
+      az: function (a, b) { return a.name.localeCompare(b.name); },
+      za: function (a, b) { return b.name.localeCompare(a.name); },
+      lohi: function (a, b) { return a.price - b.price || a.name.localeCompare(b.name); },
+      hilo: function (a, b) { return b.price - a.price || a.name.localeCompare(b.name); },
+    }[sortMode];
+    return products.sort(compare);
+  }
+
+  function cartButton(product, compact) {
+    var inCart = isInCart(product.id);
+    var action = inCart ? 'remove' : 'add-to-cart';
+    var id = compact ? action : action + '-' + slug(product.name);
+    var style = inCart ? 'btn_secondary' : 'btn_primary';
+    return '<button type="button" class="btn ' + style + ' btn_small btn_inventory" data-test="' + escapeHtml(id) +
+      '" id="' + escapeHtml(id) + '" name="' + escapeHtml(id) + '" data-product-id="' + product.id + '">' +
+      (inCart ? 'Remove' : 'Add to cart') + '</button>';
+  }
+
+  /**
+   * Toggle a product in the cart, honoring the persona's broken buttons
+   */
+  function toggleCart(id) {
+    if (isInCart(id)) {
+      if (hasDefect('remove-error')) {
+        throw new Error('Failed to remove item from cart.');
+      }
+      removeFromCart(id);
+      return;
+    }
+    if (hasDefect('broken-cart-buttons') && BROKEN_CART_BUTTON_IDS.indexOf(id) !== -1) {
+      if (hasDefect('cart-errors')) {
+        console.error('Failed to add item to the cart.');
+      }
+      return;
+    }
+    addToCart(id);
+  }
+
+  function inventoryItem(product) {
+    var href = detailHref(product);
+    return [
+      '<div class="inventory_item" data-test="inventory-item">',
+      '<div class="inventory_item_img">',
+      '<a id="item_' + product.id + '_img_link" href="' + href + '" data-test="item-' + product.id + '-img-link">',
+      '<img alt="' + escapeHtml(product.name) + '" class="inventory_item_img" src="' + imageFor(product) +
+        '" data-test="inventory-item-' + escapeHtml(slug(product.name)) + '-img">',
+      '</a>',
+      '</div>',
+      '<div class="inventory_item_description" data-test="inventory-item-description">',
+      '<div class="inventory_item_label">',
+      '<a id="item_' + product.id + '_title_link" href="' + href + '" data-test="item-' + product.id + '-title-link">',
+      '<div class="inventory_item_name" data-test="inventory-item-name">' + escapeHtml(product.name) + '</div>',
+      '</a>',
+      '<div class="inventory_item_desc" data-test="inventory-item-desc">' + escapeHtml(product.desc) + '</div>',
+      '</div>',
+      '<div class="pricebar">',
+      '<div class="inventory_item_price" data-test="inventory-item-price">' + formatPrice(priceFor(product)) + '</div>',
+      cartButton(product, false),
+      '</div>',
+      '</div>',
+      '</div>',
+    ].join('');
+  }
+
+  function sortSelect() {
+    var active = SORT_OPTIONS.filter(function (option) { return option.value === sortMode; })[0];
+    return [
+      '<div class="right_component">',
+      '<span class="select_container">',
+      '<span class="active_option" data-test="active-option">' + active.label + '</span>',
+      '<select class="product_sort_container" data-test="product-sort-container">',
+      SORT_OPTIONS.map(function (option) {
+        return '<option value="' + option.value + '"' + (option.value === sortMode ? ' selected' : '') + '>' +
+          option.label + '</option>';
+      }).join(''),
+      '</select>',
+      '</span>',
+      '</div>',
+    ].join('');
+  }
+
+  function renderInventoryList() {
+    root.querySelector('.inventory_list').innerHTML = sortedProducts().map(inventoryItem).join('');
+  }
+
+  function renderInventory() {
+    layout('Products', sortSelect(), [
+      '<div id="inventory_container" class="inventory_container" data-test="inventory-container">',
+      '<div class="inventory_list" data-test="inventory-list"></div>',
+      '</div>',
+    ].join(''));
+    renderInventoryList();
+
+    var select = root.querySelector('.product_sort_container');
+    select.addEventListener('change', function () {
+      var requested = select.value;
+      root.querySelector('.active_option').textContent = select.options[select.selectedIndex].text;
+
+      if (hasDefect('sort-error')) {
+        console.error('Sorting is broken! This error has been reported to Backtrace.');
+        window.alert('Sorting is broken! This error has been reported to Backtrace.');
+        return;
+      }
+      if (hasDefect('broken-sort')) {
+        return;
+      }
+      sortMode = requested;
+      renderInventoryList();
+    });
+
+    root.querySelector('.inventory_list').addEventListener('click', function (event) {
+      var button = event.target.closest('button[data-product-id]');
+      if (!button) {
+        return;
+      }
+      var id = Number(button.getAttribute('data-product-id'));
+      toggleCart(id);
+      button.outerHTML = cartButton(findProduct(id), false);
+      refreshBadge();
+    });
+  }
+
+  /* ------------------------------------------------------------------ */
+  /* Product detail                                                      */
+  /* ------------------------------------------------------------------ */
+
+  function renderDetail() {
+    var id = Number(new URLSearchParams(window.location.search).get('id'));
+    var product = findProduct(id);
+    var back = '<button type="button" class="btn btn_secondary back btn_large inventory_details_back_button" ' +
+      'data-test="back-to-products" id="back-to-products">Back to products</button>';
+
+    if (!product) {
+      layout(null, back, [
+        '<div class="inventory_details" data-test="inventory-container">',
+        '<div class="inventory_details_desc_container">',
+        '<div class="inventory_details_name large_size" data-test="inventory-item-name">ITEM NOT FOUND</div>',
+        '<div class="inventory_details_desc large_size" data-test="inventory-item-desc">',
+        "We're sorry, but your call could not be completed as dialled. Please check your number, and try your call again.",
+        '</div>',
+        '</div>',
+        '</div>',
+      ].join(''));
+    } else {
+      layout(null, back, [
+        '<div class="inventory_details" data-test="inventory-container">',
+        '<div class="inventory_details_container">',
+        '<div class="inventory_details_img_container">',
+        '<img alt="' + escapeHtml(product.name) + '" class="inventory_details_img" src="' + imageFor(product) +
+          '" data-test="item-' + escapeHtml(slug(product.name)) + '-img">',
+        '</div>',
+        '<div class="inventory_details_desc_container">',
+        '<div class="inventory_details_name large_size" data-test="inventory-item-name">' + escapeHtml(product.name) + '</div>',
+        '<div class="inventory_details_desc large_size" data-test="inventory-item-desc">' + escapeHtml(product.desc) + '</div>',
+        '<div class="inventory_details_price" data-test="inventory-item-price">' + formatPrice(product.price) + '</div>',
+        cartButton(product, true),
+        '</div>',
+        '</div>',
+        '</div>',
+      ].join(''));
+
+      root.querySelector('.inventory_details').addEventListener('click', function (event) {
+        var button = event.target.closest('button[data-product-id]');
+        if (!button) {
+          return;
+        }
+        toggleCart(product.id);
+        button.outerHTML = cartButton(product, true);
+        refreshBadge();
+      });
+    }
+
+    root.querySelector('#back-to-products').addEventListener('click', function () {
+      go('/inventory.html');
+    });
+  }
+
+  /* ------------------------------------------------------------------ */
+  /* Cart and checkout                                                   */
+  /* ------------------------------------------------------------------ */
+
+  function cartProducts() {
+    return getCart().map(findProduct).filter(Boolean);
+  }
+
+  function cartItem(product, removable) {
+    var removeId = 'remove-' + slug(product.name);
+    return [
+      '<div class="cart_item" data-test="inventory-item">',
+      '<div class="cart_quantity" data-test="item-quantity">1</div>',
+      '<div class="cart_item_label">',
+      '<a id="item_' + product.id + '_title_link" href="/inventory-item.html?id=' + product.id +
+        '" data-test="item-' + product.id + '-title-link">',
+      '<div class="inventory_item_name" data-test="inventory-item-name">' + escapeHtml(product.name) + '</div>',
+      '</a>',
+      '<div class="inventory_item_desc" data-test="inventory-item-desc">' + escapeHtml(product.desc) + '</div>',
+      '<div class="item_pricebar" data-test="item-pricebar">',
+      '<div class="inventory_item_price" data-test="inventory-item-price">' + formatPrice(product.price) + '</div>',
+      removable
+        ? '<button type="button" class="btn btn_secondary btn_small cart_button" data-test="' + escapeHtml(removeId) +
+          '" id="' + escapeHtml(removeId) + '" data-product-id="' + product.id + '">Remove</button>'
+        : '',
+      '</div>',
+      '</div>',
+      '</div>',
+    ].join('');
+  }
+
+  function cartList(removable) {
+    return [
+      '<div class="cart_list" data-test="cart-list">',
+      '<div class="cart_quantity_label" data-test="cart-quantity-label">QTY</div>',
+      '<div class="cart_desc_label" data-test="cart-desc-label">Description</div>',
+      cartProducts().map(function (product) { return cartItem(product, removable); }).join(''),
+      '</div>',
+    ].join('');
+  }
+
+  function renderCart() {
+    var checkoutClass = 'btn btn_action btn_medium checkout_button' + (hasDefect('visual') ? ' btn_visual_failure' : '');
+    layout('Your Cart', '', [
+      '<div id="cart_contents_container" class="cart_contents_container" data-test="cart-contents-container">',
+      '<div>',
+      cartList(true),
+      '<div class="cart_footer">',
+      '<button type="button" class="btn btn_secondary back btn_medium" data-test="continue-shopping" id="continue-shopping">Continue Shopping</button>',
+      '<button type="button" class="' + checkoutClass + '" data-test="checkout" id="checkout">Checkout</button>',
+      '</div>',
+      '</div>',
+      '</div>',
+    ].join(''));
+
+    root.querySelector('.cart_list').addEventListener('click', function (event) {
+      var button = event.target.closest('button[data-product-id]');
+      if (!button) {
+        return;
+      }
+      removeFromCart(Number(button.getAttribute('data-product-id')));
+      button.closest('.cart_item').remove();
+      refreshBadge();
+    });
+    root.querySelector('#continue-shopping').addEventListener('click', function () {
+      go('/inventory.html');
+    });
+    root.querySelector('#checkout').addEventListener('click', function () {
+      go('/checkout-step-one.html');
+    });
+  }
+
+  function renderCheckoutInformation() {
+    layout('Checkout: Your Information', '', [
+      '<div id="checkout_info_container" class="checkout_info_container" data-test="checkout-info-container">',
+      '<div class="checkout_info_wrapper">',
+      '<form novalidate>',
+      '<div class="checkout_info">',
+      '<div class="form_group"><input class="form_input" placeholder="First Name" type="text" data-test="firstName" id="first-name" name="firstName" autocorrect="off" autocapitalize="none"></div>',
+      '<div class="form_group"><input class="form_input" placeholder="Last Name" type="text" data-test="lastName" id="last-name" name="lastName" autocorrect="off" autocapitalize="none"></div>',
+      '<div class="form_group"><input class="form_input" placeholder="Zip/Postal Code" type="text" data-test="postalCode" id="postal-code" name="postalCode" autocorrect="off" autocapitalize="none"></div>',
+      '<div class="error-message-container"></div>',
+      '</div>',
+      '<div class="checkout_buttons">',
+      '<button type="button" class="btn btn_secondary back btn_medium cart_cancel_link" data-test="cancel" id="cancel">Cancel</button>',
+      '<input type="submit" class="submit-button btn btn_primary cart_button btn_action" data-test="continue" id="continue" name="continue" value="Continue">',
+      '</div>',
+      '</form>',
+      '</div>',
+      '</div>',
+    ].join(''));
+
+    var firstName = root.querySelector('[data-test="firstName"]');
+    var lastName = root.querySelector('[data-test="lastName"]');
+    var postalCode = root.querySelector('[data-test="postalCode"]');
+    var errorContainer = root.querySelector('.error-message-container');
+    var inputs = [firstName, lastName, postalCode];
+
+    lastName.addEventListener('input', function () {
+      // problem_user types the last name into the first name field; error_user cannot type it at all
+      if (hasDefect('last-name-into-first-name')) {
+        firstName.value = lastName.value.slice(-1);
+        lastName.value = '';
+      } else if (hasDefect('last-name-disabled')) {
+        lastName.value = '';
+      }
+    });
+
+    root.querySelector('form').addEventListener('submit', function (event) {
+      event.preventDefault();
+      if (!firstName.value) {
+        loginError(errorContainer, inputs, 'Error: First Name is required');
+      } else if (!lastName.value) {
+        loginError(errorContainer, inputs, 'Error: Last Name is required');
+      } else if (!postalCode.value) {
+        loginError(errorContainer, inputs, 'Error: Postal Code is required');
+      } else {
+        go('/checkout-step-two.html');
+      }
+    });
+    root.querySelector('#cancel').addEventListener('click', function () {
+      go('/cart.html');
+    });
+  }
+
+  function renderCheckoutOverview() {
+    var subtotal = cartProducts().reduce(function (sum, product) { return sum + product.price; }, 0);
+    var tax = Math.round(subtotal * 0.08 * 100) / 100;
+    var total = Math.round((subtotal + tax) * 100) / 100;
+
+    layout('Checkout: Overview', '', [
+      '<div id="checkout_summary_container" class="checkout_summary_container" data-test="checkout-summary-container">',
+      '<div>',
+      cartList(false),
+      '<div class="summary_info">',
+      '<div class="summary_info_label" data-test="payment-info-label">Payment Information:</div>',
+      '<div class="summary_value_label" data-test="payment-info-value">SauceCard #31337</div>',
+      '<div class="summary_info_label" data-test="shipping-info-label">Shipping Information:</div>',
+      '<div class="summary_value_label" data-test="shipping-info-value">Free Pony Express Delivery!</div>',
+      '<div class="summary_info_label" data-test="total-info-label">Price Total</div>',
+      '<div class="summary_subtotal_label" data-test="subtotal-label">Item total: ' + formatPrice(subtotal) + '</div>',
+      '<div class="summary_tax_label" data-test="tax-label">Tax: ' + formatPrice(tax) + '</div>',
+      '<div class="summary_info_label summary_total_label" data-test="total-label">Total: ' + formatPrice(total) + '</div>',
+      '<div class="cart_footer">',
+      '<button type="button" class="btn btn_secondary back btn_medium cart_cancel_link" data-test="cancel" id="cancel">Cancel</button>',
+      '<button type="button" class="btn btn_action btn_medium cart_button" data-test="finish" id="finish">Finish</button>',
+      '</div>',
+      '</div>',
+      '</div>',
+      '</div>',
+    ].join(''));
+
+    root.querySelector('#cancel').addEventListener('click', function () {
+      go('/inventory.html');
+    });
+    root.querySelector('#finish').addEventListener('click', function () {
+      if (hasDefect('finish-error')) {
+        throw new Error('Failed to complete the order.');
+      }
+      setCart([]);
+      go('/checkout-complete.html');
+    });
+  }
+
+  function renderCheckoutComplete() {
+    layout('Checkout: Complete!', '', [
+      '<div id="checkout_complete_container" class="checkout_complete_container" data-test="checkout-complete-container">',
+      '<img alt="Pony Express" class="pony_express" src="/static/media/pony-express.svg" data-test="pony-express">',
+      '<h2 class="complete-header" data-test="complete-header">Thank you for your order!</h2>',
+      '<div class="complete-text" data-test="complete-text">Your order has been dispatched, and will arrive just as fast as the pony can get there!</div>',
+      '<button type="button" class="btn btn_primary btn_small" data-test="back-to-products" id="back-to-products">Back Home</button>',
+      '</div>',
+    ].join(''));
+
+    root.querySelector('#back-to-products').addEventListener('click', function () {
+      go('/inventory.html');
+    });
+  }
+
+  /* ------------------------------------------------------------------ */
+  /* Routing                                                             */
+  /* ------------------------------------------------------------------ */
+
+  var PAGES = {
+    '/inventory.html': renderInventory,
+    '/inventory-item.html': renderDetail,
+    '/cart.html': renderCart,
+    '/checkout-step-one.html': renderCheckoutInformation,
+    '/checkout-step-two.html': renderCheckoutOverview,
+    '/checkout-complete.html': renderCheckoutComplete,
+  };
+
+  function render() {
+    var path = window.location.pathname;
+
+    if (PROTECTED_PAGES.indexOf(path) !== -1) {
+      if (!getUser()) {
+        window.history.replaceState(null, '', '/');
+        renderLogin("Epic sadface: You can only access '" + path + "' when you are logged in.");
+        return;
+      }
+      PAGES[path]();
+      return;
+    }
+
+    // Anything else is the login page
+    renderLogin(null);
+  }
+
+  render();
+})();
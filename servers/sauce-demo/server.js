@@ -0,0 +1,68 @@
+/**
+ * Sauce Demo Stand-in Server
+ *
+ * Local copy of https://www.saucedemo.com used by LoginPage, ProductsPage
+ * and the auth specs, so the suite runs without network access.
+ *
+ * Like the real site, everything is rendered in the browser by
+ * static/js/app.js: the session is the `session-username` cookie and the
+ * cart is the `cart-contents` localStorage entry. The known personas
+ * (standard_user, locked_out_user, problem_user, performance_glitch_user,
+ * error_user, visual_user) keep their characteristic defects.
+ *
+ * Usage: node servers/sauce-demo/server.js (PORT defaults to 3100)
+ */
+
+const path = require('path');
+const { createStaticServer, listen, sendText } = require('../static-server');
+
+const root = path.join(__dirname, 'public');
+
+// Every page of the app is served by the same shell
+const routes = {};
+for (const page of [
+  '/',
+  '/index.html',
+  '/inventory.html',
+  '/inventory-item.html',
+  '/cart.html',
+  '/checkout-step-one.html',
+  '/checkout-step-two.html',
+  '/checkout-complete.html',
+]) {
+  routes[page] = 'index.html';
+}
+
+const IMAGE_COLORS = ['#132322', '#e2231a', '#3ddc91', '#474c55', '#ee9f27', '#7b61ff'];
+
+/**
+ * Product images are generated placeholders rather than binary files
+ */
+function productImage(res, name) {
+  const color = IMAGE_COLORS[name.length % IMAGE_COLORS.length];
+  const label = name === 'sl-404' ? '404' : name.replace(/-/g, ' ');
+  sendText(res, 200, [
+    '<svg xmlns="http://www.w3.org/2000/svg" width="240" height="300" viewBox="0 0 240 300">',
+    `<rect width="240" height="300" fill="${color}"/>`,
+    `<text x="120" y="150" fill="#fff" font-family="sans-serif" font-size="16" text-anchor="middle">${label}</text>`,
+    '</svg>',
+  ].join(''), 'image/svg+xml');
+}
+
+const server = createStaticServer(root, {
+  routes,
+  handler(req, res, url) {
+    const image = url.pathname.match(/^\/static\/media\/([a-z0-9-]+)\.svg$/);
+    if (image) {
+      productImage(res, image[1]);
+      return true;
+    }
+    return false;
+  },
+});
+
+if (require.main === module) {
+  listen(server, 'Sauce Demo stand-in', 3100);
+}
+
+module.exports = server;
@@ -0,0 +1,100 @@
+/**
+ * Static Server - Minimal HTTP server for the local demo-site stand-ins
+ *
+ * The stand-ins under servers/ replace the public demo sites the suite was
+ * written against, so the specs can run on machines with no network access.
+ * It only depends on Node's built-in modules so nothing extra is installed.
+ *
+ * Started by the webServer block in playwright.config.js
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon',
+};
+
+/**
+ * Send a file from disk, or a 404 if it does not exist
+ */
+function sendFile(res, filePath, status = 200) {
+  fs.readFile(filePath, (error, body) => {
+    if (error) {
+      sendText(res, 404, 'Not Found');
+      return;
+    }
+    const type = CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream';
+    res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+    res.end(body);
+  });
+}
+
+/**
+ * Send a string body with the given status and content type
+ */
+function sendText(res, status, body, type = 'text/plain; charset=utf-8') {
+  res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+  res.end(body);
+}
+
+/**
+ * Create a server for a directory of static files
+ *
+ * @param {string} root - Directory the files are served from
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.routes] - URL path -> file (relative to root)
+ * @param {Function} [options.handler] - (req, res, url) => boolean; return true when handled
+ */
+function createStaticServer(root, { routes = {}, handler } = {}) {
+  return http.createServer((req, res) => {
+    // A malformed target (e.g. //, http://[bad or /%E0%A4%A) would throw and take the server down
+    let url;
+    let pathname;
+    try {
+      url = new URL(req.url, 'http://localhost');
+      pathname = decodeURIComponent(url.pathname);
+    } catch {
+      sendText(res, 400, 'Bad Request');
+      return;
+    }
+
+    if (handler && handler(req, res, url)) {
+      return;
+    }
+
+    if (routes[url.pathname]) {
+      sendFile(res, path.join(root, routes[url.pathname]));
+      return;
+    }
+
+    // Never serve anything outside the root directory
+    const filePath = path.normalize(path.join(root, pathname));
+    if (!filePath.startsWith(root + path.sep)) {
+      sendText(res, 403, 'Forbidden');
+      return;
+    }
+    sendFile(res, filePath);
+  });
+}
+
+/**
+ * Start a server on the port from the PORT environment variable (or the default)
+ */
+function listen(server, name, defaultPort) {
+  const port = Number(process.env.PORT || defaultPort);
+  server.listen(port, () => {
+    console.log(`${name} listening on http://localhost:${port}`);
+  });
+  return server;
+}
+
+module.exports = { createStaticServer, listen, sendFile, sendText };
@@ -0,0 +1,71 @@
+/**
+ * TinyMCE-like editor for the /iframe fixture page
+ *
+ * Like TinyMCE, the editable document is written into an iframe without a
+ * src and the toolbar drives it through document.execCommand(). The hidden
+ * textarea is kept in sync with the editor HTML.
+ */
+(function () {
+  'use strict';
+
+  var iframe = document.getElementById('mce_0_ifr');
+  var textarea = document.getElementById('mce_0');
+  var buttons = document.querySelectorAll('.tox-tbtn[data-command]');
+  var path = document.querySelector('.tox-statusbar__path');
+
+  var doc = iframe.contentDocument;
+  doc.open();
+  doc.write(
+    '<!DOCTYPE html><html><head><style>' +
+    'body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; line-height: 1.4; margin: 1rem; }' +
+    '</style></head>' +
+    '<body id="tinymce" class="mce-content-body" data-id="mce_0" contenteditable="true" spellcheck="false">' +
+    '<p>Your content goes here.</p></body></html>'
+  );
+  doc.close();
+
+  function sync() {
+    textarea.value = doc.body.innerHTML;
+
+    buttons.forEach(function (button) {
+      if (button.hasAttribute('aria-pressed')) {
+        var pressed = false;
+        try {
+          pressed = doc.queryCommandState(button.getAttribute('data-command'));
+        } catch (error) {
+          pressed = false;
+        }
+        button.setAttribute('aria-pressed', String(pressed));
+      }
+    });
+
+    var selection = doc.getSelection();
+    var node = selection && selection.anchorNode;
+    var names = [];
+    while (node && node !== doc.body) {
+      if (node.nodeType === 1) {
+        names.unshift(node.nodeName.toLowerCase());
+      }
+      node = node.parentNode;
+    }
+    path.textContent = names.join(' » ') || 'p';
+  }
+
+  buttons.forEach(function (button) {
+    // Keep the selection inside the editor while the toolbar is used
+    button.addEventListener('mousedown', function (event) {
+      event.preventDefault();
+    });
+    button.addEventListener('click', function () {
+      doc.body.focus();
+      doc.execCommand(button.getAttribute('data-command'), false, null);
+      sync();
+    });
+  });
+
+  doc.addEventListener('input', sync);
+  doc.addEventListener('keyup', sync);
+  doc.addEventListener('mouseup', sync);
+  doc.addEventListener('selectionchange', sync);
+  sync();
+})();
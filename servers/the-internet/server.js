@@ -0,0 +1,39 @@
+/**
+ * The Internet Stand-in Server
+ *
+ * Local copy of the https://the-internet.herokuapp.com pages used by
+ * InternetPage and the multi-tab / iframe specs:
+ * - / (index links), /frames
+ * - /nested_frames with frame-top (left, middle, right) and frame-bottom
+ * - /iframe with a TinyMCE-like editor inside iframe#mce_0_ifr
+ * - /windows opening /windows/new in a new tab
+ *
+ * Usage: node servers/the-internet/server.js (PORT defaults to 3200)
+ */
+
+const path = require('path');
+const { createStaticServer, listen } = require('../static-server');
+
+const root = path.join(__dirname, 'public');
+
+const routes = {
+  '/': 'index.html',
+  '/frames': 'frames.html',
+  '/nested_frames': 'nested_frames.html',
+  '/frame_top': 'frame_top.html',
+  '/frame_left': 'frame_left.html',
+  '/frame_middle': 'frame_middle.html',
+  '/frame_right': 'frame_right.html',
+  '/frame_bottom': 'frame_bottom.html',
+  '/iframe': 'iframe.html',
+  '/windows': 'windows.html',
+  '/windows/new': 'windows-new.html',
+};
+
+const server = createStaticServer(root, { routes });
+
+if (require.main === module) {
+  listen(server, 'The Internet stand-in', 3200);
+}
+
+module.exports = server;
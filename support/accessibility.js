@@ -0,0 +1,222 @@
+/**
+ * AccessibilityAuditor - WCAG checks with axe-core, run offline in the browser
+ *
+ * Available in every test as the `a11y` fixture (fixtures/index.js). An audit
+ * covers the whole page, a page object's root, or any Locator/FrameLocator,
+ * and descends into the frames inside it:
+ * ```
+ * await a11y.audit(page);                                  // the whole page
+ * await a11y.audit(loginPage);                             // LoginPage's root
+ * await a11y.audit(internetPage.inFrame('frame-bottom'));  // one frame's document
+ * ```
+ * Each violation is reported by rule, impact and the selectors of the
+ * offending elements. Violations listed in config/a11y-known-issues.json only
+ * add an `a11y-warning` annotation; any other one fails the test at teardown.
+ * The `a11y-report` attachment holds every audit of the test.
+ *
+ * Known issues match on `rule`, plus any of `page` (page object name), `url`
+ * (part of the page path) and `selector` they set:
+ * ```
+ * { "url": "/inventory.html", "rule": "select-name", "reason": "Sort dropdown has no label" }
+ * ```
+ *
+ * PLAYWRIGHT vs CYPRESS:
+ * - Playwright: @axe-core/playwright injects axe into every frame through
+ *   the browser protocol, so framesets and cross-origin iframes are audited too
+ * - Cypress: cypress-axe runs in the app's window; iframes need extra
+ *   plumbing and the results come back through cy.checkA11y() callbacks
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AxeBuilder } = require('@axe-core/playwright');
+
+const KNOWN_ISSUES_FILE = path.join(__dirname, '..', 'config', 'a11y-known-issues.json');
+
+/* WCAG 2.0 and 2.1, levels A and AA */
+const WCAG_TAGS = ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'];
+
+/* Marks the audited element and the frame elements leading to it */
+const SCOPE_ATTRIBUTE = 'data-a11y-scope';
+
+/**
+ * Read and check the known-issues baseline
+ *
+ * @param {string} [file]
+ * @returns {Array<{rule: string, reason: string, page?: string, url?: string, selector?: string}>}
+ */
+function loadKnownIssues(file = KNOWN_ISSUES_FILE) {
+  const { issues } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  issues.forEach((issue, i) => {
+    if (!issue.rule || !issue.reason) {
+      throw new Error(`${path.basename(file)}: issue #${i + 1} needs a "rule" and a "reason"`);
+    }
+  });
+  return issues;
+}
+
+/**
+ * An axe target as one string; ' >>> ' steps into a frame
+ */
+function formatTarget(target) {
+  return target.map(part => (Array.isArray(part) ? part.join(' ') : part)).join(' >>> ');
+}
+
+/**
+ * Mark `root` and every frame element above it, so axe can be told to
+ * audit only that element: [frame, ..., element] selectors, one per frame level
+ *
+ * @returns {Promise<import('@playwright/test').ElementHandle[]>} the marked elements
+ */
+async function markScope(root, marker) {
+  // A FrameLocator stands for the whole document of its frame
+  const element = typeof root.owner === 'function' ? root.locator(':root') : root.first();
+  const handles = [await element.elementHandle()];
+
+  let frame = await handles[0].ownerFrame();
+  while (frame && frame.parentFrame()) {
+    handles.unshift(await frame.frameElement());
+    frame = frame.parentFrame();
+  }
+
+  for (const handle of handles) {
+    await handle.evaluate((el, [name, value]) => el.setAttribute(name, value), [SCOPE_ATTRIBUTE, marker]);
+  }
+  return handles;
+}
+
+async function unmarkScope(handles) {
+  for (const handle of handles) {
+    await handle.evaluate((el, name) => el.removeAttribute(name), SCOPE_ATTRIBUTE).catch(() => {});
+    await handle.dispose();
+  }
+}
+
+class AccessibilityAuditor {
+  /**
+   * @param {import('@playwright/test').Page} page
+   * @param {import('@playwright/test').TestInfo} testInfo
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.knownIssues] - defaults to config/a11y-known-issues.json
+   * @param {string[]} [options.tags] - axe rule tags to run, defaults to WCAG 2.1 A/AA
+   */
+  constructor(page, testInfo, { knownIssues = loadKnownIssues(), tags = WCAG_TAGS } = {}) {
+    this.page = page;
+    this.testInfo = testInfo;
+    this.knownIssues = knownIssues;
+    this.tags = tags;
+
+    /** One entry per audit: { name, url, violations } */
+    this.audits = [];
+
+    this._markers = 0;
+  }
+
+  /**
+   * Run axe and sort the violations into known and new
+   *
+   * @param {import('@playwright/test').Page|import('../pages/BasePage')|import('@playwright/test').Locator|import('@playwright/test').FrameLocator} [target]
+   *   what to audit - a page object is audited from its root
+   * @param {Object} [options]
+   * @param {string} [options.name] - label in the report; defaults to the page object's class name
+   * @param {string[]} [options.disableRules] - axe rule ids to skip in this audit
+   * @returns {Promise<{name: string, url: string, violations: Array<{rule: string, impact: string,
+   *   help: string, helpUrl: string, known: boolean, nodes: Array<{selector: string, known: boolean}>}>}>}
+   */
+  async audit(target = this.page, { name, disableRules = [] } = {}) {
+    const isPageObject = target.page !== undefined && target.root !== undefined;
+    const root = isPageObject ? target.root : target;
+    const label = name || (isPageObject ? target.constructor.name : root === this.page ? 'page' : 'element');
+
+    const builder = new AxeBuilder({ page: this.page }).withTags(this.tags);
+    if (disableRules.length) {
+      builder.disableRules(disableRules);
+    }
+
+    let marked = [];
+    if (root !== this.page) {
+      const marker = `a11y-${++this._markers}`;
+      marked = await markScope(root, marker);
+      builder.include(marked.map(() => `[${SCOPE_ATTRIBUTE}="${marker}"]`));
+    }
+
+    let results;
+    try {
+      results = await builder.analyze();
+    } finally {
+      await unmarkScope(marked);
+    }
+
+    const url = new URL(this.page.url()).pathname;
+    const violations = results.violations.map(violation => {
+      const nodes = violation.nodes.map(node => {
+        const selector = formatTarget(node.target);
+        return { selector, known: this._isKnown({ page: label, url, rule: violation.id, selector }) };
+      });
+      return {
+        rule: violation.id,
+        impact: violation.impact,
+        help: violation.help,
+        helpUrl: violation.helpUrl,
+        known: nodes.every(node => node.known),
+        nodes,
+      };
+    });
+
+    for (const violation of violations.filter(v => v.known)) {
+      this.testInfo.annotations.push({
+        type: 'a11y-warning',
+        description: `${label} (${url}): known issue ${violation.rule} [${violation.impact}] on ${violation.nodes.length} element(s)`,
+      });
+    }
+
+    const audit = { name: label, url, violations };
+    this.audits.push(audit);
+    return audit;
+  }
+
+  _isKnown({ page, url, rule, selector }) {
+    return this.knownIssues.some(issue =>
+      issue.rule === rule &&
+      (issue.page === undefined || issue.page === page) &&
+      (issue.url === undefined || url.includes(issue.url)) &&
+      (issue.selector === undefined || issue.selector === selector));
+  }
+
+  /**
+   * Violations of all audits that are not in the known-issues baseline,
+   * keeping only their new elements
+   */
+  getNewViolations() {
+    return this.audits.flatMap(({ name, url, violations }) => violations
+      .filter(violation => !violation.known)
+      .map(violation => ({ name, url, ...violation, nodes: violation.nodes.filter(node => !node.known) })));
+  }
+
+  /**
+   * Every audit of this test, for the report attachment
+   */
+  report() {
+    return { tags: this.tags, audits: this.audits };
+  }
+
+  /**
+   * Throw, listing every new violation with its elements
+   */
+  expectNoNewViolations() {
+    const found = this.getNewViolations();
+    if (found.length) {
+      const list = found.map(({ name, url, rule, impact, help, nodes }) =>
+        `  - [${impact}] ${rule} on ${name} (${url}): ${help}\n` +
+        nodes.map(node => `      ${node.selector}`).join('\n')).join('\n');
+      throw new Error(
+        `${found.length} accessibility violation(s) not in ${path.basename(KNOWN_ISSUES_FILE)}:\n${list}`);
+    }
+  }
+}
+
+AccessibilityAuditor.WCAG_TAGS = WCAG_TAGS;
+AccessibilityAuditor.KNOWN_ISSUES_FILE = KNOWN_ISSUES_FILE;
+AccessibilityAuditor.loadKnownIssues = loadKnownIssues;
+
+module.exports = AccessibilityAuditor;
@@ -0,0 +1,103 @@
+/**
+ * Saved persona sessions - log in once, reuse the state until its session runs out
+ *
+ * global-setup.js saves one storage state per persona (config/personas.js).
+ * Sauce Demo's session cookie expires 10 minutes after login, and a full run
+ * lasts much longer, so a state is judged by that cookie's expiry rather than
+ * by the age of its file: global setup logs in again when a session would run
+ * out soon, and the fixtures do the same before a test that loads a state it
+ * would outlive. The state is then written next to the old one and renamed
+ * over it, so a parallel worker never reads half a file.
+ *
+ * PLAYWRIGHT vs CYPRESS:
+ * - Playwright: the state is a JSON file, so its cookies' expiry can be read
+ *   without a browser
+ * - Cypress: cy.session() has a validate() callback that runs in the browser
+ *   before each test that restores the session
+ */
+
+const fs = require('fs');
+const LoginPage = require('../pages/LoginPage');
+const { PERSONAS, storageStatePath } = require('../config/personas');
+const { credentialsFor } = require('../config/environment');
+
+/**
+ * When the session cookie of a saved state expires, in ms since the epoch
+ *
+ * @param {string} file - storage state file
+ * @returns {number|null} null when there is no file or no session;
+ *   Infinity for a cookie that lasts as long as the browser
+ */
+function sessionExpiresAt(file) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  const { cookies = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const session = cookies.find(cookie => cookie.name === LoginPage.SESSION_COOKIE && cookie.value);
+  if (!session) {
+    return null;
+  }
+  return session.expires > 0 ? session.expires * 1000 : Infinity;
+}
+
+/**
+ * Whether a saved state's session stays valid for at least `ms` from now
+ */
+function isValidFor(file, ms) {
+  const expiresAt = sessionExpiresAt(file);
+  return expiresAt !== null && expiresAt - Date.now() > ms;
+}
+
+/**
+ * Log a persona in and save its storage state
+ *
+ * @param {import('@playwright/test').Browser} browser
+ * @param {string} username
+ * @param {{baseURL: string}} options
+ */
+async function saveAuthState(browser, username, { baseURL }) {
+  // One context per persona so no cookies or storage leak between them
+  const context = await browser.newContext({ baseURL });
+  try {
+    const loginPage = new LoginPage(await context.newPage());
+    await loginPage.navigateToLogin();
+    await loginPage.login(username, credentialsFor(username).password);
+
+    const file = storageStatePath(username);
+    const partial = `${file}.${process.pid}.tmp`;
+    await context.storageState({ path: partial });
+    fs.renameSync(partial, file);
+  } finally {
+    await context.close();
+  }
+}
+
+/**
+ * Log a persona in again unless its saved session stays valid for `validForMs`
+ *
+ * @param {import('@playwright/test').Browser} browser
+ * @param {string} username
+ * @param {{baseURL: string, validForMs: number}} options
+ * @returns {Promise<string>} the state file
+ */
+async function ensureAuthState(browser, username, { baseURL, validForMs }) {
+  const file = storageStatePath(username);
+  if (!isValidFor(file, validForMs)) {
+    await saveAuthState(browser, username, { baseURL });
+  }
+  return file;
+}
+
+/**
+ * The persona whose saved state a `storageState` value points at, if any
+ *
+ * @param {string|Object|undefined} storageState
+ * @returns {string|undefined}
+ */
+function personaOf(storageState) {
+  return typeof storageState === 'string'
+    ? PERSONAS.find(username => storageStatePath(username) === storageState)
+    : undefined;
+}
+
+module.exports = { sessionExpiresAt, isValidFor, saveAuthState, ensureAuthState, personaOf };
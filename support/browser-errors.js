@@ -0,0 +1,279 @@
+/**
+ * BrowserErrorCollector - console errors, uncaught exceptions and failed requests
+ *
+ * Available in every test as the `browserErrors` fixture (fixtures/index.js).
+ * The page fixture hands it the test's browser context, so it hears every
+ * page and popup of the context, and through them every frame. It records:
+ * - console: console.error() calls, and the browser's own error messages
+ * - pageerror: exceptions nothing caught
+ * - request: requests that failed at the network level or got a 4xx/5xx;
+ *   a load cancelled because its frame, or a frame around it, navigated
+ *   away is marked cancelledByNavigation, which the known-errors list allows
+ *
+ * Everything recorded goes into the `browser-errors` attachment. Whether an
+ * entry fails the test is up to the `browserErrorPolicy` option, one value
+ * per type: 'fail' (default), 'warn' (adds a `browser-error-warning`
+ * annotation) or 'ignore' (not recorded). Entries listed in
+ * config/known-browser-errors.json, or allowed by the test, never fail it:
+ * ```
+ * await network.serverError('**\/cart.html');
+ * browserErrors.allow({ url: '/cart.html' }, 'the test answers cart.html with a 500');
+ * ```
+ *
+ * PLAYWRIGHT vs CYPRESS:
+ * - Playwright: the browser context emits console, weberror and request
+ *   events for all of its pages; nothing fails unless a listener says so
+ * - Cypress: uncaught exceptions fail the test by default (silenced with
+ *   Cypress.on('uncaught:exception')); console errors need a cy.spy() on
+ *   window.console in every window
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const KNOWN_ERRORS_FILE = path.join(__dirname, '..', 'config', 'known-browser-errors.json');
+
+const TYPES = ['console', 'pageerror', 'request'];
+const POLICIES = ['fail', 'warn', 'ignore'];
+
+const DEFAULT_POLICY = { console: 'fail', pageerror: 'fail', request: 'fail' };
+
+/**
+ * Read and check the known-errors list
+ *
+ * @param {string} [file]
+ * @returns {Array<{type?: string, message?: string, url?: string, cancelledByNavigation?: boolean, reason: string}>}
+ */
+function loadKnownErrors(file = KNOWN_ERRORS_FILE) {
+  const { errors } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  errors.forEach((known, i) => {
+    if (!known.reason || (known.message === undefined && known.url === undefined && known.cancelledByNavigation === undefined)) {
+      throw new Error(`${path.basename(file)}: error #${i + 1} needs a "reason" and a "message", "url" or "cancelledByNavigation"`);
+    }
+    if (known.type !== undefined && !TYPES.includes(known.type)) {
+      throw new Error(`${path.basename(file)}: error #${i + 1} has unknown type "${known.type}"`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Whether a string, or a RegExp, matches a value; undefined matches anything
+ */
+function matches(criterion, value) {
+  if (criterion === undefined) {
+    return true;
+  }
+  return criterion instanceof RegExp ? criterion.test(value || '') : (value || '').includes(criterion);
+}
+
+/**
+ * URL of the page an event came from, if it still has one
+ */
+function pageUrl(page) {
+  return page && !page.isClosed() ? page.url() : null;
+}
+
+/**
+ * Frame that sent a request; service worker requests have none
+ */
+function requestFrame(request) {
+  try {
+    return request.frame();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * URL of the page that sent a request, if any
+ */
+function requestPageUrl(request) {
+  const frame = requestFrame(request);
+  return frame ? pageUrl(frame.page()) : null;
+}
+
+/**
+ * One line per entry: [type] message (url, on page)
+ */
+function formatEntry({ type, message, url, page }) {
+  const where = [url, page && page !== url ? `on ${page}` : null].filter(Boolean).join(', ');
+  return `[${type}] ${message}${where ? ` (${where})` : ''}`;
+}
+
+class BrowserErrorCollector {
+  /**
+   * @param {import('@playwright/test').TestInfo} testInfo
+   * @param {Object} [options]
+   * @param {{console?: string, pageerror?: string, request?: string}} [options.policy] -
+   *   fail, warn or ignore per type; missing types keep DEFAULT_POLICY
+   * @param {Array<Object>} [options.knownErrors] - defaults to config/known-browser-errors.json
+   */
+  constructor(testInfo, { policy = {}, knownErrors = loadKnownErrors() } = {}) {
+    this.testInfo = testInfo;
+    this.policy = { ...DEFAULT_POLICY, ...policy };
+    for (const [type, value] of Object.entries(this.policy)) {
+      if (!TYPES.includes(type)) {
+        throw new Error(`Unknown browser error type "${type}", expected one of: ${TYPES.join(', ')}`);
+      }
+      if (!POLICIES.includes(value)) {
+        throw new Error(`Unknown policy "${value}" for ${type} errors, expected one of: ${POLICIES.join(', ')}`);
+      }
+    }
+
+    /** Known errors and test-level allows: { type?, message?, url?, cancelledByNavigation?, reason } */
+    this.allowlist = [...knownErrors];
+
+    /** One entry per error, in the order they happened: { type, message, url, page } */
+    this.entries = [];
+
+    this._stops = [];
+  }
+
+  /**
+   * Listen to a browser context: every page it has or opens
+   *
+   * @param {import('@playwright/test').BrowserContext} context
+   */
+  watch(context) {
+    // Navigations started per frame. A request remembers the count of its frame and of the
+    // frames around it; if one of them navigated again before the request failed, the
+    // navigation cancelled it
+    const navigations = new WeakMap();
+    const sentAfter = new WeakMap();
+    const listeners = {
+      request: request => {
+        const frame = requestFrame(request);
+        if (!frame) {
+          return;
+        }
+        if (request.isNavigationRequest()) {
+          navigations.set(frame, (navigations.get(frame) || 0) + 1);
+        }
+        const counts = [];
+        for (let current = frame; current; current = current.parentFrame()) {
+          counts.push([current, navigations.get(current) || 0]);
+        }
+        sentAfter.set(request, counts);
+      },
+      console: message => {
+        if (message.type() === 'error') {
+          this.record({ type: 'console', message: message.text(), url: message.location().url, page: pageUrl(message.page()) });
+        }
+      },
+      weberror: webError => {
+        const page = pageUrl(webError.page());
+        this.record({ type: 'pageerror', message: webError.error().message, url: page, page });
+      },
+      requestfailed: request => {
+        const counts = sentAfter.get(request) || [];
+        this.record({
+          type: 'request',
+          message: request.failure()?.errorText || 'failed',
+          url: request.url(),
+          page: requestPageUrl(request),
+          cancelledByNavigation: counts.some(([frame, count]) => navigations.get(frame) > count),
+        });
+      },
+      response: response => {
+        if (response.status() >= 400) {
+          const request = response.request();
+          this.record({ type: 'request', message: `${response.status()} ${response.statusText()}`.trim(), url: request.url(), page: requestPageUrl(request) });
+        }
+      },
+    };
+    for (const [event, listener] of Object.entries(listeners)) {
+      context.on(event, listener);
+    }
+    this._stops.push(() => {
+      for (const [event, listener] of Object.entries(listeners)) {
+        context.off(event, listener);
+      }
+    });
+  }
+
+  /**
+   * Stop listening (called once the test is over, before the context closes
+   * and cuts off its requests)
+   */
+  stop() {
+    this._stops.splice(0).forEach(stop => stop());
+  }
+
+  /**
+   * Add an entry, unless its type is ignored
+   *
+   * @param {{type: string, message: string, url?: string, page?: string, cancelledByNavigation?: boolean}} entry
+   */
+  record(entry) {
+    if (this.policy[entry.type] !== 'ignore') {
+      this.entries.push({ ...entry, url: entry.url ?? null, page: entry.page ?? null });
+    }
+  }
+
+  /**
+   * Let the test produce matching errors without failing
+   *
+   * @param {{type?: string, message?: string|RegExp, url?: string|RegExp, cancelledByNavigation?: boolean}} match
+   * @param {string} reason
+   */
+  allow(match, reason) {
+    this.allowlist.push({ ...match, reason });
+  }
+
+  /**
+   * Reason an entry is allowed, or null
+   */
+  allowedBecause(entry) {
+    const allowed = this.allowlist.find(item =>
+      (item.type === undefined || item.type === entry.type) &&
+      matches(item.message, entry.message) &&
+      matches(item.url, entry.url) &&
+      (item.cancelledByNavigation === undefined || item.cancelledByNavigation === Boolean(entry.cancelledByNavigation)));
+    return allowed ? allowed.reason : null;
+  }
+
+  /**
+   * Entries that are not allowed and whose type is under the given policy
+   *
+   * @param {'fail'|'warn'} policy
+   */
+  unexpected(policy = 'fail') {
+    return this.entries.filter(entry => this.policy[entry.type] === policy && !this.allowedBecause(entry));
+  }
+
+  /**
+   * Every entry with the reason it is allowed, for the report attachment
+   */
+  report() {
+    return {
+      policy: this.policy,
+      entries: this.entries.map(entry => ({ ...entry, allowed: this.allowedBecause(entry) })),
+    };
+  }
+
+  /**
+   * Add a warning per entry under a warn policy, then throw, listing every
+   * entry under a fail policy
+   */
+  expectNoErrors() {
+    for (const entry of this.unexpected('warn')) {
+      this.testInfo.annotations.push({ type: 'browser-error-warning', description: formatEntry(entry) });
+    }
+    const found = this.unexpected('fail');
+    if (found.length) {
+      throw new Error([
+        `${found.length} browser error(s) not in ${path.basename(KNOWN_ERRORS_FILE)}:`,
+        ...found.map(entry => `  - ${formatEntry(entry)}`),
+        'Fix them, or call browserErrors.allow(match, reason) in the test.',
+      ].join('\n'));
+    }
+  }
+}
+
+BrowserErrorCollector.TYPES = TYPES;
+BrowserErrorCollector.DEFAULT_POLICY = DEFAULT_POLICY;
+BrowserErrorCollector.KNOWN_ERRORS_FILE = KNOWN_ERRORS_FILE;
+BrowserErrorCollector.loadKnownErrors = loadKnownErrors;
+
+module.exports = BrowserErrorCollector;
@@ -0,0 +1,287 @@
+/**
+ * Data-driven tests - one named test per row of a JSON or CSV table
+ *
+ * Scenario tables live in test-data/tables/. A spec loads a table and says
+ * once how a row is run; adding a scenario is then a matter of adding a row:
+ *
+ *   generateTests(test, loadTable('login.csv'), (row, details) => {
+ *     test(row.title, details, async ({ loginPage }) => {
+ *       await loginPage.navigateToLogin();
+ *       expect((await loginPage.tryLogin(row.username, row.password)).errorCode).toBe(row.expected);
+ *     });
+ *   }, { required: ['username', 'password', 'expected'] });
+ *
+ * The spec calls test() itself so that reports point at the spec, and passes
+ * `details` on: they carry the row's tags and a `data-row` annotation with
+ * the table file and line.
+ *
+ * Every row needs a `title`. These columns are understood by the generator
+ * itself; all the others are handed to the row function:
+ * - tags   Playwright tags, separated by spaces or ';' in CSV ('@' is optional)
+ * - skip   true/yes/x, or the reason, to skip the row
+ * - only   true/yes/x to run only the rows marked this way
+ * - fail   true/yes/x, or the reason, when the row is expected to fail (known bug)
+ *
+ * String cells may use {variables} passed in the options, e.g. {password}
+ * for the environment profile's password, so tables hold no secrets.
+ *
+ * Mistakes in a table (missing titles or columns, unexpected values,
+ * duplicate titles) are all reported at once, with the file and line,
+ * before any test runs.
+ *
+ * PLAYWRIGHT vs CYPRESS:
+ * - Playwright: tests are declared while the spec file loads, so a table
+ *   read with fs becomes real tests with their own titles, tags and retries
+ * - Cypress: cy.fixture() is only available inside a running test, so
+ *   generating it() blocks needs require() of JSON and a hand-written loop
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TABLES_DIR = path.join(__dirname, '..', 'test-data', 'tables');
+
+const RESERVED = ['title', 'tags', 'skip', 'only', 'fail'];
+const YES = ['true', 'yes', 'x', '1'];
+const NO = ['', 'false', 'no', '0'];
+
+/**
+ * Parse CSV text (RFC 4180: quoted cells may hold commas, quotes as "" and line breaks)
+ *
+ * Blank lines and lines starting with # are ignored.
+ *
+ * @param {string} text
+ * @returns {Array<{line: number, values: Object<string, string>}>} one entry per data row,
+ *   keyed by the header row, with the line the row starts on
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endCell = () => {
+    record.push(cell);
+    cell = '';
+  };
+  const endRecord = () => {
+    endCell();
+    const blank = record.length === 1 && record[0].trim() === '';
+    if (!blank && !record[0].startsWith('#')) {
+      records.push({ line: recordLine, cells: record });
+    }
+    record = [];
+  };
+
+  const source = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') {
+        i++;
+      }
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    throw new Error(`Unterminated quoted cell starting on line ${recordLine}`);
+  }
+  if (cell !== '' || record.length) {
+    endRecord();
+  }
+
+  const [header, ...rows] = records;
+  if (!header) {
+    return [];
+  }
+  const columns = header.cells.map(name => name.trim());
+  return rows.map(({ line: rowLine, cells }) => {
+    if (cells.length > columns.length) {
+      throw new Error(`Line ${rowLine} has ${cells.length} cells, the header has ${columns.length}`);
+    }
+    return { line: rowLine, values: Object.fromEntries(columns.map((name, i) => [name, (cells[i] ?? '').trim()])) };
+  });
+}
+
+/**
+ * Read a table of scenarios
+ *
+ * JSON tables are an array of rows, or { description, rows: [...] }.
+ *
+ * @param {string} file - a .csv or .json file, relative to test-data/tables/ or absolute
+ * @returns {{file: string, rows: Array<{source: string, values: Object}>}}
+ */
+function loadTable(file) {
+  const fullPath = path.resolve(TABLES_DIR, file);
+  const name = path.relative(path.join(__dirname, '..'), fullPath);
+  const text = fs.readFileSync(fullPath, 'utf8');
+
+  try {
+    if (fullPath.endsWith('.csv')) {
+      return { file: name, rows: parseCsv(text).map(({ line, values }) => ({ source: `${name}:${line}`, values })) };
+    }
+    if (fullPath.endsWith('.json')) {
+      const data = JSON.parse(text);
+      const rows = Array.isArray(data) ? data : data.rows;
+      if (!Array.isArray(rows)) {
+        throw new Error('expected an array of rows or { "rows": [...] }');
+      }
+      return { file: name, rows: rows.map((values, i) => ({ source: `${name} rows[${i}]`, values })) };
+    }
+  } catch (error) {
+    throw new Error(`Cannot read table ${name}: ${error.message}`);
+  }
+  throw new Error(`Unsupported table ${name}, expected a .csv or .json file`);
+}
+
+/**
+ * true, false or the text of a skip/fail cell
+ */
+function flag(value) {
+  if (value === undefined || value === null || typeof value === 'boolean') {
+    return !!value;
+  }
+  const text = String(value).trim();
+  if (YES.includes(text.toLowerCase())) {
+    return true;
+  }
+  return NO.includes(text.toLowerCase()) ? false : text;
+}
+
+function toTags(value) {
+  const tags = Array.isArray(value) ? value : String(value ?? '').split(/[\s;]+/);
+  return tags.filter(Boolean).map(tag => (tag.startsWith('@') ? tag : `@${tag}`));
+}
+
+/**
+ * Replace {name} in strings (also inside arrays) with the given variables
+ */
+function substitute(value, variables, problems, source) {
+  if (Array.isArray(value)) {
+    return value.map(item => substitute(item, variables, problems, source));
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+  return value.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in variables)) {
+      problems.push(`${source}: unknown variable ${match}`);
+      return match;
+    }
+    return variables[name];
+  });
+}
+
+/**
+ * Turn the raw rows of a table into test definitions
+ *
+ * @param {{file: string, rows: Array<{source: string, values: Object}>}} table
+ * @param {{required?: string[], allowed?: Object<string, Array>, variables?: Object<string, string>}} [options]
+ * @returns {Array<{title: string, source: string, tags: string[], skip: boolean|string,
+ *   only: boolean, fail: boolean|string, params: Object}>}
+ * @throws {Error} listing every problem in the table
+ */
+function readRows(table, { required = [], allowed = {}, variables = {} } = {}) {
+  const problems = [];
+  const titles = new Map();
+
+  const rows = table.rows.map(({ source, values }) => {
+    const title = String(values.title ?? '').trim();
+    if (!title) {
+      problems.push(`${source}: title is missing`);
+    } else if (titles.has(title)) {
+      problems.push(`${source}: title "${title}" is already used by ${titles.get(title)}`);
+    } else {
+      titles.set(title, source);
+    }
+
+    const params = {};
+    for (const [column, value] of Object.entries(values)) {
+      if (!RESERVED.includes(column)) {
+        params[column] = substitute(value, variables, problems, source);
+      }
+    }
+    for (const column of required) {
+      if (!(column in values)) {
+        problems.push(`${source}: column "${column}" is missing`);
+      }
+    }
+    for (const [column, choices] of Object.entries(allowed)) {
+      if (column in params && !choices.includes(params[column])) {
+        problems.push(`${source}: ${column} "${params[column]}" is not one of: ${choices.join(', ')}`);
+      }
+    }
+
+    return {
+      title,
+      source,
+      tags: toTags(values.tags),
+      skip: flag(values.skip),
+      only: flag(values.only) !== false,
+      fail: flag(values.fail),
+      params: { title, ...params },
+    };
+  });
+
+  if (problems.length) {
+    throw new Error(`Table ${table.file} has ${problems.length} problem(s):\n${problems.map(p => `  - ${p}`).join('\n')}`);
+  }
+  return rows;
+}
+
+/**
+ * Declare the tests of every row
+ *
+ * Call it where test() could be called: at the top of a spec or inside a
+ * describe. Each row gets an untitled describe of its own, which carries its
+ * skip, only and fail flags, so test titles are exactly the row titles.
+ *
+ * @param {import('@playwright/test').TestType} test - the test from fixtures/index.js
+ * @param {{file: string, rows: Array}} table - from loadTable()
+ * @param {(row: Object, details: {tag: string[], annotation: Object[]}) => void} declare -
+ *   given a row's values (title included) and the test details, declares its test
+ * @param {{required?: string[], allowed?: Object<string, Array>, variables?: Object<string, string>}} [options]
+ *   - required: columns every row must have
+ *   - allowed: the values a column may take, e.g. { expected: ['success', 'locked-out'] }
+ *   - variables: values for {name} in string cells
+ */
+function generateTests(test, table, declare, options) {
+  for (const row of readRows(table, options)) {
+    const details = { tag: row.tags, annotation: [{ type: 'data-row', description: row.source }] };
+    const describe = row.only ? test.describe.only : test.describe;
+
+    describe(() => {
+      if (row.skip) {
+        test.skip(true, typeof row.skip === 'string' ? row.skip : `skipped in ${row.source}`);
+      }
+      if (row.fail) {
+        test.fail(true, typeof row.fail === 'string' ? row.fail : `expected to fail in ${row.source}`);
+      }
+      declare(row.params, details);
+    });
+  }
+}
+
+module.exports = { generateTests, loadTable, readRows, parseCsv, TABLES_DIR };
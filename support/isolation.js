@@ -0,0 +1,227 @@
+/**
+ * StateIsolation - every test starts from a clean Sauce Demo and leaves one behind
+ *
+ * Available in every test as the `appState` fixture (fixtures/index.js), and
+ * wired into the `page` fixture, so a test does not call it. Each project picks
+ * how app state is cleared with the `isolation` option:
+ * - 'clear-storage' (default): the app's localStorage keys (the cart) are
+ *   stripped from the storage state the context starts with, and removed
+ *   from the page when the test ends
+ * - 'reset-app-state': a test that starts logged in opens the products page
+ *   and uses the menu's Reset App State, and the test ends with it too -
+ *   slower, but goes through the app's own reset
+ * - 'none': nothing is cleared or checked
+ * Sort order needs neither: Sauce Demo keeps it in memory only. A state
+ * passed with test.use({ storageState }) is taken as given, cart included,
+ * and only cleared when the test ends.
+ *
+ * A context starts from nothing but its storage state, so what can leak into
+ * another test is what a storage state holds: cookies and the localStorage of
+ * every origin. After the test's own clean-up the fixture compares both to
+ * what the test started with and fails a test that left anything added,
+ * changed or removed. The session cookie is the exception - logging in and out
+ * is up to the test. A test that leaves state on purpose says so:
+ * ```
+ * appState.allowLeftover('theme', 'the dark-mode test keeps its choice');
+ * ```
+ *
+ * PLAYWRIGHT vs CYPRESS:
+ * - Playwright: each test gets a new browser context, so isolation is about
+ *   what the context is seeded with - storageState - and what gets saved
+ *   back to a state file
+ * - Cypress: testIsolation clears cookies and storage before each test, but
+ *   cy.session() restores whatever the cached session held, cart included
+ */
+
+const fs = require('fs');
+const LoginPage = require('../pages/LoginPage');
+const CartPage = require('../pages/CartPage');
+const BurgerMenu = require('../pages/components/BurgerMenu');
+const { environment } = require('../config/environment');
+
+const MODES = ['clear-storage', 'reset-app-state', 'none'];
+
+/* localStorage keys Sauce Demo writes; the cart is the only one */
+const APP_STORAGE_KEYS = [CartPage.CART_STORAGE_KEY];
+
+/**
+ * A storage state (file path or object) without the app's localStorage keys
+ * Cookies, and so the session, are kept
+ *
+ * @param {string|Object|undefined} storageState - the `storageState` option
+ * @returns {Object|undefined}
+ */
+function withoutAppStorage(storageState) {
+  if (!storageState) {
+    return storageState;
+  }
+  const state = typeof storageState === 'string'
+    ? JSON.parse(fs.readFileSync(storageState, 'utf8'))
+    : storageState;
+  return {
+    cookies: state.cookies || [],
+    origins: (state.origins || []).map(origin => ({
+      ...origin,
+      localStorage: (origin.localStorage || []).filter(item => !APP_STORAGE_KEYS.includes(item.name)),
+    })),
+  };
+}
+
+/**
+ * Flatten a storage state into entries keyed by where they live, e.g.
+ * 'localStorage cart-contents on http://localhost:3100'
+ * The session cookie is left out: it belongs to login and logout.
+ *
+ * @returns {Map<string, {name: string, value: string}>}
+ */
+function stateEntries({ cookies, origins }) {
+  const entries = new Map();
+  for (const cookie of cookies) {
+    if (cookie.name !== LoginPage.SESSION_COOKIE) {
+      entries.set(`cookie ${cookie.name} on ${cookie.domain}${cookie.path}`, { name: cookie.name, value: cookie.value });
+    }
+  }
+  for (const { origin, localStorage } of origins) {
+    for (const item of localStorage) {
+      entries.set(`localStorage ${item.name} on ${origin}`, { name: item.name, value: item.value });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Differences between two stateEntries() maps, as readable lines
+ */
+function diffEntries(before, after) {
+  const changes = [];
+  for (const [key, entry] of after) {
+    if (!before.has(key)) {
+      changes.push({ name: entry.name, description: `${key} was added (${entry.value})` });
+    } else if (before.get(key).value !== entry.value) {
+      changes.push({ name: entry.name, description: `${key} changed from ${before.get(key).value} to ${entry.value}` });
+    }
+  }
+  for (const [key, entry] of before) {
+    if (!after.has(key)) {
+      changes.push({ name: entry.name, description: `${key} was removed` });
+    }
+  }
+  return changes;
+}
+
+class StateIsolation {
+  /**
+   * @param {import('@playwright/test').TestInfo} testInfo
+   * @param {Object} [options]
+   * @param {'clear-storage'|'reset-app-state'|'none'} [options.mode]
+   * @param {string} [options.baseURL] - the app's URL; its origin is the one cleaned up
+   */
+  constructor(testInfo, { mode = 'clear-storage', baseURL = environment.sauceDemoURL } = {}) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown isolation mode "${mode}", expected one of: ${MODES.join(', ')}`);
+    }
+    this.testInfo = testInfo;
+    this.mode = mode;
+    this.origin = new URL(baseURL).origin;
+    this.page = null;
+
+    /* Entries the test may leave behind: name -> reason */
+    this.allowed = new Map();
+    this._baseline = null;
+  }
+
+  /**
+   * Bring the app to its default state and remember what the test starts with
+   * Called by the page fixture before the test
+   *
+   * @param {import('@playwright/test').Page} page
+   */
+  async prepare(page) {
+    this.page = page;
+    if (this.mode === 'none') {
+      return;
+    }
+    if (this.mode === 'reset-app-state' && await this._isLoggedIn()) {
+      await page.goto(`${this.origin}/inventory.html`);
+      await new BurgerMenu(page).resetAppState();
+    }
+    // The clean state to end with: what the test starts with, minus the cart
+    this._baseline = stateEntries(withoutAppStorage(await page.context().storageState()));
+  }
+
+  /**
+   * Let the test leave a cookie or localStorage entry behind
+   *
+   * @param {string} name - cookie name or localStorage key
+   * @param {string} reason
+   */
+  allowLeftover(name, reason) {
+    this.allowed.set(name, reason);
+    this.testInfo.annotations.push({ type: 'leftover-state', description: `${name}: ${reason}` });
+  }
+
+  /**
+   * Clear the app state the test produced, the way the mode says
+   * Only the app's origin is cleaned; state on other origins is the test's
+   */
+  async cleanUp() {
+    const { page } = this;
+    if (this.mode === 'none' || !page || page.isClosed()) {
+      return;
+    }
+    await page.waitForLoadState('domcontentloaded');
+    if (!page.url().startsWith(`${this.origin}/`)) {
+      return;
+    }
+    if (this.mode === 'reset-app-state') {
+      // Reset through the menu where the page shows it, else fall back to storage
+      const menu = new BurgerMenu(page);
+      if (await menu.openButton.isVisible()) {
+        await menu.resetAppState();
+        return;
+      }
+    }
+    await page.evaluate(keys => keys.forEach(key => window.localStorage.removeItem(key)), APP_STORAGE_KEYS);
+  }
+
+  /**
+   * State that differs from the start of the test (the app's keys aside)
+   * and was not allowed
+   *
+   * @returns {Promise<string[]>}
+   */
+  async leftovers() {
+    if (!this._baseline) {
+      return [];
+    }
+    const now = stateEntries(await this.page.context().storageState());
+    return diffEntries(this._baseline, now)
+      .filter(change => !this.allowed.has(change.name))
+      .map(change => change.description);
+  }
+
+  /**
+   * Throws if the test left state behind (called by the page fixture at teardown)
+   */
+  async expectNoLeftovers() {
+    const leftovers = await this.leftovers();
+    if (leftovers.length) {
+      throw new Error([
+        `Test left ${leftovers.length} piece(s) of state behind (isolation: ${this.mode}):`,
+        ...leftovers.map(line => `  - ${line}`),
+        'Clean it up in the test, or call appState.allowLeftover(name, reason).',
+      ].join('\n'));
+    }
+  }
+
+  async _isLoggedIn() {
+    const cookies = await this.page.context().cookies(this.origin);
+    return cookies.some(cookie => cookie.name === LoginPage.SESSION_COOKIE && cookie.value);
+  }
+}
+
+StateIsolation.MODES = MODES;
+StateIsolation.APP_STORAGE_KEYS = APP_STORAGE_KEYS;
+StateIsolation.withoutAppStorage = withoutAppStorage;
+
+module.exports = StateIsolation;
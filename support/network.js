@@ -0,0 +1,260 @@
+/**
+ * NetworkMock - HAR record/replay and per-test stubs on top of context.route()
+ *
+ * Every test gets one through the `network` fixture (fixtures/index.js).
+ * What it does with real traffic depends on the mode, set by the
+ * environment profile (NETWORK_MODE) or per project with `use: { networkMode }`:
+ *
+ * - passthrough: traffic goes to the real servers, only declared stubs apply
+ * - record:      traffic goes to the real servers and is saved to a HAR file
+ * - replay:      traffic is answered from the HAR file, nothing reaches a server
+ *
+ * There is one recording per spec, hars/<spec>.har, shared by its tests and
+ * projects. A browser context writes its HAR when it closes, and every test
+ * runs in its own context - in parallel with the rest of the spec - so while
+ * recording each test writes a part to hars/.recording/<spec>/ and global
+ * teardown merges the parts into the spec's HAR (mergeRecordings()).
+ * Responses a stub answered are left out, so one test's 500 is never
+ * replayed to the others. Commit hars/*.har; the parts are not tracked.
+ *
+ * Stubs work in all three modes and win over the HAR:
+ * ```
+ * test('shows placeholders', async ({ network, authenticatedPage }) => {
+ *   await network.failImages();
+ *   await network.serverError('**\/cart.html');
+ *   await network.slow('**\/inventory.html', 2000);
+ * });
+ * ```
+ *
+ * PLAYWRIGHT vs CYPRESS:
+ * - Playwright: routes live on the browser context, so they also cover
+ *   popups and iframes; routeFromHAR() replays a whole recorded session
+ * - Cypress: cy.intercept() per request, fixtures per response, no HAR
+ *   support without plugins and no interception in other tabs
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const NETWORK_MODES = ['passthrough', 'record', 'replay'];
+
+const HAR_DIR = path.join(__dirname, '..', 'hars');
+const RECORDING_DIR = path.join(HAR_DIR, '.recording');
+
+/* Requests for images, whatever the extension */
+const IMAGE_PATTERN = /\.(png|jpe?g|gif|svg|webp|avif)(\?.*)?$/i;
+
+/**
+ * Lower-case words joined by dashes, for file and directory names
+ */
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+function specOf(testInfo) {
+  return path.basename(testInfo.file).replace(/\.spec\.js$/, '');
+}
+
+/**
+ * HAR file of a spec, e.g. hars/10-network-mocking.har
+ *
+ * @param {import('@playwright/test').TestInfo} testInfo
+ */
+function harPathFor(testInfo) {
+  return path.join(HAR_DIR, `${specOf(testInfo)}.har`);
+}
+
+/**
+ * Part a test records into, merged into its spec's HAR at global teardown, e.g.
+ * hars/.recording/10-network-mocking/mobile-chrome-network-mocking-replays-the-catalog.har
+ *
+ * @param {import('@playwright/test').TestInfo} testInfo
+ */
+function recordingPathFor(testInfo) {
+  const slug = slugify([testInfo.project.name, ...testInfo.titlePath.slice(1)].join(' '));
+  return path.join(RECORDING_DIR, specOf(testInfo), `${slug}.har`);
+}
+
+/**
+ * Merge the recorded parts into one HAR per spec and delete them
+ *
+ * Entries a stub fulfilled or aborted are dropped. A request recorded again
+ * (same method, URL and body) replaces the one already in the spec's HAR;
+ * requests this run did not make are kept, so recording part of a spec
+ * (--grep) does not lose the rest. Delete the HAR to start it over.
+ *
+ * @returns {string[]} the spec HARs written
+ */
+function mergeRecordings() {
+  if (!fs.existsSync(RECORDING_DIR)) {
+    return [];
+  }
+  const written = [];
+  for (const spec of fs.readdirSync(RECORDING_DIR)) {
+    const partsDir = path.join(RECORDING_DIR, spec);
+    const parts = fs.readdirSync(partsDir).filter(file => file.endsWith('.har'));
+    if (parts.length === 0) {
+      continue;
+    }
+    const harPath = path.join(HAR_DIR, `${spec}.har`);
+    const har = fs.existsSync(harPath) ? readHar(harPath) : null;
+    const entries = new Map((har ? har.log.entries : []).map(entry => [entryKey(entry), entry]));
+    let recorded = null;
+    for (const part of parts) {
+      recorded = readHar(path.join(partsDir, part));
+      for (const entry of recorded.log.entries) {
+        if (!entry._wasFulfilled && !entry._wasAborted && entry.response.status > 0) {
+          entries.set(entryKey(entry), entry);
+        }
+      }
+    }
+    const log = { ...(har || recorded).log, entries: [...entries.values()] };
+    log.entries.sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime));
+    fs.writeFileSync(harPath, JSON.stringify({ log }, null, 2));
+    written.push(harPath);
+  }
+  fs.rmSync(RECORDING_DIR, { recursive: true, force: true });
+  return written;
+}
+
+function readHar(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function entryKey({ request }) {
+  return `${request.method} ${request.url} ${request.postData ? request.postData.text : ''}`;
+}
+
+class NetworkMock {
+  /**
+   * @param {import('@playwright/test').BrowserContext} context
+   * @param {Object} options
+   * @param {string} options.mode - one of NETWORK_MODES
+   * @param {string} options.harPath - HAR file to record into (a part, see
+   *   recordingPathFor()) or replay from (the spec's, see harPathFor())
+   * @param {string|RegExp} [options.url] - only record/replay requests matching this
+   * @param {'abort'|'fallback'} [options.notFound] - replay: what to do with requests
+   *   missing from the HAR ('abort' keeps the run offline)
+   */
+  constructor(context, { mode, harPath, url, notFound = 'abort' }) {
+    if (!NETWORK_MODES.includes(mode)) {
+      throw new Error(`Unknown network mode "${mode}", expected one of: ${NETWORK_MODES.join(', ')}`);
+    }
+    this.context = context;
+    this.mode = mode;
+    this.harPath = harPath;
+    this.url = url;
+    this.notFound = notFound;
+
+    /** Declared stubs, each with a live `hits` counter */
+    this.stubs = [];
+  }
+
+  /**
+   * Start recording or replaying, depending on the mode
+   * Call before the first navigation
+   */
+  async start() {
+    if (this.mode === 'record') {
+      fs.mkdirSync(path.dirname(this.harPath), { recursive: true });
+      // The HAR is written when the context closes; embedded bodies keep the parts mergeable
+      await this.context.routeFromHAR(this.harPath, { update: true, updateContent: 'embed', url: this.url });
+    } else if (this.mode === 'replay') {
+      if (!fs.existsSync(this.harPath)) {
+        throw new Error(
+          `No HAR recording at ${path.relative(process.cwd(), this.harPath)}. ` +
+          'Record it first with NETWORK_MODE=record.',
+        );
+      }
+      await this.context.routeFromHAR(this.harPath, { url: this.url, notFound: this.notFound });
+    }
+  }
+
+  /**
+   * Remove every route, ignoring handlers still waiting (e.g. slow())
+   */
+  async stop() {
+    await this.context.unrouteAll({ behavior: 'ignoreErrors' });
+  }
+
+  /**
+   * Answer matching requests with a canned response
+   *
+   * @param {string|RegExp|Function} url - glob, regex or predicate, as in context.route()
+   * @param {Object} [response]
+   * @param {number} [response.status=200]
+   * @param {string|Buffer} [response.body]
+   * @param {Object} [response.json] - sent as the body with a JSON content type
+   * @param {string} [response.contentType]
+   * @param {Object<string, string>} [response.headers]
+   * @param {number} [response.delay] - ms to wait before answering
+   * @returns {Promise<{url: *, kind: string, hits: number}>} the stub, counting matched requests
+   */
+  async stub(url, { status = 200, body, json, contentType, headers, delay = 0 } = {}) {
+    return this._addStub(url, 'stub', async route => {
+      await wait(delay);
+      await route.fulfill({ status, body, json, contentType, headers });
+    });
+  }
+
+  /**
+   * Answer matching requests with a server error
+   *
+   * @param {string|RegExp|Function} url
+   * @param {{status?: number, body?: string}} [options]
+   */
+  async serverError(url, { status = 500, body = 'Internal Server Error' } = {}) {
+    return this._addStub(url, `${status}`, async route => {
+      await route.fulfill({ status, body, contentType: 'text/plain' });
+    });
+  }
+
+  /**
+   * Delay matching requests, then let them continue (to the server or the HAR)
+   *
+   * @param {string|RegExp|Function} url
+   * @param {number} ms
+   */
+  async slow(url, ms) {
+    return this._addStub(url, 'slow', async route => {
+      await wait(ms);
+      await route.fallback();
+    });
+  }
+
+  /**
+   * Make image requests fail as if the network dropped them
+   *
+   * @param {string|RegExp|Function} [url] - defaults to every image
+   */
+  async failImages(url = IMAGE_PATTERN) {
+    return this._addStub(url, 'failed-image', async route => {
+      await route.abort('failed');
+    });
+  }
+
+  async _addStub(url, kind, handler) {
+    const stub = { url, kind, hits: 0 };
+    this.stubs.push(stub);
+    await this.context.route(url, async route => {
+      stub.hits++;
+      await handler(route);
+    });
+    return stub;
+  }
+}
+
+function wait(ms) {
+  return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+}
+
+NetworkMock.MODES = NETWORK_MODES;
+NetworkMock.IMAGE_PATTERN = IMAGE_PATTERN;
+NetworkMock.harPathFor = harPathFor;
+NetworkMock.recordingPathFor = recordingPathFor;
+NetworkMock.mergeRecordings = mergeRecordings;
+
+module.exports = NetworkMock;
@@ -0,0 +1,188 @@
+/**
+ * Performance History - timings of past runs, and what got slower
+ *
+ * The performance reporter appends one line per run to
+ * perf-history/history.jsonl: the duration of every passed test and the
+ * metrics of every measured page-object action, per project. Nothing leaves
+ * the machine; the file keeps the last PERF_HISTORY_RUNS runs (default 50).
+ *
+ * analyze() compares the latest run with a rolling baseline - the runs before
+ * it in the same environment - and flags a timing as a regression when it is
+ * an outlier (robust z-score over 3.5, using the median and the median
+ * absolute deviation of the baseline) AND at least 10% and 50 ms slower.
+ * Both conditions are needed: the first filters out noise, the second
+ * changes too small to matter.
+ *
+ * scripts/perf-trend.js turns the analysis into Markdown and HTML reports.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+
+const HISTORY_FILE = path.join(__dirname, '..', 'perf-history', 'history.jsonl');
+const MAX_RUNS = Number(process.env.PERF_HISTORY_RUNS || 50);
+
+/* Action metrics worth a trend: all of them in milliseconds */
+const TREND_METRICS = ['duration', 'ttfb', 'domContentLoaded', 'load', 'firstPaint', 'firstContentfulPaint', 'longTaskTime'];
+
+/* Test duration samples use this in place of an action name */
+const TEST_SAMPLE = '(test)';
+
+const ANALYSIS_DEFAULTS = {
+  baselineRuns: 10,   // runs the latest one is compared with
+  minSamples: 5,      // fewer baseline values than this: not judged
+  zThreshold: 3.5,    // robust z-score from which a value is an outlier
+  minChange: 0.1,     // ... and it must be this much slower (10%)
+  minDelta: 50,       // ... and at least this many milliseconds
+};
+
+function currentCommit() {
+  try {
+    return execSync('git rev-parse --short HEAD', { stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * History entry of one run
+ *
+ * @param {Object} run
+ * @param {string} run.startedAt - ISO time
+ * @param {string} run.environment - environment profile name
+ * @param {Array<{test: string, project: string, duration: number, actions?: Array}>} run.tests
+ *   passed tests only
+ * @returns {{startedAt: string, environment: string, commit: ?string,
+ *   samples: Array<{test: string, project: string, action: string, metric: string, value: number}>}}
+ */
+function toHistoryEntry({ startedAt, environment, tests }) {
+  const samples = [];
+  for (const { test, project, duration, actions = [] } of tests) {
+    samples.push({ test, project, action: TEST_SAMPLE, metric: 'duration', value: duration });
+    for (const action of actions) {
+      for (const metric of TREND_METRICS) {
+        const value = action.metrics[metric];
+        if (value !== null && value !== undefined) {
+          samples.push({ test, project, action: action.name, metric, value });
+        }
+      }
+    }
+  }
+  return { startedAt, environment, commit: currentCommit(), samples };
+}
+
+/**
+ * All recorded runs, oldest first
+ */
+function loadHistory(file = HISTORY_FILE) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
+
+/**
+ * Add a run to the history, dropping the oldest runs beyond MAX_RUNS
+ */
+function appendRun(entry, file = HISTORY_FILE) {
+  const runs = [...loadHistory(file), entry].slice(-MAX_RUNS);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, runs.map(run => JSON.stringify(run)).join('\n') + '\n');
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+const sampleKey = ({ test, project, action, metric }) => [test, project, action, metric].join('\u0000');
+
+/**
+ * One value per sample key for a run (the median if a test ran more than once)
+ */
+function valuesByKey(run) {
+  const grouped = new Map();
+  for (const sample of run.samples) {
+    const key = sampleKey(sample);
+    if (!grouped.has(key)) {
+      grouped.set(key, { sample, values: [] });
+    }
+    grouped.get(key).values.push(sample.value);
+  }
+  return new Map([...grouped].map(([key, { sample, values }]) => [key, { sample, value: median(values) }]));
+}
+
+/**
+ * Compare the latest run with the runs before it
+ *
+ * @param {Array<Object>} history - from loadHistory()
+ * @param {Object} [options] - see ANALYSIS_DEFAULTS
+ * @returns {?{latest: Object, baseline: {runs: number, from: ?string, to: ?string}, options: Object,
+ *   rows: Array<{test: string, project: string, action: string, metric: string, baseline: ?number,
+ *   latest: number, change: ?number, z: ?number, status: string, series: number[]}>}}
+ *   null without history; status is regression, improvement, stable or new (too few samples)
+ */
+function analyze(history, options = {}) {
+  const settings = { ...ANALYSIS_DEFAULTS, ...options };
+  const latest = history[history.length - 1];
+  if (!latest) {
+    return null;
+  }
+  const baselineRuns = history
+    .filter(run => run.environment === latest.environment)
+    .slice(0, -1)
+    .slice(-settings.baselineRuns);
+  const baselineValues = baselineRuns.map(valuesByKey);
+
+  const rows = [...valuesByKey(latest)].map(([key, { sample, value }]) => {
+    const series = baselineValues.filter(values => values.has(key)).map(values => values.get(key).value);
+    const row = { test: sample.test, project: sample.project, action: sample.action, metric: sample.metric, latest: value };
+
+    if (series.length < settings.minSamples) {
+      return { ...row, baseline: series.length ? median(series) : null, change: null, z: null, status: 'new', series: [...series, value] };
+    }
+
+    const center = median(series);
+    const mad = median(series.map(v => Math.abs(v - center)));
+    // 1.4826 * MAD estimates the standard deviation; the floor keeps a perfectly flat series from dividing by zero
+    const spread = Math.max(1.4826 * mad, center * 0.02, 1);
+    const z = (value - center) / spread;
+    const change = center ? (value - center) / center : 0;
+    const delta = value - center;
+
+    let status = 'stable';
+    if (z > settings.zThreshold && change >= settings.minChange && delta >= settings.minDelta) {
+      status = 'regression';
+    } else if (z < -settings.zThreshold && change <= -settings.minChange && -delta >= settings.minDelta) {
+      status = 'improvement';
+    }
+    return { ...row, baseline: center, change, z, status, series: [...series, value] };
+  });
+
+  return {
+    latest: { startedAt: latest.startedAt, environment: latest.environment, commit: latest.commit },
+    baseline: {
+      runs: baselineRuns.length,
+      from: baselineRuns[0]?.startedAt ?? null,
+      to: baselineRuns[baselineRuns.length - 1]?.startedAt ?? null,
+    },
+    options: settings,
+    rows,
+  };
+}
+
+module.exports = {
+  HISTORY_FILE,
+  TREND_METRICS,
+  ANALYSIS_DEFAULTS,
+  toHistoryEntry,
+  loadHistory,
+  appendRun,
+  analyze,
+  median,
+};
@@ -0,0 +1,217 @@
+/**
+ * PerformanceMonitor - browser performance metrics per page-object action
+ *
+ * Available in every test as the `perf` fixture (fixtures/index.js). Wrap a
+ * page object with track() and every async method call becomes a measured
+ * action named "<PageObject>.<method>":
+ * ```
+ * const login = perf.track(loginPage);
+ * await login.navigateToLogin();   // measured as LoginPage.navigateToLogin
+ * await login.login(username, password);
+ * ```
+ * or measure any step by hand: `await perf.measure('open cart', () => page.click(...))`.
+ *
+ * Each action records its duration plus Navigation Timing, Paint Timing,
+ * long tasks and resource counts of the page (see config/performance.js for
+ * the metric list). Actions are checked against the budgets in
+ * config/performance.js; at teardown the fixture attaches the measurements
+ * as `performance` and fails the test if an action went over budget.
+ * reporters/performance-reporter.js collects the attachments of a run into
+ * perf-results/run-<time>.json.
+ *
+ * PLAYWRIGHT vs CYPRESS:
+ * - Playwright: page.evaluate() reads the browser's own performance entries,
+ *   and an init script observes long tasks from the first byte of every page
+ * - Cypress: cy.window() gives the same entries, but only of the app frame,
+ *   and timing a step means wrapping commands in cy.then() callbacks
+ */
+
+const { performance } = require('perf_hooks');
+const { BUDGETS, budgetFor } = require('../config/performance');
+
+/**
+ * Runs in every document before its own scripts: keeps the long tasks
+ * (main-thread work over 50 ms) where _collect() can read them.
+ * Browsers without the Long Tasks API (Firefox, WebKit) report null.
+ */
+function observeLongTasks() {
+  if (!PerformanceObserver.supportedEntryTypes?.includes('longtask')) {
+    window.__longTasks = null;
+    return;
+  }
+  window.__longTasks = [];
+  new PerformanceObserver(list => {
+    for (const entry of list.getEntries()) {
+      window.__longTasks.push({ startTime: entry.startTime, duration: entry.duration });
+    }
+  }).observe({ type: 'longtask', buffered: true });
+}
+
+/* How long a new document's first contentful paint is waited for after load */
+const PAINT_TIMEOUT = 1000;
+
+/**
+ * Metrics of the page after an action; runs in the browser
+ * `before` is the document's time origin and clock when the action started:
+ * a different time origin means the action loaded a new document.
+ * Paint entries are reported when the frame is presented, which can be after
+ * the load event, so a new document's first contentful paint is waited for
+ * up to `before.paintTimeout` ms (a page with no content never has one).
+ */
+async function collectMetrics(before) {
+  const round = value => (value === null || value === undefined ? null : Math.round(value));
+  const navigated = performance.timeOrigin !== before.origin;
+  const since = navigated ? 0 : before.now;
+
+  if (navigated && PerformanceObserver.supportedEntryTypes?.includes('paint')) {
+    await new Promise(resolve => {
+      const observer = new PerformanceObserver(list => {
+        if (list.getEntriesByName('first-contentful-paint').length) {
+          observer.disconnect();
+          resolve();
+        }
+      });
+      observer.observe({ type: 'paint', buffered: true });
+      setTimeout(() => {
+        observer.disconnect();
+        resolve();
+      }, before.paintTimeout);
+    });
+  }
+
+  const navigation = navigated ? performance.getEntriesByType('navigation')[0] : undefined;
+  const paint = name => {
+    const entry = navigated ? performance.getEntriesByName(name, 'paint')[0] : undefined;
+    return entry ? round(entry.startTime) : null;
+  };
+  const resources = performance.getEntriesByType('resource').filter(entry => entry.startTime >= since);
+  const longTasks = window.__longTasks ? window.__longTasks.filter(task => task.startTime >= since) : null;
+
+  return {
+    url: location.pathname,
+    metrics: {
+      ttfb: navigation ? round(navigation.responseStart) : null,
+      domContentLoaded: navigation ? round(navigation.domContentLoadedEventEnd) : null,
+      load: navigation ? round(navigation.loadEventEnd) : null,
+      firstPaint: paint('first-paint'),
+      firstContentfulPaint: paint('first-contentful-paint'),
+      longTaskCount: longTasks ? longTasks.length : null,
+      longTaskTime: longTasks ? round(longTasks.reduce((sum, task) => sum + task.duration, 0)) : null,
+      resourceCount: resources.length,
+      transferSize: resources.reduce((sum, entry) => sum + (entry.transferSize || 0), 0),
+    },
+  };
+}
+
+class PerformanceMonitor {
+  /**
+   * @param {import('@playwright/test').Page} page
+   * @param {import('@playwright/test').TestInfo} testInfo
+   * @param {Object} [options]
+   * @param {Object} [options.budgets] - defaults to config/performance.js
+   */
+  constructor(page, testInfo, { budgets = BUDGETS } = {}) {
+    this.page = page;
+    this.testInfo = testInfo;
+    this.budgets = budgets;
+
+    /** One entry per measured action: { name, url, metrics, budget, violations } */
+    this.actions = [];
+  }
+
+  /**
+   * Start observing long tasks in every document the page loads from now on
+   */
+  async install() {
+    await this.page.addInitScript(observeLongTasks);
+  }
+
+  /**
+   * Run an action and record its metrics
+   *
+   * @param {string} name - e.g. 'LoginPage.login'
+   * @param {Function} action
+   * @returns {Promise<*>} whatever the action returns
+   */
+  async measure(name, action) {
+    const before = await this.page.evaluate(() => ({ origin: performance.timeOrigin, now: performance.now() }));
+    const start = performance.now();
+    const value = await action();
+    const duration = Math.round(performance.now() - start);
+
+    // Navigation Timing is complete once the new document has loaded
+    await this.page.waitForLoadState('load');
+    const { url, metrics } = await this.page.evaluate(collectMetrics, { ...before, paintTimeout: PAINT_TIMEOUT });
+
+    const budget = budgetFor(name, this.budgets);
+    const measured = { duration, ...metrics };
+    const violations = Object.entries(budget)
+      .filter(([metric, limit]) => measured[metric] !== null && measured[metric] > limit)
+      .map(([metric, limit]) => ({ metric, value: measured[metric], limit }));
+
+    this.actions.push({ name, url, metrics: measured, budget, violations });
+    return value;
+  }
+
+  /**
+   * The page object, with each of its async methods measured as an action
+   * Calls the page object makes on itself are part of the outer action.
+   *
+   * @template T
+   * @param {T} pageObject
+   * @returns {T}
+   */
+  track(pageObject) {
+    const owner = pageObject.constructor.name;
+    return new Proxy(pageObject, {
+      get: (target, property, receiver) => {
+        const value = Reflect.get(target, property, receiver);
+        if (typeof value !== 'function' || value.constructor.name !== 'AsyncFunction') {
+          return value;
+        }
+        return (...args) => this.measure(`${owner}.${String(property)}`, () => value.apply(target, args));
+      },
+    });
+  }
+
+  /**
+   * The last measured action with this name
+   */
+  getAction(name) {
+    return this.actions.filter(action => action.name === name).pop();
+  }
+
+  /**
+   * Every budget violation, one entry per action and metric
+   */
+  getBudgetViolations() {
+    return this.actions.flatMap(({ name, url, violations }) =>
+      violations.map(violation => ({ action: name, url, ...violation })));
+  }
+
+  /**
+   * Everything measured in this test, for the report attachment
+   */
+  report() {
+    return {
+      project: this.testInfo.project.name,
+      persona: this.testInfo.project.metadata.persona || null,
+      actions: this.actions,
+    };
+  }
+
+  /**
+   * Throw, listing every metric that went over budget
+   */
+  expectWithinBudgets() {
+    const violations = this.getBudgetViolations();
+    if (violations.length) {
+      const list = violations
+        .map(({ action, url, metric, value, limit }) => `  - ${action} (${url}): ${metric} ${value} > ${limit}`)
+        .join('\n');
+      throw new Error(`${violations.length} performance budget(s) exceeded in ${this.testInfo.project.name}:\n${list}`);
+    }
+  }
+}
+
+module.exports = PerformanceMonitor;
@@ -0,0 +1,52 @@
+/**
+ * Page-object steps - every page-object action shows up as a test step
+ *
+ * The page-object fixtures (fixtures/index.js) hand out page objects wrapped
+ * by withSteps(): each call a test makes to an async method runs inside
+ * test.step('<PageObject>.<method>'). The step shows in the HTML report and
+ * the trace, and tells reporters/capability-reporter.js which page objects
+ * and methods a test touched.
+ *
+ * Only the calls a test (or fixture) makes are steps; the calls a page object
+ * makes on itself stay inside the outer step. Components a page object
+ * composes are wrapped too, so productsPage.menu.logout() is the step
+ * 'BurgerMenu.logout'.
+ *
+ * PLAYWRIGHT vs CYPRESS:
+ * - Playwright: test.step() groups actions under a name in every report
+ * - Cypress: the command log lists individual commands; grouping them
+ *   under a custom command name needs Cypress.log() by hand
+ */
+
+const { test } = require('@playwright/test');
+const BasePage = require('../pages/BasePage');
+
+/* Step titles made by withSteps(), e.g. 'LoginPage.login' */
+const STEP_TITLE = /^([A-Z]\w*)\.(\w+)$/;
+
+/**
+ * @template T
+ * @param {T} pageObject
+ * @returns {T} the same page object, its async methods running as steps
+ */
+function withSteps(pageObject) {
+  const owner = pageObject.constructor.name;
+  const components = new WeakMap();
+  return new Proxy(pageObject, {
+    get(target, property, receiver) {
+      const value = Reflect.get(target, property, receiver);
+      if (value instanceof BasePage) {
+        if (!components.has(value)) {
+          components.set(value, withSteps(value));
+        }
+        return components.get(value);
+      }
+      if (typeof value !== 'function' || value.constructor.name !== 'AsyncFunction') {
+        return value;
+      }
+      return async (...args) => test.step(`${owner}.${String(property)}`, () => value.apply(target, args));
+    },
+  });
+}
+
+module.exports = { withSteps, STEP_TITLE };
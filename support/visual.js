@@ -0,0 +1,199 @@
+/**
+ * VisualChecker - screenshot comparison of the regions a page object declares
+ *
+ * Page objects name the parts of their page worth watching (see
+ * BasePage.visualRegions()); a test asks the `visual` fixture to compare them:
+ * ```
+ * test('catalog looks right', async ({ authenticatedPage, productsPage, visual }) => {
+ *   await visual.check(productsPage);                         // every region
+ *   await visual.check(productsPage, { regions: ['header'] }); // some of them
+ * });
+ * ```
+ * Every region is compared even when an earlier one differs. At teardown the
+ * fixture attaches a `visual-report` listing each region and its outcome, and
+ * fails the test if any region changed. For a changed region the HTML report
+ * also shows the expected, actual and diff images.
+ *
+ * Baselines live in tests/__screenshots__/<project>/<platform>/<spec file>/,
+ * one set per browser project. Persona projects have no baselines of their
+ * own: they compare against the chromium ones (see playwright.config.js), so
+ * a persona that renders differently from standard_user - visual_user -
+ * shows up as changed regions. A region without a baseline fails as
+ * missing. Record or refresh baselines with:
+ *
+ *   npx playwright test 12-visual --project=chromium --project="Mobile Chrome" --update-snapshots
+ *
+ * PLAYWRIGHT vs CYPRESS:
+ * - Playwright: toHaveScreenshot() is built in - retries until the page is
+ *   stable, masks elements, and keeps baselines per project and platform
+ * - Cypress: needs a plugin (cypress-image-snapshot, Percy, Applitools)
+ *   and runs in one browser per baseline set
+ */
+
+const fs = require('fs');
+const { expect } = require('@playwright/test');
+
+/**
+ * Comparison defaults, used as expect.toHaveScreenshot in playwright.config.js
+ * Regions and check() calls can override maxDiffPixelRatio and threshold
+ */
+const DEFAULTS = {
+  /* Share of pixels allowed to differ (anti-aliasing noise) */
+  maxDiffPixelRatio: 0.01,
+  /* Per-pixel color distance (0-1) below which two pixels count as equal */
+  threshold: 0.2,
+  animations: 'disabled',
+  caret: 'hide',
+};
+
+/* Outcomes that fail the test */
+const FAILED = ['changed', 'missing', 'error'];
+
+/**
+ * snapshotPathTemplate storing baselines per project, platform and spec file
+ * Region names only need to be unique within a spec: tests of one file share
+ * a region's baseline, which is how the persona tests reuse the catalog's.
+ *
+ * @param {string} [project] - a fixed project name, to share another project's baselines
+ */
+function snapshotPathTemplate(project = '{projectName}') {
+  return `{testDir}/__screenshots__/${project}/{platform}/{testFilePath}/{arg}{ext}`;
+}
+
+/**
+ * The line of a toHaveScreenshot() error that says what differs
+ */
+function summarize(error) {
+  const lines = String(error.message)
+    .replace(/\u001b\[[0-9;]*m/g, '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+  return lines.find(line => /different|doesn't exist|sizes/i.test(line)) || lines[0] || 'screenshot comparison failed';
+}
+
+class VisualChecker {
+  /**
+   * @param {import('@playwright/test').TestInfo} testInfo
+   * @param {Object} [options]
+   * @param {string} [options.baselineProject] - project whose baselines this one compares
+   *   against; defaults to its own. Another project's baselines are never written from here.
+   */
+  constructor(testInfo, { baselineProject } = {}) {
+    this.testInfo = testInfo;
+    this.baselineProject = baselineProject || testInfo.project.name;
+    this.readOnly = this.baselineProject !== testInfo.project.name;
+
+    /** One entry per region checked: { region, status, message } */
+    this.results = [];
+  }
+
+  /**
+   * Compare a page object's regions with their baselines
+   *
+   * @param {import('../pages/BasePage')} pageObject
+   * @param {Object} [options]
+   * @param {string[]} [options.regions] - names to check, defaults to all declared regions
+   * @param {number} [options.maxDiffPixelRatio] - for regions that don't set their own
+   * @param {number} [options.threshold] - for regions that don't set their own
+   * @returns {Promise<Array<{region: string, status: string, message: string}>>}
+   *   status is passed, changed, missing, error or skipped (another project's baselines are being updated)
+   */
+  async check(pageObject, { regions, ...options } = {}) {
+    const owner = pageObject.constructor.name;
+    const declared = pageObject.visualRegions();
+    const names = regions || Object.keys(declared);
+    if (!names.length) {
+      throw new Error(`${owner} declares no visual regions`);
+    }
+
+    const results = [];
+    for (const name of names) {
+      if (!declared[name]) {
+        throw new Error(`${owner} has no visual region "${name}", expected one of: ${Object.keys(declared).join(', ')}`);
+      }
+      results.push(await this._checkRegion(pageObject, `${owner}-${name}`, declared[name], options));
+    }
+    this.results.push(...results);
+    return results;
+  }
+
+  async _checkRegion(pageObject, region, declaration, options) {
+    const { target, mask = [], ...overrides } =
+      declaration.target !== undefined ? declaration : { target: declaration };
+    const file = `${region}.png`;
+
+    const skipped = this._skipReason();
+    if (skipped) {
+      return { region, status: 'skipped', message: skipped };
+    }
+    // toHaveScreenshot() would write the missing baseline into the other project's set
+    if (this.readOnly && !fs.existsSync(this.testInfo.snapshotPath(file, { kind: 'screenshot' }))) {
+      return { region, status: 'missing', message: `no ${this.baselineProject} baseline, record it with --project=${this.baselineProject} --update-snapshots` };
+    }
+
+    try {
+      await expect(pageObject.locator(target)).toHaveScreenshot(file, {
+        ...options,
+        ...overrides,
+        mask: mask.map(item => pageObject.locator(item)),
+      });
+      return { region, status: 'passed', message: '' };
+    } catch (error) {
+      const message = summarize(error);
+      const status = /doesn't exist/.test(message) ? 'missing' : /different|sizes/i.test(message) ? 'changed' : 'error';
+      return { region, status, message };
+    }
+  }
+
+  /**
+   * Why a region is not compared: baselines are being updated and they
+   * belong to another project
+   */
+  _skipReason() {
+    const updating = ['all', 'changed'].includes(this.testInfo.config.updateSnapshots);
+    if (updating && this.readOnly) {
+      return `baselines belong to ${this.baselineProject} and are not updated from ${this.testInfo.project.name}`;
+    }
+    return null;
+  }
+
+  /**
+   * Regions that differ from their baselines
+   */
+  getFailures() {
+    return this.results.filter(result => FAILED.includes(result.status));
+  }
+
+  /**
+   * Everything checked in this test, for the report attachment
+   */
+  report() {
+    const summary = {};
+    for (const { status } of this.results) {
+      summary[status] = (summary[status] || 0) + 1;
+    }
+    return {
+      project: this.testInfo.project.name,
+      baselineProject: this.baselineProject,
+      summary,
+      regions: this.results,
+    };
+  }
+
+  /**
+   * Throw, listing every region that differs
+   */
+  expectNoChanges() {
+    const failures = this.getFailures();
+    if (failures.length) {
+      const list = failures.map(({ region, status, message }) => `  - ${region} (${status}): ${message}`).join('\n');
+      throw new Error(`${failures.length} visual region(s) differ from the ${this.baselineProject} baselines:\n${list}`);
+    }
+  }
+}
+
+VisualChecker.DEFAULTS = DEFAULTS;
+VisualChecker.snapshotPathTemplate = snapshotPathTemplate;
+
+module.exports = VisualChecker;
@@ -0,0 +1,251 @@
+/**
+ * WindowManager - keeps track of every page and popup of a browser context
+ *
+ * Available in every test as the `windows` fixture (fixtures/index.js).
+ * Each window gets a record: id, opener, open/close order; its URL and title
+ * are read live by list(). At teardown the fixture fails the test if a window
+ * opened during the test is still open and was not passed to keepOpen().
+ *
+ * ```
+ * const popup = await windows.waitForWindow({ title: 'New Window' }, {
+ *   action: () => internetPage.clickNewWindowLink(),
+ * });
+ * await windows.switchTo(popup);
+ * await windows.close(popup);
+ * ```
+ *
+ * PLAYWRIGHT vs CYPRESS:
+ * - Playwright: the context emits 'page' for every tab and popup, and
+ *   page.opener() says who opened it - all windows stay scriptable
+ * - Cypress: runs inside a single tab and cannot follow a new window
+ */
+
+const { errors } = require('@playwright/test');
+
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * Turn a URL/title criterion into a predicate over { url, title }
+ * Strings match as substrings, RegExps with test()
+ */
+function toPredicate(match) {
+  if (typeof match === 'function') {
+    return match;
+  }
+  const test = (criterion, value) => (criterion instanceof RegExp ? criterion.test(value) : value.includes(criterion));
+  return ({ url, title }) =>
+    (match.url === undefined || test(match.url, url)) &&
+    (match.title === undefined || test(match.title, title));
+}
+
+function describeMatch(match) {
+  if (typeof match === 'function') {
+    return 'the predicate';
+  }
+  return Object.entries(match).map(([key, value]) => `${key} ${value}`).join(' and ');
+}
+
+class WindowManager {
+  /**
+   * Pages already open when the manager is created are the baseline:
+   * they are never reported as leftovers.
+   *
+   * @param {import('@playwright/test').BrowserContext} context
+   */
+  constructor(context) {
+    this.context = context;
+
+    /** One record per window ever opened, in open order */
+    this.windows = [];
+
+    this._sequence = 0;
+    this._onPage = page => this._track(page, { baseline: false });
+    for (const page of context.pages()) {
+      this._track(page, { baseline: true });
+    }
+    this.active = this.windows[0] || null;
+    context.on('page', this._onPage);
+  }
+
+  _track(page, { baseline }) {
+    const record = {
+      id: this.windows.length + 1,
+      page,
+      openerId: null,
+      openOrder: ++this._sequence,
+      closeOrder: null,
+      baseline,
+      kept: false,
+    };
+    this.windows.push(record);
+
+    // opener() is async; popups resolve to the page that opened them
+    record.ready = page.opener()
+      .then(opener => {
+        record.openerId = this._recordFor(opener)?.id ?? null;
+      })
+      .catch(() => {});
+
+    page.once('close', () => this._markClosed(record));
+    return record;
+  }
+
+  _markClosed(record) {
+    if (record.closeOrder !== null) {
+      return;
+    }
+    record.closeOrder = ++this._sequence;
+    if (this.active === record) {
+      this.active = this.windows.find(w => w.closeOrder === null) || null;
+    }
+  }
+
+  _recordFor(page) {
+    return page ? this.windows.find(w => w.page === page) : undefined;
+  }
+
+  /**
+   * Stop listening for new windows (called by the fixture at teardown)
+   */
+  dispose() {
+    this.context.off('page', this._onPage);
+  }
+
+  /**
+   * Pages still open, in open order
+   */
+  openPages() {
+    return this.windows.filter(w => w.closeOrder === null).map(w => w.page);
+  }
+
+  /**
+   * The page that has focus (the last one passed to switchTo)
+   */
+  get activePage() {
+    return this.active ? this.active.page : null;
+  }
+
+  /**
+   * Snapshot of every window with its current URL and title
+   *
+   * @param {{includeClosed?: boolean}} [options]
+   * @returns {Promise<Array<{id: number, url: string, title: string, openerId: ?number,
+   *   openOrder: number, closeOrder: ?number, closed: boolean}>>}
+   */
+  async list({ includeClosed = false } = {}) {
+    const records = includeClosed ? this.windows : this.windows.filter(w => w.closeOrder === null);
+    return Promise.all(records.map(async record => {
+      await record.ready;
+      const closed = record.closeOrder !== null;
+      return {
+        id: record.id,
+        url: record.page.url(),
+        title: closed ? '' : await record.page.title().catch(() => ''),
+        openerId: record.openerId,
+        openOrder: record.openOrder,
+        closeOrder: record.closeOrder,
+        closed,
+      };
+    }));
+  }
+
+  /**
+   * Wait for a window opened from now on whose URL or title matches
+   *
+   * @param {{url?: string|RegExp, title?: string|RegExp}|Function} match -
+   *   criteria, or a predicate receiving { url, title, page }
+   * @param {Object} [options]
+   * @param {Function} [options.action] - triggers the popup (e.g. a click); run
+   *   alongside context.waitForEvent('page') so a fast popup cannot be missed
+   * @param {number} [options.timeout]
+   * @returns {Promise<import('@playwright/test').Page>}
+   */
+  async waitForWindow(match, { action, timeout = DEFAULT_TIMEOUT } = {}) {
+    const predicate = toPredicate(match);
+    const matches = async page => {
+      // A popup starts at about:blank; judge it by its first document
+      await page.waitForLoadState('domcontentloaded').catch(() => {});
+      return predicate({ url: page.url(), title: await page.title().catch(() => ''), page });
+    };
+
+    try {
+      const [page] = await Promise.all([
+        this.context.waitForEvent('page', { predicate: matches, timeout }),
+        action && action(),
+      ]);
+      await this._recordFor(page)?.ready;
+      return page;
+    } catch (error) {
+      if (!(error instanceof errors.TimeoutError)) {
+        throw error;
+      }
+      const open = (await this.list()).map(w => `#${w.id} "${w.title}" ${w.url}`).join(', ');
+      throw new Error(`No window with ${describeMatch(match)} opened within ${timeout}ms. Open windows: ${open}`);
+    }
+  }
+
+  /**
+   * Give a window focus and make it the active page
+   *
+   * @param {import('@playwright/test').Page|number} pageOrId
+   * @returns {Promise<import('@playwright/test').Page>}
+   */
+  async switchTo(pageOrId) {
+    const record = typeof pageOrId === 'number'
+      ? this.windows.find(w => w.id === pageOrId)
+      : this._recordFor(pageOrId);
+    if (!record || record.closeOrder !== null) {
+      const label = typeof pageOrId === 'number' ? `window #${pageOrId}` : 'that window';
+      throw new Error(`Cannot switch to ${label}: it is not open in this context`);
+    }
+    await record.page.bringToFront();
+    this.active = record;
+    return record.page;
+  }
+
+  /**
+   * Close a window; if it had focus, focus moves to the first window still open
+   */
+  async close(page) {
+    const record = this._recordFor(page);
+    const wasActive = this.active === record;
+    await page.close();
+    if (record) {
+      this._markClosed(record);
+    }
+    if (wasActive && this.active) {
+      await this.active.page.bringToFront();
+    }
+  }
+
+  /**
+   * Mark a window as allowed to stay open at teardown
+   */
+  keepOpen(page) {
+    const record = this._recordFor(page);
+    if (record) {
+      record.kept = true;
+    }
+  }
+
+  /**
+   * Windows opened during the test that are still open and not kept
+   */
+  async getLeftovers() {
+    const allowed = new Set(this.windows.filter(w => w.baseline || w.kept).map(w => w.id));
+    return (await this.list()).filter(w => !allowed.has(w.id));
+  }
+
+  /**
+   * Throw if a window opened during the test is still open
+   */
+  async assertNoLeftovers() {
+    const leftovers = await this.getLeftovers();
+    if (leftovers.length) {
+      const list = leftovers.map(w => `#${w.id} "${w.title}" ${w.url}`).join(', ');
+      throw new Error(`${leftovers.length} window(s) left open: ${list}. Close them or call windows.keepOpen(page).`);
+    }
+  }
+}
+
+module.exports = WindowManager;
@@ -0,0 +1,47 @@
+/**
+ * Checkout customers - random but seeded customer information
+ *
+ * The names mix accents, apostrophes and hyphens on purpose: the checkout
+ * form should take any of them. Postal codes are 5 digits, or UK-style
+ * for some customers.
+ */
+
+const FIRST_NAMES = ['Ada', 'Grace', 'Alan', 'Katherine', 'Linus', 'Margaret', 'Søren', 'Zoë', 'José', 'Mary-Kate', 'Chidi', 'Mei'];
+const LAST_NAMES = ['Lovelace', 'Hopper', 'Turing', 'Johnson', 'Torvalds', 'Hamilton', "O'Brien", 'Núñez', 'Smith-Jones', 'Okafor', 'Wang', 'Kowalski'];
+const UK_AREAS = ['SW1A', 'EC1V', 'M1', 'B33', 'CR2', 'LS1'];
+
+/**
+ * @typedef {Object} Customer
+ * @property {string} firstName
+ * @property {string} lastName
+ * @property {string} postalCode
+ */
+
+/**
+ * @param {import('./random').SeededRandom} random
+ */
+function postalCode(random) {
+  if (random.next() < 0.2) {
+    const letters = 'ABDEFGHJLNPQRSTUWXYZ';
+    return `${random.pick(UK_AREAS)} ${random.int(1, 9)}${letters[random.int(0, letters.length - 1)]}${letters[random.int(0, letters.length - 1)]}`;
+  }
+  return random.digits(5);
+}
+
+/**
+ * Build a customer for CheckoutInformationPage.fillInformation()
+ *
+ * @param {import('./random').SeededRandom} random
+ * @param {Partial<Customer>} [overrides] - fields to fix instead of generating
+ * @returns {Customer}
+ */
+function buildCustomer(random, overrides = {}) {
+  return {
+    firstName: random.pick(FIRST_NAMES),
+    lastName: random.pick(LAST_NAMES),
+    postalCode: postalCode(random),
+    ...overrides,
+  };
+}
+
+module.exports = { buildCustomer };
@@ -0,0 +1,77 @@
+/**
+ * Test Data - personas, the product catalog and seeded builders
+ *
+ * Fixed data (USERS, PRODUCTS, CATALOG) is imported directly; random data
+ * comes from the `testData` fixture, a TestData seeded for the current test:
+ *
+ *   test('checkout', async ({ testData, checkoutInformationPage }) => {
+ *     const customer = testData.customer();
+ *     const products = testData.products(2);
+ *     ...
+ *   });
+ *
+ * The fixture records the test's seed and the run seed as a `test-data`
+ * annotation; re-running with TEST_DATA_SEED=<run seed> generates the same
+ * customers and products again (see test-data/random.js).
+ *
+ * PLAYWRIGHT vs CYPRESS:
+ * - Playwright: data builders are plain modules handed out by a fixture
+ * - Cypress: cy.fixture() loads static JSON; generated data lives in custom
+ *   commands or tasks, and seeding them is up to you
+ */
+
+const { SeededRandom, RUN_SEED, SEED_VARIABLE, seedFor } = require('./random');
+const { PRODUCTS, CATALOG, TAX_RATE, productNamed, orderTotals } = require('./products');
+const { USERS, getPersona } = require('./personas');
+const { buildCustomer } = require('./customers');
+
+class TestData {
+  /**
+   * @param {number} seed - the same seed always builds the same data
+   */
+  constructor(seed) {
+    this.seed = seed;
+    this.random = new SeededRandom(seed);
+  }
+
+  /**
+   * @param {Partial<import('./customers').Customer>} [overrides]
+   * @returns {import('./customers').Customer}
+   */
+  customer(overrides) {
+    return buildCustomer(this.random, overrides);
+  }
+
+  /**
+   * One product from the catalog
+   */
+  product() {
+    return this.random.pick(CATALOG);
+  }
+
+  /**
+   * Distinct products from the catalog, listed in catalog order
+   *
+   * @param {number} count
+   */
+  products(count) {
+    const picked = this.random.sample(CATALOG, count);
+    return CATALOG.filter(product => picked.includes(product));
+  }
+}
+
+module.exports = {
+  TestData,
+  SeededRandom,
+  RUN_SEED,
+  SEED_VARIABLE,
+  seedFor,
+  PRODUCTS,
+  CATALOG,
+  TAX_RATE,
+  productNamed,
+  orderTotals,
+  USERS,
+  getPersona,
+  buildCustomer,
+};
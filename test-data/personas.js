@@ -0,0 +1,90 @@
+/**
+ * Persona definitions - who each Sauce Demo user is and how the site treats them
+ *
+ * config/personas.js lists the users that get a saved session; this module
+ * describes every user the login page knows, with what a test should expect
+ * from the site when logged in as them. Specs read the expectations instead
+ * of keeping their own lists of broken personas:
+ *
+ *   test.fail(!persona.expects.sortWorks, `${persona.username} cannot sort`);
+ *
+ * Passwords stay in the environment profile (config/environment.js).
+ */
+
+const { credentialsFor } = require('../config/environment');
+const LoginPage = require('../pages/LoginPage');
+const { PRODUCTS } = require('./products');
+
+/* What standard_user gets: every expectation met */
+const WORKING = Object.freeze({
+  loginError: null,             // LoginPage.ERRORS code, null when the login succeeds
+  loginDelayMs: 0,              // extra wait after submitting the login form
+  imagesLoad: true,             // product images are the real ones
+  pricesMatchCatalog: true,     // list prices are the catalog prices
+  detailLinksMatch: true,       // each card links to its own detail page
+  sortWorks: true,              // every sort option reorders the list
+  brokenCartButtons: [],        // product ids whose Add/Remove button does nothing
+  checkoutWorks: true,          // the customer form and Finish button work
+  matchesStandardRendering: true, // screenshots match standard_user's
+});
+
+const USERS = Object.freeze({
+  standard_user: {
+    description: 'The reference user, everything works',
+    expects: WORKING,
+  },
+  locked_out_user: {
+    description: 'Rejected at the login page',
+    expects: { ...WORKING, loginError: LoginPage.ERRORS.LOCKED_OUT },
+  },
+  problem_user: {
+    description: 'Broken images, sorting, cart buttons, detail links and customer form',
+    expects: {
+      ...WORKING,
+      imagesLoad: false,
+      detailLinksMatch: false,
+      sortWorks: false,
+      brokenCartButtons: [PRODUCTS.boltTShirt.id, PRODUCTS.fleeceJacket.id, PRODUCTS.redTShirt.id],
+      checkoutWorks: false,
+      matchesStandardRendering: false,
+    },
+  },
+  performance_glitch_user: {
+    description: 'Waits 3 seconds after submitting the login form',
+    expects: { ...WORKING, loginDelayMs: 3000 },
+  },
+  error_user: {
+    description: 'Errors on sorting, cart changes and checkout',
+    expects: {
+      ...WORKING,
+      sortWorks: false,
+      brokenCartButtons: [PRODUCTS.boltTShirt.id, PRODUCTS.fleeceJacket.id, PRODUCTS.redTShirt.id],
+      checkoutWorks: false,
+    },
+  },
+  visual_user: {
+    description: 'Random list prices, a broken Backpack image and misplaced buttons',
+    expects: {
+      ...WORKING,
+      imagesLoad: false,
+      pricesMatchCatalog: false,
+      matchesStandardRendering: false,
+    },
+  },
+});
+
+/**
+ * A user with the selected profile's password
+ *
+ * @param {string} username - e.g. 'problem_user'
+ * @returns {{username: string, password: string, description: string, expects: typeof WORKING}}
+ */
+function getPersona(username) {
+  const user = USERS[username];
+  if (!user) {
+    throw new Error(`Unknown persona "${username}", expected one of: ${Object.keys(USERS).join(', ')}`);
+  }
+  return { ...credentialsFor(username), ...user };
+}
+
+module.exports = { USERS, getPersona };
@@ -0,0 +1,49 @@
+/**
+ * Product catalog - the six Sauce Demo products and what they should cost
+ *
+ * Specs refer to products through PRODUCTS instead of repeating their names,
+ * and compare what the site shows with the expected prices here. Listed in
+ * the default (A to Z) order of the inventory.
+ */
+
+const { roundCents } = require('../utils/price');
+
+/* Sales tax added on the checkout overview */
+const TAX_RATE = 0.08;
+
+const PRODUCTS = Object.freeze({
+  backpack: { id: 4, name: 'Sauce Labs Backpack', price: 29.99 },
+  bikeLight: { id: 0, name: 'Sauce Labs Bike Light', price: 9.99 },
+  boltTShirt: { id: 1, name: 'Sauce Labs Bolt T-Shirt', price: 15.99 },
+  fleeceJacket: { id: 5, name: 'Sauce Labs Fleece Jacket', price: 49.99 },
+  onesie: { id: 2, name: 'Sauce Labs Onesie', price: 7.99 },
+  redTShirt: { id: 3, name: 'Test.allTheThings() T-Shirt (Red)', price: 15.99 },
+});
+
+const CATALOG = Object.freeze(Object.values(PRODUCTS));
+
+/**
+ * @param {string} name - e.g. 'Sauce Labs Onesie'
+ * @returns {{id: number, name: string, price: number}}
+ */
+function productNamed(name) {
+  const product = CATALOG.find(p => p.name === name);
+  if (!product) {
+    throw new Error(`No product named "${name}" in the catalog`);
+  }
+  return product;
+}
+
+/**
+ * What the checkout overview should show for these products
+ *
+ * @param {Array<{price: number}>} products
+ * @returns {{subtotal: number, tax: number, total: number}}
+ */
+function orderTotals(products) {
+  const subtotal = roundCents(products.reduce((sum, product) => sum + product.price, 0));
+  const tax = roundCents(subtotal * TAX_RATE);
+  return { subtotal, tax, total: roundCents(subtotal + tax) };
+}
+
+module.exports = { PRODUCTS, CATALOG, TAX_RATE, productNamed, orderTotals };
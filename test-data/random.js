@@ -0,0 +1,135 @@
+/**
+ * Seeded randomness - random test data that can be replayed exactly
+ *
+ * One run seed covers the whole run. It comes from TEST_DATA_SEED, or is
+ * drawn once and stored in TEST_DATA_SEED so that every worker process sees
+ * the same value (global-setup.js logs it, the HTML report shows it as
+ * metadata). Each test derives its own seed from the run seed, its project
+ * and its title, so a test gets the same data whatever order, worker or
+ * shard it runs in:
+ *
+ *   TEST_DATA_SEED=1234567 npx playwright test 05-checkout
+ *
+ * replays the data of the run that logged seed 1234567.
+ */
+
+const SEED_VARIABLE = 'TEST_DATA_SEED';
+
+/**
+ * The run seed: TEST_DATA_SEED if set, otherwise a new one, stored in TEST_DATA_SEED
+ *
+ * @returns {number}
+ */
+function resolveRunSeed() {
+  const configured = process.env[SEED_VARIABLE];
+  if (configured !== undefined && configured !== '') {
+    const seed = Number(configured);
+    if (!Number.isInteger(seed) || seed < 0 || seed > 0xffffffff) {
+      throw new Error(`${SEED_VARIABLE} must be a whole number from 0 to 4294967295, got "${configured}"`);
+    }
+    return seed;
+  }
+  const seed = Math.floor(Math.random() * 0x100000000);
+  process.env[SEED_VARIABLE] = String(seed);
+  return seed;
+}
+
+const RUN_SEED = resolveRunSeed();
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function hash(text) {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193);
+  }
+  return value >>> 0;
+}
+
+/**
+ * The seed of one test: stable for the same run seed, project and title
+ *
+ * @param {import('@playwright/test').TestInfo} testInfo
+ * @param {number} [runSeed]
+ * @returns {number}
+ */
+function seedFor(testInfo, runSeed = RUN_SEED) {
+  return hash([runSeed, testInfo.project.name, ...testInfo.titlePath].join('\u0000'));
+}
+
+/**
+ * Deterministic random numbers (mulberry32): the same seed gives the same sequence
+ */
+class SeededRandom {
+  /**
+   * @param {number} seed - 32-bit unsigned integer
+   */
+  constructor(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * @returns {number} a float in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  /**
+   * @param {number} min
+   * @param {number} max
+   * @returns {number} a whole number from min to max, both included
+   */
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  /**
+   * @template T
+   * @param {T[]} items
+   * @returns {T}
+   */
+  pick(items) {
+    if (!items.length) {
+      throw new Error('Cannot pick from an empty list');
+    }
+    return items[this.int(0, items.length - 1)];
+  }
+
+  /**
+   * Distinct items in random order
+   *
+   * @template T
+   * @param {T[]} items
+   * @param {number} count
+   * @returns {T[]}
+   */
+  sample(items, count) {
+    if (count > items.length) {
+      throw new Error(`Cannot sample ${count} of ${items.length} item(s)`);
+    }
+    const pool = [...items];
+    for (let i = pool.length - 1; i > 0; i--) {
+      const j = this.int(0, i);
+      [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    return pool.slice(0, count);
+  }
+
+  /**
+   * @param {number} length
+   * @returns {string} decimal digits, e.g. a postal code
+   */
+  digits(length) {
+    return Array.from({ length }, () => this.int(0, 9)).join('');
+  }
+}
+
+module.exports = { SeededRandom, RUN_SEED, SEED_VARIABLE, seedFor, resolveRunSeed };
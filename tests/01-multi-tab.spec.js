@@ -17,21 +17,12 @@
  * 3. Skip the feature entirely (poor test coverage)
  */
 
-const { test, expect } = require('@playwright/test');
-const InternetPage = require('../pages/InternetPage');
-
-test.describe('Multi-Tab/Window Handling - Playwright Advantage', () => {
-  
-  let page;
-  let internetPage;
-
-  test.beforeEach(async ({ page: testPage }) => {
-    // PLAYWRIGHT vs CYPRESS:
-    // Playwright injects page object into test (more explicit)
-    // Cypress uses global cy object (implicit, harder to extend)
-    page = testPage;
-    internetPage = new InternetPage(page);
-  });
+const { test, expect } = require('../fixtures');
+
+// PLAYWRIGHT vs CYPRESS:
+// Playwright injects page and page objects into each test as fixtures (more explicit)
+// Cypress uses global cy object (implicit, harder to extend)
+test.describe('Multi-Tab/Window Handling - Playwright Advantage', { tag: '@multi-tab' }, () => {
 
   /**
    * TEST: Open new window and interact with it
@@ -41,24 +32,16 @@ test.describe('Multi-Tab/Window Handling - Playwright Advantage', () => {
    * - Playwright handles it natively and elegantly
    * - Real-world use case: OAuth popups, payment gateways, help links
    */
-  test('should open new tab and get its title', async () => {
-    // Navigate to page with "Click Here" link that opens new window
+  test('should open new tab and get its title', async ({ page, internetPage }) => {
+    // Navigate to the main page, then to "Multiple Windows"
     await internetPage.navigateToInternet();
+    const multiWindowLink = page.locator('a', { hasText: 'Multiple Windows' });
+    await multiWindowLink.click();
     
     // PLAYWRIGHT PATTERN: Wait for new page AND trigger action simultaneously
     // This is crucial - if you click first then wait, the page might not be captured
     // if click then wait: page might be created before waitForEvent listener
     // Solution: Use Promise.all() to set up listener first
-    
-    const newPagePromise = internetPage.page.context().waitForEvent('page');
-    
-    // Click the "Click Here" link under "Multiple Windows"
-    // First, navigate to multiple windows page
-    await internetPage.navigateToInternet();
-    const multiWindowLink = page.locator('a', { hasText: 'Multiple Windows' });
-    await multiWindowLink.click();
-    
-    // Now click the "Click Here" link
     const clickHereLink = page.locator('a', { hasText: 'Click Here' });
     const [newPage] = await Promise.all([
       page.context().waitForEvent('page'),
@@ -76,7 +59,7 @@ test.describe('Multi-Tab/Window Handling - Playwright Advantage', () => {
     
     // You can interact with the new page just like the original
     const newPageContent = await newPage.content();
-    expect(newPageContent).toContain('Opening a new window');
+    expect(newPageContent).toContain('<h3>New Window</h3>');
     
     // Close the new page
     await newPage.close();
@@ -91,7 +74,7 @@ test.describe('Multi-Tab/Window Handling - Playwright Advantage', () => {
    * Real-world example: Testing collaboration features with two users
    * User A logs in, takes an action, User B sees the update
    */
-  test('should handle multiple pages in same context', async ({ context }) => {
+  test('should handle multiple pages in same context', async ({ page, context }) => {
     // PLAYWRIGHT ADVANTAGE: Context can manage multiple pages
     // This is useful for:
     // - Simulating multiple users
@@ -107,8 +90,8 @@ test.describe('Multi-Tab/Window Handling - Playwright Advantage', () => {
     
     try {
       // Navigate both pages
-      await page1.goto('https://www.saucedemo.com/');
-      await page2.goto('https://www.saucedemo.com/');
+      await page1.goto('/');
+      await page2.goto('/');
       
       // Both pages share the same context (cookies, storage)
       const url1 = page1.url();
@@ -130,12 +113,12 @@ test.describe('Multi-Tab/Window Handling - Playwright Advantage', () => {
    * 
    * Demonstrates how to handle page timing issues
    */
-  test('should properly wait for page navigation', async () => {
+  test('should properly wait for page navigation', async ({ page, internetPage }) => {
     // Navigate to page that might do redirects
     const navigationPromise = page.waitForURL(/.*windows/);
     
     // Trigger navigation
-    await page.goto('https://the-internet.herokuapp.com/');
+    await internetPage.navigateToInternet();
     const multiWindowLink = page.locator('a', { hasText: 'Multiple Windows' });
     await multiWindowLink.click();
     
@@ -145,4 +128,82 @@ test.describe('Multi-Tab/Window Handling - Playwright Advantage', () => {
     // Verify we're on the right page
     expect(page.url()).toContain('windows');
   });
+
+  /**
+   * TEST: Track every window with its opener and open/close order
+   * 
+   * The `windows` fixture (support/windows.js) records each page of the
+   * context as it opens, so the test can ask who opened what and when.
+   */
+  test('should track popups with their opener and order', async ({ page, internetPage, windows }) => {
+    await internetPage.navigateToInternet('/windows');
+
+    const first = await internetPage.clickNewWindowLink();
+    const second = await internetPage.clickNewWindowLink();
+    await second.waitForLoadState();
+
+    const open = await windows.list();
+    expect(open.map(w => w.id)).toEqual([1, 2, 3]);
+    expect(open[0].url).toContain('/windows');
+    expect(open[1].openerId).toBe(1);
+    expect(open[2].openerId).toBe(1);
+    expect(open[2].title).toBe('New Window');
+
+    await windows.close(first);
+    await windows.close(second);
+
+    const all = await windows.list({ includeClosed: true });
+    expect(all.filter(w => w.closed).map(w => w.id)).toEqual([2, 3]);
+    expect(all[1].closeOrder).toBeLessThan(all[2].closeOrder);
+    expect(windows.openPages()).toEqual([page]);
+  });
+
+  /**
+   * TEST: Wait for a popup by title and switch focus to it
+   * 
+   * PLAYWRIGHT ADVANTAGE: the wait starts before the click, and the popup is
+   * found by what it shows instead of by the order it happened to open in
+   */
+  test('should wait for a popup by title and switch to it', async ({ page, internetPage, windows }) => {
+    await internetPage.navigateToInternet('/windows');
+
+    const popup = await windows.waitForWindow({ title: 'New Window', url: /\/windows\/new$/ }, {
+      action: () => page.locator('a', { hasText: 'Click Here' }).click(),
+    });
+
+    await windows.switchTo(popup);
+    expect(windows.activePage).toBe(popup);
+    await expect(popup.locator('h3')).toHaveText('New Window');
+
+    // Closing the active window hands focus back to the opener
+    await windows.close(popup);
+    expect(windows.activePage).toBe(page);
+  });
+
+  /**
+   * TEST: Windows left open are reported
+   * 
+   * At teardown the fixture fails any test that leaves a popup open;
+   * getLeftovers() shows what would be reported.
+   */
+  test('should report windows left open', async ({ internetPage, windows }) => {
+    await internetPage.navigateToInternet('/windows');
+    const popup = await internetPage.clickNewWindowLink();
+    await popup.waitForLoadState();
+
+    const leftovers = await windows.getLeftovers();
+    expect(leftovers).toHaveLength(1);
+    expect(leftovers[0].url).toContain('/windows/new');
+
+    // A popup the test means to leave open is not a leftover
+    windows.keepOpen(popup);
+    expect(await windows.getLeftovers()).toEqual([]);
+  });
+
+  test('should fail clearly when no matching popup opens', async ({ internetPage, windows }) => {
+    await internetPage.navigateToInternet('/windows');
+
+    await expect(windows.waitForWindow({ title: 'Never Opens' }, { timeout: 500 }))
+      .rejects.toThrow(/No window with title Never Opens opened within 500ms/);
+  });
 });
@@ -25,30 +25,22 @@
  * - Legacy applications relying on frames for isolation
  */
 
-const { test, expect } = require('@playwright/test');
-const InternetPage = require('../pages/InternetPage');
+const { test, expect } = require('../fixtures');
 
-test.describe('Iframe Handling - Playwright Advantage', () => {
-  
-  let page;
-  let internetPage;
-
-  test.beforeEach(async ({ page: testPage }) => {
-    page = testPage;
-    internetPage = new InternetPage(page);
-  });
+test.describe('Iframe Handling - Playwright Advantage', { tag: '@iframes' }, () => {
 
   /**
    * TEST: Read content from nested iframes
    * 
    * PLAYWRIGHT ADVANTAGE: frameLocator() is elegant and powerful
    * The Nested Frames page has a structure like:
-   * - <frame name="frame-top">
+   * - <frame name="frame-top"> (a frameset, no text of its own)
    *   - <frame name="frame-left"> contains "LEFT"
+   *   - <frame name="frame-middle"> contains "MIDDLE"
    *   - <frame name="frame-right"> contains "RIGHT"
    * - <frame name="frame-bottom"> contains "BOTTOM"
    */
-  test('should read text from nested iframes', async () => {
+  test('should read text from nested iframes', async ({ internetPage }) => {
     await internetPage.navigateToNestedFrames();
     
     // PLAYWRIGHT PATTERN: Use frameLocator() to select iframe
@@ -62,9 +54,9 @@ test.describe('Iframe Handling - Playwright Advantage', () => {
     const rightFrameText = await internetPage.getRightFrameText();
     expect(rightFrameText).toContain('RIGHT');
     
-    // Get text from top frame
-    const topFrameText = await internetPage.getTopFrameText();
-    expect(topFrameText.toLowerCase()).toContain('top');
+    // Get text from the frames inside frame-top and from the bottom frame
+    expect(await internetPage.getMiddleFrameText()).toBe('MIDDLE');
+    expect(await internetPage.getBottomFrameText()).toBe('BOTTOM');
   });
 
   /**
@@ -75,9 +67,9 @@ test.describe('Iframe Handling - Playwright Advantage', () => {
    * 
    * We'll use the "Frames" page which has a simpler single iframe
    */
-  test('should interact with iframe content', async () => {
+  test('should interact with iframe content', async ({ page, internetPage, richTextEditor }) => {
     // Navigate to frames page
-    await page.goto('https://the-internet.herokuapp.com/frames');
+    await internetPage.navigateToInternet('/frames');
     
     // Click on "iFrame" link to get to a simple iframe test
     const iframeLink = page.locator('a', { hasText: 'iFrame' });
@@ -85,22 +77,17 @@ test.describe('Iframe Handling - Playwright Advantage', () => {
     
     // Now we're on a page with an iframe containing a rich text editor
     
-    // PLAYWRIGHT PATTERN: Use frameLocator to select the iframe
-    const frameLocator = page.frameLocator('iframe[id="mce_0_ifr"]');
-    
-    // Select the iframe body
-    const iframeBody = frameLocator.locator('body');
-    
-    // Verify iframe is accessible
-    const isVisible = await iframeBody.isVisible();
-    expect(isVisible).toBe(true);
-    
-    // Find the text area and interact with it
-    const textArea = frameLocator.locator('#tinymce');
+    // PLAYWRIGHT PATTERN: the RichTextEditor component wraps the iframe
+    // (pages/components/RichTextEditor.js), so no iframe id or #tinymce here
+    await richTextEditor.waitForReady();
+    await expect(richTextEditor.body).toBeVisible();
     
     // Verify we can get text from it
-    const initialText = await textArea.textContent();
-    expect(initialText).toBeDefined();
+    expect(await richTextEditor.getPlainText()).toBe('Your content goes here.');
+    
+    // ...and write into it
+    await richTextEditor.setContent('Typed inside an iframe');
+    expect(await richTextEditor.getPlainText()).toBe('Typed inside an iframe');
     
     // PLAYWRIGHT ADVANTAGE vs CYPRESS:
     // This just worked cleanly. In Cypress, you'd need:
@@ -117,20 +104,20 @@ test.describe('Iframe Handling - Playwright Advantage', () => {
    * 
    * Demonstrates Playwright's strength with complex iframe scenarios
    */
-  test('should handle multiple iframes independently', async () => {
+  test('should handle multiple iframes independently', async ({ internetPage }) => {
     await internetPage.navigateToNestedFrames();
     
     // Get content from all frames at once
-    const [leftText, rightText, topText] = await Promise.all([
+    const [leftText, rightText, bottomText] = await Promise.all([
       internetPage.getLeftFrameText(),
       internetPage.getRightFrameText(),
-      internetPage.getTopFrameText()
+      internetPage.getBottomFrameText()
     ]);
     
     // All should be accessible without errors
     expect(leftText).toBeTruthy();
     expect(rightText).toBeTruthy();
-    expect(topText).toBeTruthy();
+    expect(bottomText).toBeTruthy();
     
     // PLAYWRIGHT ADVANTAGE: Promise.all() works perfectly with frameLocators
     // This demonstrates how Playwright's async/await pattern
@@ -149,23 +136,19 @@ test.describe('Iframe Handling - Playwright Advantage', () => {
    * 
    * More advanced: If iframe content changes or navigates
    */
-  test('should wait for iframe to load', async () => {
-    await page.goto('https://the-internet.herokuapp.com/frames');
+  test('should wait for iframe to load', async ({ page, internetPage, richTextEditor }) => {
+    await internetPage.navigateToInternet('/frames');
     
     // Click on iFrame link
     const iframeLink = page.locator('a', { hasText: 'iFrame' });
     await iframeLink.click();
     
-    // PLAYWRIGHT PATTERN: Wait for iframe selector explicitly
+    // PLAYWRIGHT PATTERN: Wait for the editor's iframe document explicitly
     // This is more reliable than assuming it loads immediately
-    await page.waitForSelector('iframe[id="mce_0_ifr"]');
-    
-    // Now interact with it
-    const frameLocator = page.frameLocator('iframe[id="mce_0_ifr"]');
-    const body = frameLocator.locator('body');
+    await richTextEditor.waitForReady();
     
     // Verify loaded
-    await expect(body).toBeVisible();
+    await expect(richTextEditor.body).toBeVisible();
     
     // PLAYWRIGHT ADVANTAGE: Explicit wait for iframe
     // Cypress doesn't have a good way to wait for iframes
@@ -173,6 +156,88 @@ test.describe('Iframe Handling - Playwright Advantage', () => {
     // and hope it works
   });
 
+  /**
+   * TEST: Resolve frames by name, id, URL or index
+   * 
+   * BasePage.frame() takes a path with one segment per nesting level
+   */
+  test('should resolve nested frames by name, URL or index', async ({ internetPage }) => {
+    await internetPage.navigateToNestedFrames();
+
+    expect(await internetPage.getFrameText('frame-top', 'frame-left')).toBe('LEFT');
+    expect(await internetPage.getFrameText({ url: '/frame_bottom' })).toBe('BOTTOM');
+    // frame-top is the first frame of the page, frame-right the third inside it
+    expect(await internetPage.getFrameText(0, 2)).toBe('RIGHT');
+    expect(await internetPage.getFrameText({ name: 'frame-top' }, { url: 'middle' })).toBe('MIDDLE');
+  });
+
+  test('should find an iframe by id', async ({ internetPage }) => {
+    await internetPage.navigateToInternet('/iframe');
+
+    const editor = internetPage.frame('mce_0_ifr').locator('#tinymce');
+    await expect(editor).toContainText('Your content goes here.');
+  });
+
+  /**
+   * TEST: List the frame tree
+   * 
+   * Handy when a frame cannot be found: every node shows the path
+   * frame() needs to reach it
+   */
+  test('should list the frame tree with usable paths', async ({ internetPage }) => {
+    await internetPage.navigateToNestedFrames();
+    // Wait until every frame has loaded
+    await Promise.all(Object.values(internetPage.nestedFrames).map(path => internetPage.getFrameText(path)));
+
+    const tree = await internetPage.getFrameTree();
+    expect(tree.path).toEqual([]);
+    expect(tree.children.map(child => child.name)).toEqual(['frame-top', 'frame-bottom']);
+    expect(tree.children[0].children.map(child => child.path)).toEqual([
+      ['frame-top', 'frame-left'],
+      ['frame-top', 'frame-middle'],
+      ['frame-top', 'frame-right'],
+    ]);
+
+    const text = await internetPage.describeFrameTree();
+    expect(text).toContain('(main)');
+    expect(text).toMatch(/\n    frame-left .*\/frame_left/);
+  });
+
+  /**
+   * TEST: Frame-scoped page object
+   * 
+   * inFrame() returns the same page object with its root inside the frame,
+   * so getText(), click() and fillText() work unchanged
+   */
+  test('should scope a page object to a nested frame', async ({ internetPage }) => {
+    await internetPage.navigateToNestedFrames();
+
+    const middle = internetPage.inFrame(internetPage.nestedFrames.middle);
+    expect(await middle.getText('#content')).toBe('MIDDLE');
+    await middle.expectVisible('#content');
+  });
+
+  /**
+   * TEST: Frames added after the page loaded
+   * 
+   * Frame locators resolve on use, so a path can be built before the frame exists
+   */
+  test('should wait for a dynamically added frame', async ({ page, internetPage }) => {
+    await internetPage.navigateToInternet('/frames');
+    const late = internetPage.frame({ name: 'late-frame' });
+
+    await page.evaluate(() => {
+      setTimeout(() => {
+        const frame = document.createElement('iframe');
+        frame.name = 'late-frame';
+        frame.srcdoc = '<p id="message">Loaded late</p>';
+        document.body.append(frame);
+      }, 500);
+    });
+
+    expect(await internetPage.getText(late.locator('#message'))).toBe('Loaded late');
+  });
+
   /**
    * IMPORTANT NOTE: Why iframe handling is critical
    * 
@@ -19,44 +19,42 @@
  * - Cannot easily persist to file for sharing
  * 
  * PLAYWRIGHT PATTERN:
- * 1. Create auth setup that logs in once
- * 2. Save state to auth.json file
- * 3. Load that state in test setup
- * 4. Skip login for subsequent tests
+ * 1. global-setup.js logs in every persona once
+ * 2. Saves one state file per persona (auth/<username>.json)
+ * 3. Tests load a state with test.use({ storageState }) or a persona project
+ * 4. Skip login for subsequent tests, until the saved session runs out
  * 5. Result: 100x faster test suite
  */
 
-const { test, expect } = require('@playwright/test');
-const LoginPage = require('../pages/LoginPage');
-const ProductsPage = require('../pages/ProductsPage');
+const { test, expect } = require('../fixtures');
 const fs = require('fs');
-const path = require('path');
-
-// Path to store authentication state
-const authFile = path.join(__dirname, '../auth', 'auth.json');
+const { PERSONAS, storageStatePath } = require('../config/personas');
+const LoginPage = require('../pages/LoginPage');
+const { sessionExpiresAt, isValidFor } = require('../support/auth-state');
 
 /**
  * PLAYWRIGHT PATTERN: Global Setup for Authentication
  * 
- * In playwright.config.js, you can define:
+ * In playwright.config.js:
  * ```
  * globalSetup: require.resolve('./global-setup.js'),
- * globalTeardown: require.resolve('./global-teardown.js'),
  * ```
  * 
- * This runs ONCE before all tests in the entire suite
- * 
- * In this example, we're doing auth setup per-test-file for clarity
- * But in production, you'd use global setup to run auth once per test suite
+ * This runs ONCE before all tests in the entire suite, so by the time
+ * these tests start every persona already has a saved storage state
+ */
+
+/**
+ * Read the session cookie Sauce Demo sets on login
  */
+function sessionCookie(state) {
+  return state.cookies.find(cookie => cookie.name === LoginPage.SESSION_COOKIE);
+}
 
-test.describe.serial('Authentication & State Management - Playwright Advantage', () => {
+test.describe('Authentication & State Management - Playwright Advantage', { tag: '@auth' }, () => {
   
   /**
-   * TEST: Setup - Login and save authentication state
-   * 
-   * This test runs FIRST (describe.serial ensures order)
-   * It logs in and saves the browser state to a file
+   * TEST: Global setup saved one authentication state per persona
    * 
    * PLAYWRIGHT ADVANTAGE vs CYPRESS:
    * - Playwright saves ACTUAL browser state (cookies, localStorage, sessionStorage)
@@ -64,150 +62,94 @@ test.describe.serial('Authentication & State Management - Playwright Advantage',
    * - Cypress cy.session() requires replaying login steps in memory
    * - Playwright's file-based approach is more flexible and testable
    */
-  test('01 - SETUP: Login and save authentication state', async ({ page }) => {
-    const loginPage = new LoginPage(page);
-    
-    // Create auth directory if it doesn't exist
-    const authDir = path.dirname(authFile);
-    if (!fs.existsSync(authDir)) {
-      fs.mkdirSync(authDir, { recursive: true });
+  test('01 - Global setup saved authentication state for every persona', async () => {
+    for (const username of PERSONAS) {
+      const authFile = storageStatePath(username);
+      
+      // Verify state was saved
+      expect(fs.existsSync(authFile), `${authFile} should exist`).toBe(true);
+      
+      // Each file holds the session of its own persona
+      const authData = JSON.parse(fs.readFileSync(authFile, 'utf-8'));
+      expect(sessionCookie(authData)?.value).toBe(username);
     }
-    
-    // Navigate to login page
-    await loginPage.navigateToLogin();
-    
-    // Perform login
-    // Standard Sauce Demo credentials
-    const username = 'standard_user';
-    const password = 'secret_sauce';
-    
-    await loginPage.login(username, password);
-    
-    // PLAYWRIGHT PATTERN: Save authentication state
-    // This saves cookies, localStorage, sessionStorage to a JSON file
-    // Think of it as "freezing" the authenticated browser state
-    
-    // Wait for products page to fully load
-    const productsPage = new ProductsPage(page);
-    await productsPage.waitForProductsToLoad();
-    
-    // Save the authentication state to file
-    // CRITICAL: This is THE Playwright advantage for auth management
-    await page.context().storageState({ path: authFile });
-    
-    // Verify state was saved
-    expect(fs.existsSync(authFile)).toBe(true);
-    
-    // Check auth file contains data (sanity check)
-    const authData = JSON.parse(fs.readFileSync(authFile, 'utf-8'));
-    expect(authData.cookies).toBeDefined();
-    expect(authData.cookies.length).toBeGreaterThan(0);
-    
-    console.log('✅ Authentication state saved to:', authFile);
   });
 
   /**
-   * TEST: Load saved authentication state
-   * 
-   * This demonstrates how to use the saved auth state
+   * TEST: Load saved authentication state in a new context
    * 
    * PLAYWRIGHT SPEED ADVANTAGE:
-   * - Test 1 (login + save): ~5 seconds
-   * - Test 2 (load saved state + verify): ~1 second
-   * - Test 3 (load saved state + verify): ~1 second
-   * - Test 4 (load saved state + verify): ~1 second
+   * - Global setup (login + save): ~5 seconds, once per run
+   * - Every test after that (load saved state + verify): ~1 second
    * 
    * vs CYPRESS WITHOUT STATE:
    * - Every test must log in: ~5 seconds each
-   * - 4 tests = 20+ seconds
-   * 
-   * PLAYWRIGHT WITH STATE:
-   * - Setup: 5 seconds
-   * - 3 tests: 3 seconds
-   * - Total: 8 seconds (4x faster!)
    * 
    * For large test suites with 100+ tests, this is the difference
    * between 10 minute test runs and 2 minute test runs
    */
-  test('02 - Reuse saved authentication state in new page', async ({ context }) => {
-    // Load the saved authentication state
-    // PLAYWRIGHT PATTERN: Use context option to load state
-    // Note: We need to create a new context with the saved state
+  test('02 - Reuse saved authentication state in new context', async ({ browser, baseURL, authStateFor }) => {
+    // PLAYWRIGHT PATTERN: Pass the saved state file when creating a context
+    // Cookies and localStorage are restored before the first page loads
+    const context = await browser.newContext({
+      baseURL,
+      storageState: await authStateFor('standard_user'),
+    });
     
-    // For this test, we'll manually load state to demonstrate the pattern
-    const authData = JSON.parse(fs.readFileSync(authFile, 'utf-8'));
-    
-    // In production, you'd do this in the test config:
-    // use: {
-    //   storageState: 'auth/auth.json',
-    // }
-    // 
-    // This would apply to all tests automatically
-    
-    // For this test, we'll verify the auth file exists and has cookies
-    expect(authData.cookies.length).toBeGreaterThan(0);
-    
-    // Check that essential cookies exist
-    const cookieNames = authData.cookies.map(c => c.name);
-    console.log('Available cookies:', cookieNames);
-    
-    // Sauce Demo uses specific cookies for session
-    // At minimum, we should have authentication-related cookies
-    expect(cookieNames.length).toBeGreaterThan(0);
+    try {
+      const page = await context.newPage();
+      
+      // Should load directly without login
+      await page.goto('/inventory.html');
+      await expect(page.locator('.inventory_container')).toBeVisible();
+      
+      const cookies = await context.cookies();
+      console.log('Available cookies:', cookies.map(c => c.name));
+      expect(sessionCookie({ cookies })?.value).toBe('standard_user');
+    } finally {
+      await context.close();
+    }
   });
 
   /**
    * TEST: Use auth state in test configuration
    * 
-   * In production, you'd configure this in playwright.config.js:
+   * test.use() applies the saved state to every test in this block:
    * 
    * ```javascript
-   * use: {
-   *   storageState: 'auth/auth.json',
-   * }
+   * test.use({ storageState: 'auth/standard_user.json' });
    * ```
    * 
-   * Then every test would automatically:
-   * 1. Load the saved state
-   * 2. Start already authenticated
-   * 3. Skip login entirely
-   * 
-   * This test demonstrates what would happen
+   * Then every test automatically:
+   * 1. Loads the saved state
+   * 2. Starts already authenticated
+   * 3. Skips login entirely
    */
-  test('03 - Verify products page loads with saved auth state', async ({ page }) => {
-    // This test simulates having auth state pre-loaded
-    // In real setup, page would already be authenticated
-    
-    // Load auth state manually for this test
-    const authData = JSON.parse(fs.readFileSync(authFile, 'utf-8'));
-    
-    // Add cookies to page
-    for (const cookie of authData.cookies) {
-      await page.context().addCookies([cookie]);
-    }
-    
-    // Now navigate to products page
-    // Should load directly without login
-    await page.goto('https://www.saucedemo.com/inventory.html');
-    
-    // Verify we're logged in by checking for products
-    const productsPage = new ProductsPage(page);
-    await productsPage.waitForProductsToLoad();
-    
-    // Get some products to verify we're authenticated
-    const productNames = await productsPage.getProductNames();
-    expect(productNames.length).toBeGreaterThan(0);
-    
-    console.log('✅ Loaded with saved auth state - no login needed!');
-    console.log('   Products found:', productNames.length);
+  test.describe('with standard_user storage state', () => {
+    test.use({ storageState: storageStatePath('standard_user') });
+
+    test('03 - Verify products page loads with saved auth state', async ({ page, productsPage }) => {
+      // Page is already authenticated - no cookie copying, no login
+      await page.goto('/inventory.html');
+      
+      // Verify we're logged in by checking for products
+      await productsPage.waitForProductsToLoad();
+      
+      // Get some products to verify we're authenticated
+      const productNames = await productsPage.getProductNames();
+      expect(productNames.length).toBeGreaterThan(0);
+      
+      console.log('✅ Loaded with saved auth state - no login needed!');
+      console.log('   Products found:', productNames.length);
+    });
   });
 
   /**
    * TEST: Multi-user authentication state management
    * 
    * PLAYWRIGHT ADVANTAGE: Multiple auth states
-   * You can save and load multiple users' auth states
-   * This is critical for testing user-specific features
+   * Each persona has its own state file, and each context is isolated,
+   * so two users can be active side by side in the same test
    * 
    * Real-world scenarios:
    * - Admin features visible only to admin users
@@ -219,70 +161,110 @@ test.describe.serial('Authentication & State Management - Playwright Advantage',
    * 1. Log in as each user in each test
    * 2. Use cy.session() per user
    * 3. Still replay login steps (slower)
-   * 
-   * PLAYWRIGHT APPROACH:
-   * 1. Create auth states for different users once
-   * 2. Save to separate files (admin-auth.json, user-auth.json)
-   * 3. Load appropriate state for each test
-   * 4. Tests run in parallel, each with own user context
-   * 5. Much faster and more maintainable
    */
-  test('04 - Manage multiple authentication contexts', async ({ browser }) => {
-    // In a real scenario, you'd save separate auth for:
-    // - admin user (can see all orders, analytics, etc)
-    // - regular user (can see only own orders)
-    // - read-only user (cannot modify anything)
-    
-    // For this demo, we'll just verify the pattern works
-    
-    // Create context with first auth state
-    const authData = JSON.parse(fs.readFileSync(authFile, 'utf-8'));
+  test('04 - Manage multiple authentication contexts', async ({ browser, baseURL, authStateFor }) => {
+    const standardContext = await browser.newContext({ baseURL, storageState: await authStateFor('standard_user') });
+    const problemContext = await browser.newContext({ baseURL, storageState: await authStateFor('problem_user') });
     
-    // Simulate creating a context for a different user
-    // In reality, you'd have different auth files for different users
-    
-    expect(authData.cookies).toBeDefined();
-    expect(authData.cookies.length).toBeGreaterThan(0);
+    try {
+      const standardPage = await standardContext.newPage();
+      const problemPage = await problemContext.newPage();
+      await Promise.all([
+        standardPage.goto('/inventory.html'),
+        problemPage.goto('/inventory.html'),
+      ]);
+      
+      // Both users are logged in at the same time, each with their own session
+      const [standardCookies, problemCookies] = await Promise.all([
+        standardContext.cookies(),
+        problemContext.cookies(),
+      ]);
+      expect(sessionCookie({ cookies: standardCookies })?.value).toBe('standard_user');
+      expect(sessionCookie({ cookies: problemCookies })?.value).toBe('problem_user');
+      
+      // problem_user sees the broken product images, standard_user does not
+      const firstImage = page => page.locator('img.inventory_item_img').first();
+      await expect(firstImage(standardPage)).not.toHaveAttribute('src', /sl-404/);
+      await expect(firstImage(problemPage)).toHaveAttribute('src', /sl-404/);
+      
+      console.log('✅ Multi-user auth state pattern demonstrated');
+    } finally {
+      await standardContext.close();
+      await problemContext.close();
+    }
+  });
+
+  /**
+   * TEST: A saved state is only as good as its session
+   * 
+   * Sauce Demo's session cookie expires 10 minutes after login, so a state is
+   * judged by that cookie, not by the age of its file - an expiring one is
+   * logged in again before the test that would outlive it
+   */
+  test('05 - Saved states are judged by when their session expires', async ({}, testInfo) => {
+    const stateWithSession = expires => {
+      const file = testInfo.outputPath(`state-${expires}.json`);
+      fs.writeFileSync(file, JSON.stringify({
+        cookies: [{ name: LoginPage.SESSION_COOKIE, value: 'standard_user', domain: 'localhost', path: '/', expires }],
+        origins: [],
+      }));
+      return file;
+    };
+    const inMinutes = minutes => Math.floor(Date.now() / 1000) + minutes * 60;
+
+    const expiring = stateWithSession(inMinutes(2));
+    expect(sessionExpiresAt(expiring)).toBe(inMinutes(2) * 1000);
+    expect(isValidFor(expiring, 60 * 1000)).toBe(true);
+    expect(isValidFor(expiring, 5 * 60 * 1000)).toBe(false);
+
+    expect(isValidFor(stateWithSession(-1), 60 * 60 * 1000)).toBe(true);
+    expect(isValidFor(testInfo.outputPath('missing.json'), 0)).toBe(false);
+  });
+});
+
+/**
+ * TEST: Persona projects
+ * 
+ * Tests tagged @persona only run in the persona projects of playwright.config.js
+ * (standard_user, problem_user, ...). Each project sets `storageState` to its
+ * persona's file, so this one test runs once per persona, already logged in.
+ */
+test.describe('Persona projects', { tag: ['@persona', '@auth'] }, () => {
+  test('starts logged in as the project persona', async ({ page, productsPage }, testInfo) => {
+    const { persona } = testInfo.project.metadata;
     
-    // PLAYWRIGHT ADVANTAGE: This pattern scales
-    // For 10 users, save 10 auth files
-    // For each test that needs a specific user, load that file
-    // Tests can run in parallel with different user contexts
+    await page.goto('/inventory.html');
+    await productsPage.waitForProductsToLoad();
     
-    console.log('✅ Multi-user auth state pattern demonstrated');
+    const cookies = await page.context().cookies();
+    expect(sessionCookie({ cookies })?.value).toBe(persona);
   });
 });
 
 /**
  * REAL-WORLD EXAMPLE: How to structure auth states for large teams
  * 
- * Directory structure:
+ * Directory structure (generated by global-setup.js):
  * /auth
- *   /admin-auth.json (admin user state)
- *   /user-auth.json (standard user state)
- *   /premium-auth.json (premium subscriber state)
- *   /guest-auth.json (guest user state)
+ *   /standard_user.json
+ *   /problem_user.json
+ *   /performance_glitch_user.json
+ *   /error_user.json
+ *   /visual_user.json
  * 
- * In playwright.config.js:
+ * In playwright.config.js, one project per persona:
  * ```javascript
- * const configs = {
- *   adminTests: {
- *     use: {
- *       storageState: 'auth/admin-auth.json',
- *     },
- *   },
- *   userTests: {
- *     use: {
- *       storageState: 'auth/user-auth.json',
- *     },
- *   },
- * };
+ * projects: PERSONAS.map(username => ({
+ *   name: username,
+ *   grep: /@persona/,
+ *   use: { storageState: storageStatePath(username) },
+ * })),
  * ```
  * 
  * Then tests automatically use the right auth:
  * ```javascript
- * test('admin can see analytics', async ({ page }) => {
- *   // Automatically loaded with admin auth
+ * test('sees the catalog', { tag: '@persona' }, async ({ page }) => {
+ *   // Runs once per persona, already logged in
  * });
  * ```
  * 
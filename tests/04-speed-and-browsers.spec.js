@@ -33,9 +33,8 @@
  * Difference: 5-6x faster test feedback
  */
 
-const { test, expect } = require('@playwright/test');
-const LoginPage = require('../pages/LoginPage');
-const ProductsPage = require('../pages/ProductsPage');
+const { test, expect } = require('../fixtures');
+const { CATALOG } = require('../test-data');
 
 /**
  * This test is configured to run on multiple browsers
@@ -48,7 +47,7 @@ const ProductsPage = require('../pages/ProductsPage');
  * - npx playwright test 04-speed-and-browsers.spec.js --project=webkit (Safari only)
  */
 
-test.describe('Speed & Cross-Browser Testing - Playwright Advantage', () => {
+test.describe('Speed & Cross-Browser Testing - Playwright Advantage', { tag: '@cross-browser' }, () => {
 
   /**
    * TEST: Run same test on multiple browsers automatically
@@ -69,15 +68,13 @@ test.describe('Speed & Cross-Browser Testing - Playwright Advantage', () => {
    * This test runs 3 times automatically (once per browser)
    * Each runs independently in parallel (if workers > 1 in config)
    */
-  test('should work across all browsers (Chrome, Firefox, Safari)', async ({ page, browserName }) => {
-    const loginPage = new LoginPage(page);
-    
+  test('should work across all browsers (Chrome, Firefox, Safari)', async ({ page, loginPage, browserName, baseURL }) => {
     // Navigate to login
     await loginPage.navigateToLogin();
     
     // Check page loaded
     const url = page.url();
-    expect(url).toContain('saucedemo');
+    expect(url).toContain(baseURL);
     
     // Test works identically on all browsers
     // PLAYWRIGHT ADVANTAGE: Single test, zero code changes, three browsers tested
@@ -94,8 +91,7 @@ test.describe('Speed & Cross-Browser Testing - Playwright Advantage', () => {
    * - Firefox might need different handling of certain APIs
    * - Mobile Safari might have different viewport
    */
-  test('should handle browser-specific scenarios', async ({ page, browserName }) => {
-    const loginPage = new LoginPage(page);
+  test('should handle browser-specific scenarios', async ({ loginPage, browserName }) => {
     await loginPage.navigateToLogin();
     
     // Example: Safari-specific handling
@@ -123,31 +119,30 @@ test.describe('Speed & Cross-Browser Testing - Playwright Advantage', () => {
   /**
    * TEST: Performance measurement across browsers
    * 
-   * Playwright can measure performance metrics per browser
-   * Useful for identifying browser-specific performance issues
+   * The `perf` fixture (support/performance.js) records the browser's own
+   * metrics for each page-object action - Navigation Timing, paints, long
+   * tasks, resources - and fails the test if one exceeds its budget in
+   * config/performance.js. Every run's numbers land in perf-results/.
    * 
    * Real-world example: Your app is fast on Chrome but slow on Firefox
-   * This test would help identify that
+   * This test would catch that as a budget violation in the firefox project
    */
-  test('should measure performance across browsers', async ({ page, browserName }) => {
-    const startTime = Date.now();
-    
-    const loginPage = new LoginPage(page);
-    await loginPage.navigateToLogin();
-    
-    // Measure navigation time
-    const navigationTime = Date.now() - startTime;
-    console.log(`[${browserName}] Page load time: ${navigationTime}ms`);
-    
-    // Login timing
-    const loginStart = Date.now();
-    await loginPage.login('standard_user', 'secret_sauce');
-    const loginTime = Date.now() - loginStart;
-    console.log(`[${browserName}] Login time: ${loginTime}ms`);
-    
-    // In a real test suite, you might assert:
-    // expect(loginTime).toBeLessThan(5000);
-    // This would catch regressions
+  test('should measure performance across browsers', async ({ perf, loginPage, credentials }) => {
+    const login = perf.track(loginPage);
+
+    await login.navigateToLogin();
+    await login.login(credentials.username, credentials.password);
+
+    expect(perf.actions.map(action => action.name)).toEqual(['LoginPage.navigateToLogin', 'LoginPage.login']);
+
+    // Both actions opened a new document, so both have its Navigation Timing
+    const loginPageLoad = perf.getAction('LoginPage.navigateToLogin');
+    expect(loginPageLoad.url).toBe('/');
+    expect(loginPageLoad.metrics.load).toBeGreaterThan(0);
+    expect(loginPageLoad.metrics.firstContentfulPaint).toBeGreaterThan(0);
+    expect(perf.getAction('LoginPage.login').url).toBe('/inventory.html');
+
+    expect(perf.getBudgetViolations()).toEqual([]);
     
     // PLAYWRIGHT ADVANTAGE: Easy performance tracking across browsers
     // CYPRESS: No built-in way to measure per-browser performance
@@ -171,9 +166,7 @@ test.describe('Speed & Cross-Browser Testing - Playwright Advantage', () => {
    * PLAYWRIGHT ADVANTAGE: Mobile testing built-in
    * CYPRESS: Mobile support is very limited
    */
-  test('should work on multiple devices', async ({ page, browserName, context }) => {
-    const loginPage = new LoginPage(page);
-    
+  test('should work on multiple devices', async ({ page, loginPage, browserName }) => {
     // Navigate
     await loginPage.navigateToLogin();
     
@@ -218,7 +211,7 @@ test.describe('Speed & Cross-Browser Testing - Playwright Advantage', () => {
     const startTime = Date.now();
     
     // Simulate some work
-    await page.goto('https://www.saucedemo.com/');
+    await page.goto('/');
     
     const elapsedTime = Date.now() - startTime;
     
@@ -237,23 +230,16 @@ test.describe('Speed & Cross-Browser Testing - Playwright Advantage', () => {
    * This is the true power of Playwright:
    * One test, runs automatically on all browsers, reports per-browser
    */
-  test('should complete shopping flow on all browsers', async ({ page, browserName }) => {
-    const loginPage = new LoginPage(page);
-    const productsPage = new ProductsPage(page);
-    
-    // Login
-    await loginPage.navigateToLogin();
-    await loginPage.login('standard_user', 'secret_sauce');
-    
-    // Verify products loaded
-    await productsPage.waitForProductsToLoad();
+  test('should complete shopping flow on all browsers', async ({ authenticatedPage, productsPage, testData, browserName }) => {
+    // authenticatedPage fixture has already logged in and waited for the products to load
     
-    // Get products
-    const products = await productsPage.getProductNames();
-    expect(products.length).toBeGreaterThan(0);
+    // The whole catalog is listed
+    expect(await productsPage.getProductNames()).toEqual(CATALOG.map(product => product.name));
     
-    // Add to cart
-    await productsPage.addProductToCart(products[0]);
+    // Add a product picked by the test's seed, at its catalog price
+    const product = testData.product();
+    expect((await productsPage.getInventoryItem(product.name)).price).toBe(product.price);
+    await productsPage.addProductToCart(product.name);
     
     // Verify cart count
     const cartCount = await productsPage.getCartItemCount();
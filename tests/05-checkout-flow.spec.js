@@ -0,0 +1,134 @@
+/**
+ * Test: Checkout Flow (Purchase Funnel)
+ *
+ * Covers the whole purchase funnel with one page object per step:
+ * ProductsPage -> CartPage -> CheckoutInformationPage -> CheckoutOverviewPage -> CheckoutCompletePage
+ *
+ * PLAYWRIGHT vs CYPRESS:
+ * - Playwright: each step is a page object injected as a fixture
+ * - Cypress: usually one long chain of cy.get() calls, or custom commands per step
+ * - Page objects return plain numbers for prices, so the totals math is
+ *   asserted in the test instead of comparing formatted strings
+ *
+ * Customers come from the `testData` fixture: random, but replayable from
+ * the seed in the test's `test-data` annotation (see test-data/).
+ */
+
+const { test, expect } = require('../fixtures');
+const { PRODUCTS, orderTotals } = require('../test-data');
+
+test.describe('Checkout Flow', { tag: '@checkout' }, () => {
+
+  /**
+   * TEST: Buy several items and verify the totals math
+   *
+   * Item total is the sum of the catalog prices, tax is 8% rounded to cents,
+   * and the total is item total + tax
+   */
+  test('should buy several items with correct totals', async ({
+    authenticatedPage,
+    productsPage,
+    cartPage,
+    checkoutInformationPage,
+    checkoutOverviewPage,
+    checkoutCompletePage,
+    testData,
+  }) => {
+    const products = testData.products(3);
+    const items = products.map(product => product.name);
+
+    for (const item of items) {
+      await productsPage.addProductToCart(item);
+    }
+    await productsPage.goToCart();
+
+    // Cart shows exactly what was added
+    expect(await cartPage.getItemNames()).toEqual(items);
+    await cartPage.checkout();
+
+    await checkoutInformationPage.continueToOverview(testData.customer());
+
+    // Overview lists the same items at their catalog prices
+    expect(await checkoutOverviewPage.getItemNames()).toEqual(items);
+    expect(await checkoutOverviewPage.getItemPrices()).toEqual(products.map(product => product.price));
+
+    // Totals math
+    expect(await checkoutOverviewPage.getSummary()).toEqual(orderTotals(products));
+
+    expect(await checkoutOverviewPage.getPaymentInfo()).toContain('SauceCard');
+
+    // Place the order
+    await checkoutOverviewPage.finish();
+    await checkoutCompletePage.expectOrderComplete();
+    expect(await checkoutCompletePage.getConfirmationHeader()).toBe('Thank you for your order!');
+
+    // The cart is emptied once the order is placed
+    await checkoutCompletePage.backHome();
+    await productsPage.expectHidden(productsPage.header.cartBadge);
+  });
+
+  /**
+   * TEST: Remove an item and continue shopping from the cart
+   */
+  test('should remove items and continue shopping', async ({ authenticatedPage, productsPage, cartPage }) => {
+    await productsPage.addProductToCart(PRODUCTS.backpack.name);
+    await productsPage.addProductToCart(PRODUCTS.fleeceJacket.name);
+    await productsPage.goToCart();
+
+    await cartPage.removeItem(PRODUCTS.backpack.name);
+    expect(await cartPage.getItemNames()).toEqual([PRODUCTS.fleeceJacket.name]);
+    expect(await cartPage.getItemCount()).toBe(1);
+
+    await cartPage.continueShopping();
+    expect(await productsPage.getCartItemCount()).toBe(1);
+  });
+
+  /**
+   * TEST: Customer information validation
+   *
+   * Each required field produces its own error, checked in form order
+   */
+  const validationCases = [
+    { filled: [], error: 'Error: First Name is required' },
+    { filled: ['firstName'], error: 'Error: Last Name is required' },
+    { filled: ['firstName', 'lastName'], error: 'Error: Postal Code is required' },
+  ];
+
+  for (const { filled, error } of validationCases) {
+    test(`should show "${error}"`, async ({ authenticatedPage, productsPage, cartPage, checkoutInformationPage, testData }) => {
+      await productsPage.addProductToCart(PRODUCTS.backpack.name);
+      await productsPage.goToCart();
+      await cartPage.checkout();
+
+      const customer = testData.customer();
+      await checkoutInformationPage.fillInformation(Object.fromEntries(filled.map(field => [field, customer[field]])));
+      await checkoutInformationPage.submit();
+
+      expect(await checkoutInformationPage.isErrorDisplayed()).toBe(true);
+      expect(await checkoutInformationPage.getErrorMessage()).toBe(error);
+
+      // Still on step one
+      expect(authenticatedPage.url()).toContain('checkout-step-one');
+    });
+  }
+
+  /**
+   * TEST: Cancelling the overview keeps the cart
+   */
+  test('should keep the cart when the order is cancelled', async ({
+    authenticatedPage,
+    productsPage,
+    cartPage,
+    checkoutInformationPage,
+    checkoutOverviewPage,
+    testData,
+  }) => {
+    await productsPage.addProductToCart(testData.product().name);
+    await productsPage.goToCart();
+    await cartPage.checkout();
+    await checkoutInformationPage.continueToOverview(testData.customer());
+
+    await checkoutOverviewPage.cancel();
+    expect(await productsPage.getCartItemCount()).toBe(1);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Test: Product Detail & Inventory Item Model
+ *
+ * ProductsPage.getInventoryItems() and ProductDetailPage.getItem() both return
+ * InventoryItem objects (name, description, numeric price, image src,
+ * in-cart state, detail link), so the list and the detail page can be
+ * compared field by field instead of string by string.
+ *
+ * PLAYWRIGHT vs CYPRESS:
+ * - Playwright: page objects return plain data, assertions stay in the test
+ * - Cypress: values only exist inside .then() callbacks, so comparing two
+ *   pages means nesting callbacks or stashing values in aliases
+ */
+
+const { test, expect } = require('../fixtures');
+const { PRODUCTS, CATALOG } = require('../test-data');
+
+test.describe('Product Detail & Inventory Item Model', { tag: '@catalog' }, () => {
+
+  /**
+   * TEST: Inventory returns typed items
+   */
+  test('should return typed inventory items', async ({ authenticatedPage, productsPage }) => {
+    const items = await productsPage.getInventoryItems();
+    expect(items.map(item => ({ name: item.name, price: item.price })))
+      .toEqual(CATALOG.map(({ name, price }) => ({ name, price })));
+
+    for (const item of items) {
+      expect(item.name).not.toBe('');
+      expect(item.description).not.toBe('');
+      expect(typeof item.price).toBe('number');
+      expect(item.price).toBeGreaterThan(0);
+      expect(item.imageSrc).toMatch(/\/static\/media\/.+/);
+      expect(item.inCart).toBe(false);
+      expect(item.detailLink).toMatch(/inventory-item\.html\?id=\d+/);
+    }
+  });
+
+  /**
+   * TEST: Every product's detail page matches its inventory card
+   */
+  test('should show the same product data on list and detail pages', async ({
+    authenticatedPage,
+    productsPage,
+    productDetailPage,
+  }) => {
+    const items = await productsPage.getInventoryItems();
+
+    for (const item of items) {
+      await productDetailPage.goto(item.detailLink);
+      const detail = await productDetailPage.getItem();
+
+      expect(detail.productData(), `detail page of ${item.name}`).toEqual(item.productData());
+      expect(detail.detailLink).toBe(item.detailLink);
+    }
+  });
+
+  /**
+   * TEST: Cart state is shared between detail page and inventory list
+   */
+  test('should reflect cart changes made on the detail page', async ({
+    authenticatedPage,
+    productsPage,
+    productDetailPage,
+  }) => {
+    await productsPage.openProductDetail(PRODUCTS.fleeceJacket.name);
+
+    await productDetailPage.addToCart();
+    expect(await productDetailPage.isInCart()).toBe(true);
+    expect((await productDetailPage.getItem()).inCart).toBe(true);
+
+    await productDetailPage.backToProducts();
+    const jacket = await productsPage.getInventoryItem(PRODUCTS.fleeceJacket.name);
+    expect(jacket.inCart).toBe(true);
+    expect(await productsPage.getCartItemCount()).toBe(1);
+  });
+});
+
+/**
+ * Persona check: runs once per persona project (see playwright.config.js)
+ *
+ * problem_user links every card to the wrong product and visual_user sees
+ * different prices on the list, so their list and detail pages disagree.
+ */
+test.describe('Product data consistency per persona', { tag: ['@persona', '@catalog'] }, () => {
+  test('list and detail pages agree', async ({ page, productsPage, productDetailPage, persona }) => {
+    const { detailLinksMatch, pricesMatchCatalog } = persona.expects;
+    test.fail(!detailLinksMatch || !pricesMatchCatalog, `${persona.username} has known product data defects`);
+
+    await page.goto('/inventory.html');
+    const items = await productsPage.getInventoryItems();
+
+    for (const item of items) {
+      await productDetailPage.goto(item.detailLink);
+      expect((await productDetailPage.getItem()).productData()).toEqual(item.productData());
+    }
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Test: Product Sorting Verification
+ *
+ * Data-driven: every sort mode runs in every persona project
+ * (see the persona projects in playwright.config.js). Selecting an option is
+ * not enough - ProductsPage.verifySortOrder() reads the list back and reports
+ * the first pair of products in the wrong order.
+ *
+ * Known defects:
+ * - problem_user: selecting a sort option leaves the list in A to Z order
+ * - error_user: sorting raises "Sorting is broken!" and leaves the list unchanged
+ * - visual_user: list prices are randomized, so price order cannot be checked
+ *
+ * PLAYWRIGHT vs CYPRESS:
+ * - Playwright: a plain for...of loop generates one named test per mode,
+ *   and projects multiply them by persona with no extra code
+ * - Cypress: needs Cypress._.each() around it() and separate runs per user
+ */
+
+const { test, expect } = require('../fixtures');
+const ProductsPage = require('../pages/ProductsPage');
+
+test.describe('Product Sorting', { tag: ['@persona', '@catalog'] }, () => {
+  test.beforeEach(async ({ page, productsPage }) => {
+    await page.goto('/inventory.html');
+    await productsPage.waitForProductsToLoad();
+  });
+
+  test('should start sorted by name (A to Z)', async ({ productsPage }) => {
+    expect(await productsPage.getSortState()).toEqual({ value: 'az', label: 'Name (A to Z)' });
+
+    const result = await productsPage.verifySortOrder();
+    expect(result.sorted, result.message).toBe(true);
+  });
+
+  for (const [mode, { label, by }] of Object.entries(ProductsPage.SORT_MODES)) {
+    test(`should sort by ${label}`, async ({ productsPage, persona, browserErrors }) => {
+      const { username, expects } = persona;
+      test.skip(!expects.pricesMatchCatalog && by === 'price', `${username} sees randomized prices`);
+      // The default A to Z order survives a broken sort
+      test.fail(!expects.sortWorks && mode !== 'az', `${username} has known sorting defects`);
+      if (!expects.sortWorks) {
+        browserErrors.allow({ type: 'console', message: 'Sorting is broken!' }, `${username} cannot sort`);
+      }
+
+      await productsPage.sortBy(mode);
+      expect(await productsPage.getSortState()).toEqual({ value: mode, label });
+
+      const result = await productsPage.verifySortOrder(mode);
+      expect(result.firstOutOfOrder, result.message).toBeNull();
+    });
+  }
+});
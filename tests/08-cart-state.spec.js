@@ -0,0 +1,119 @@
+/**
+ * Test: Cart State Management
+ *
+ * Sauce Demo keeps the cart in localStorage ('cart-contents', a list of
+ * product ids). These tests check that the three views of the cart agree:
+ * 1. the header badge (ProductsPage.getCartItemCount)
+ * 2. the cart page (CartPage.getCartContents)
+ * 3. the app's storage (CartPage.getCartFromStorage)
+ * ...after reloads and across tabs of the same context.
+ *
+ * PLAYWRIGHT ADVANTAGE:
+ * - Reading localStorage is one page.evaluate() call, no plugin needed
+ * - A second tab in the same context shares storage, so cross-tab sync
+ *   can be tested directly - Cypress cannot open a second tab at all
+ */
+
+const { test, expect } = require('../fixtures');
+const ProductsPage = require('../pages/ProductsPage');
+const CartPage = require('../pages/CartPage');
+const { PRODUCTS } = require('../test-data');
+
+const PRODUCTS_IN_CART = [PRODUCTS.backpack, PRODUCTS.boltTShirt, PRODUCTS.onesie];
+const ITEMS = PRODUCTS_IN_CART.map(product => product.name);
+
+/**
+ * Collect the badge, cart page and storage views of the cart
+ * Leaves the page on cart.html
+ */
+async function readCartViews(productsPage, cartPage) {
+  const badgeCount = await productsPage.getCartItemCount();
+  const storedIds = await cartPage.getCartFromStorage();
+  await cartPage.navigateToCart();
+  const contents = await cartPage.getCartContents();
+  return { badgeCount, storedIds, contents };
+}
+
+test.describe('Cart State Management', { tag: '@cart' }, () => {
+
+  test('should report 0 items when the cart badge is missing', async ({ authenticatedPage, productsPage, cartPage }) => {
+    expect(await productsPage.getCartItemCount()).toBe(0);
+    expect(await cartPage.getCartFromStorage()).toEqual([]);
+  });
+
+  test('should keep badge, cart page and storage in agreement', async ({ authenticatedPage, productsPage, cartPage }) => {
+    await productsPage.addProductsToCart(ITEMS);
+
+    const { badgeCount, storedIds, contents } = await readCartViews(productsPage, cartPage);
+
+    expect(badgeCount).toBe(ITEMS.length);
+    expect(contents.map(item => item.name)).toEqual(ITEMS);
+    expect(storedIds).toEqual(PRODUCTS_IN_CART.map(product => product.id));
+    expect(contents.map(item => item.id)).toEqual(storedIds);
+    expect(contents.map(item => item.price)).toEqual(PRODUCTS_IN_CART.map(product => product.price));
+    for (const item of contents) {
+      expect(item.quantity).toBe(1);
+    }
+  });
+
+  test('should survive page reloads', async ({ authenticatedPage, productsPage, cartPage }) => {
+    await productsPage.addProductsToCart(ITEMS);
+    const storedBefore = await cartPage.getCartFromStorage();
+
+    await authenticatedPage.reload();
+    await productsPage.waitForProductsToLoad();
+
+    expect(await productsPage.getCartItemCount()).toBe(ITEMS.length);
+    expect(await cartPage.getCartFromStorage()).toEqual(storedBefore);
+
+    // The cart page survives a reload as well
+    await cartPage.navigateToCart();
+    await authenticatedPage.reload();
+    expect((await cartPage.getCartContents()).map(item => item.name)).toEqual(ITEMS);
+  });
+
+  test('should remove items and clear the cart', async ({ authenticatedPage, productsPage, cartPage }) => {
+    await productsPage.addProductsToCart(ITEMS);
+
+    await productsPage.removeProductFromCart(PRODUCTS.boltTShirt.name);
+    expect(await productsPage.getCartItemCount()).toBe(2);
+    expect(await cartPage.getCartFromStorage()).toHaveLength(2);
+
+    await productsPage.clearCart();
+    expect(await productsPage.getCartItemCount()).toBe(0);
+    expect(await cartPage.getCartFromStorage()).toEqual([]);
+  });
+
+  /**
+   * TEST: Cart is shared across tabs
+   *
+   * Both tabs belong to the same browser context, so they share localStorage.
+   * A change made in one tab shows up in the other once it re-renders.
+   */
+  test('should share the cart across tabs', async ({ authenticatedPage, context, productsPage, cartPage }) => {
+    await productsPage.addProductsToCart(ITEMS);
+
+    const secondTab = await context.newPage();
+    try {
+      const secondProducts = new ProductsPage(secondTab);
+      const secondCart = new CartPage(secondTab);
+
+      await secondTab.goto('/inventory.html');
+      await secondProducts.waitForProductsToLoad();
+      expect(await secondProducts.getCartItemCount()).toBe(ITEMS.length);
+      expect(await secondCart.getCartFromStorage()).toEqual(await cartPage.getCartFromStorage());
+
+      // Remove in the second tab, then check the first tab after a reload
+      await secondProducts.removeProductFromCart(PRODUCTS.backpack.name);
+      await authenticatedPage.reload();
+      await productsPage.waitForProductsToLoad();
+
+      const { badgeCount, storedIds, contents } = await readCartViews(productsPage, cartPage);
+      expect(badgeCount).toBe(ITEMS.length - 1);
+      expect(contents.map(item => item.id)).toEqual(storedIds);
+      expect(contents.map(item => item.name)).not.toContain(PRODUCTS.backpack.name);
+    } finally {
+      await secondTab.close();
+    }
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Test: Negative Login Matrix
+ *
+ * Data-driven: each row of LOGIN_MATRIX becomes its own named test.
+ * LoginPage.tryLogin() returns { success, errorCode, message } instead of
+ * timing out, so a failed login reports exactly why it failed.
+ *
+ * PLAYWRIGHT vs CYPRESS:
+ * - Playwright: rows are generated with a plain loop, each test has its own
+ *   title in the report and runs in parallel with the others
+ * - Cypress: Cypress._.each() over it() blocks, run one after another
+ */
+
+const { test, expect } = require('../fixtures');
+const LoginPage = require('../pages/LoginPage');
+const { getPersona } = require('../test-data');
+
+const { ERRORS } = LoginPage;
+const { username: STANDARD_USER, password: PASSWORD } = getPersona('standard_user');
+const LOCKED_OUT = getPersona('locked_out_user');
+
+const LOGIN_MATRIX = [
+  { title: 'empty form', username: '', password: '', errorCode: ERRORS.MISSING_USERNAME },
+  { title: 'password only', username: '', password: PASSWORD, errorCode: ERRORS.MISSING_USERNAME },
+  { title: 'username only', username: STANDARD_USER, password: '', errorCode: ERRORS.MISSING_PASSWORD },
+  { title: 'wrong password', username: STANDARD_USER, password: `${PASSWORD}_wrong`, errorCode: ERRORS.BAD_CREDENTIALS },
+  { title: 'unknown user', username: 'nobody_user', password: PASSWORD, errorCode: ERRORS.BAD_CREDENTIALS },
+  { title: 'username in wrong case', username: STANDARD_USER.toUpperCase(), password: PASSWORD, errorCode: ERRORS.BAD_CREDENTIALS },
+  { title: 'username with spaces', username: ` ${STANDARD_USER} `, password: PASSWORD, errorCode: ERRORS.BAD_CREDENTIALS },
+  { title: 'locked out user', username: LOCKED_OUT.username, password: LOCKED_OUT.password, errorCode: LOCKED_OUT.expects.loginError },
+];
+
+const MESSAGES = {
+  [ERRORS.MISSING_USERNAME]: 'Epic sadface: Username is required',
+  [ERRORS.MISSING_PASSWORD]: 'Epic sadface: Password is required',
+  [ERRORS.BAD_CREDENTIALS]: 'Epic sadface: Username and password do not match any user in this service',
+  [ERRORS.LOCKED_OUT]: 'Epic sadface: Sorry, this user has been locked out.',
+};
+
+test.describe('Negative Login Matrix', { tag: '@auth' }, () => {
+  test.beforeEach(async ({ loginPage }) => {
+    await loginPage.navigateToLogin();
+  });
+
+  for (const { title, username, password, errorCode } of LOGIN_MATRIX) {
+    test(`should reject ${title} with ${errorCode}`, async ({ page, loginPage }) => {
+      const result = await loginPage.tryLogin(username, password);
+
+      expect(result).toEqual({ success: false, errorCode, message: MESSAGES[errorCode] });
+      expect(await loginPage.isErrorDisplayed()).toBe(true);
+
+      // Still on the login page
+      expect(new URL(page.url()).pathname).toBe('/');
+    });
+  }
+
+  test('should report success for a valid login', async ({ loginPage }) => {
+    const result = await loginPage.tryLogin(STANDARD_USER, PASSWORD);
+    expect(result).toEqual({ success: true, errorCode: null, message: null });
+  });
+
+  test('should make login() fail with the reason instead of a timeout', async ({ loginPage }) => {
+    await expect(loginPage.login(LOCKED_OUT.username, LOCKED_OUT.password)).rejects.toThrow(/locked-out/);
+  });
+
+  test('should dismiss the error banner', async ({ loginPage }) => {
+    await loginPage.tryLogin(LOCKED_OUT.username, LOCKED_OUT.password);
+    expect(await loginPage.isErrorDisplayed()).toBe(true);
+
+    await loginPage.dismissError();
+    await loginPage.expectHidden(loginPage.errorMessage);
+  });
+
+  test('should explain why a protected page is not reachable', async ({ page, loginPage }) => {
+    await page.goto('/inventory.html');
+
+    const error = await loginPage.getLoginError();
+    expect(error.errorCode).toBe(ERRORS.NOT_LOGGED_IN);
+    expect(error.message).toContain('/inventory.html');
+  });
+});
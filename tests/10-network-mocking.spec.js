@@ -0,0 +1,84 @@
+/**
+ * Test: Network Mocking & HAR Replay
+ *
+ * The `network` fixture (support/network.js) sits on the test's browser
+ * context. Stubs declared in a test simulate backend failures; the network
+ * mode (NETWORK_MODE=passthrough|record|replay) decides whether everything
+ * else goes to the servers, is recorded to a HAR, or is replayed from one.
+ *
+ *   NETWORK_MODE=record npx playwright test 10-network-mocking --project=chromium
+ *   NETWORK_MODE=replay npx playwright test 10-network-mocking --project=chromium
+ *
+ * PLAYWRIGHT vs CYPRESS:
+ * - Playwright: route.abort() makes a request fail at the network level,
+ *   so the browser shows a real broken image
+ * - Cypress: cy.intercept() can send { forceNetworkError: true }, but HAR
+ *   replay needs a plugin
+ */
+
+const { test, expect } = require('../fixtures');
+
+test.describe('Network Mocking', { tag: '@network' }, () => {
+
+  test('should show broken images when image requests fail', async ({ network, browserErrors, authenticatedPage, productsPage }) => {
+    expect(await productsPage.getBrokenImages()).toEqual([]);
+
+    const images = await network.failImages();
+    browserErrors.allow({ url: /\/static\/media\// }, 'the test fails every product image');
+    await authenticatedPage.reload();
+    await productsPage.waitForProductsToLoad();
+
+    const names = await productsPage.getProductNames();
+    expect(await productsPage.getBrokenImages()).toEqual(names);
+    expect(images.hits).toBeGreaterThanOrEqual(names.length);
+  });
+
+  test('should surface a 500 from the server', async ({ network, browserErrors, authenticatedPage, productsPage }) => {
+    const cart = await network.serverError('**/cart.html');
+    browserErrors.allow({ url: '/cart.html' }, 'the test answers cart.html with a 500');
+
+    const response = await authenticatedPage.goto('/cart.html');
+    expect(response.status()).toBe(500);
+    await expect(authenticatedPage.locator('body')).toHaveText('Internal Server Error');
+    expect(cart.hits).toBe(1);
+
+    // Only the stubbed URL fails
+    await authenticatedPage.goto('/inventory.html');
+    await productsPage.waitForProductsToLoad();
+  });
+
+  test('should still load the catalog behind a slow response', async ({ network, authenticatedPage, productsPage }) => {
+    const delayMs = 1500;
+    await network.slow('**/inventory.html', delayMs);
+
+    const start = Date.now();
+    await authenticatedPage.reload();
+    await productsPage.waitForProductsToLoad();
+
+    expect(Date.now() - start).toBeGreaterThanOrEqual(delayMs);
+    expect(await productsPage.getProductNames()).toHaveLength(6);
+  });
+
+  test('should answer with a canned response', async ({ network, page }) => {
+    await network.stub('**/maintenance.html', {
+      body: '<h1>Back soon</h1>',
+      contentType: 'text/html',
+    });
+
+    await page.goto('/maintenance.html');
+    await expect(page.locator('h1')).toHaveText('Back soon');
+  });
+
+  /**
+   * TEST: Recorded session replays without the server
+   * Skipped in passthrough mode - there is nothing recorded to replay
+   */
+  test.describe('HAR recording', () => {
+    test.skip(({ networkMode }) => networkMode === 'passthrough', 'Needs NETWORK_MODE=record or NETWORK_MODE=replay');
+
+    test('should render the catalog from a recording', async ({ authenticatedPage, productsPage }) => {
+      expect(await productsPage.getProductNames()).toHaveLength(6);
+      expect(await productsPage.getBrokenImages()).toEqual([]);
+    });
+  });
+});
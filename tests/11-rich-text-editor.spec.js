@@ -0,0 +1,74 @@
+/**
+ * Test: Rich Text Editor (TinyMCE iframe)
+ *
+ * The editor on /iframe is a TinyMCE-style component: a toolbar outside the
+ * iframe, the document inside it. RichTextEditor (pages/components) drives
+ * both, so these tests read like a user's actions, not like DOM surgery.
+ *
+ * PLAYWRIGHT vs CYPRESS:
+ * - Playwright: keyboard input reaches the iframe like any other element
+ * - Cypress: typing into an iframe body needs cypress-iframe or
+ *   contentDocument wrapping, and toolbar clicks can steal the selection
+ */
+
+const { test, expect } = require('../fixtures');
+
+const BOLD = /<(b|strong)>/;
+
+test.describe('Rich Text Editor', { tag: '@iframes' }, () => {
+  test.beforeEach(async ({ internetPage, richTextEditor }) => {
+    await internetPage.navigateToInternet('/iframe');
+    await richTextEditor.waitForReady();
+  });
+
+  test('should clear and type text', async ({ richTextEditor }) => {
+    expect(await richTextEditor.getPlainText()).toBe('Your content goes here.');
+
+    await richTextEditor.clear();
+    expect(await richTextEditor.getPlainText()).toBe('');
+
+    await richTextEditor.type('First line\nSecond line');
+    expect(await richTextEditor.getPlainText()).toMatch(/^First line\n+Second line$/);
+  });
+
+  test('should apply and report formatting from the toolbar', async ({ richTextEditor }) => {
+    await richTextEditor.setContent('Make this bold');
+
+    await richTextEditor.selectText('bold');
+    await richTextEditor.format('bold');
+
+    expect(await richTextEditor.getHtml()).toMatch(/Make this <(b|strong)>bold<\/(b|strong)>/);
+    expect(await richTextEditor.isFormatActive('bold')).toBe(true);
+    expect(await richTextEditor.isFormatActive('italic')).toBe(false);
+    expect(await richTextEditor.getElementPath()).toMatch(/(b|strong)$/);
+  });
+
+  test('should turn paragraphs into a list', async ({ richTextEditor }) => {
+    await richTextEditor.setContent('One\nTwo');
+
+    await richTextEditor.selectAll();
+    await richTextEditor.format('bulletList');
+
+    await expect(richTextEditor.body.locator('ul > li')).toHaveText(['One', 'Two']);
+    expect(await richTextEditor.isFormatActive('bulletList')).toBe(true);
+  });
+
+  test('should undo and redo a format', async ({ richTextEditor }) => {
+    await richTextEditor.setContent('Undo me');
+    await richTextEditor.selectAll();
+
+    await richTextEditor.format('bold');
+    expect(await richTextEditor.getHtml()).toMatch(BOLD);
+
+    await richTextEditor.undo();
+    expect(await richTextEditor.getHtml()).not.toMatch(BOLD);
+    expect(await richTextEditor.getPlainText()).toBe('Undo me');
+
+    await richTextEditor.redo();
+    expect(await richTextEditor.getHtml()).toMatch(BOLD);
+  });
+
+  test('should reject an unknown format', async ({ richTextEditor }) => {
+    await expect(richTextEditor.format('blink')).rejects.toThrow(/Unknown format "blink"/);
+  });
+});
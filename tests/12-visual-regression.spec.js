@@ -0,0 +1,63 @@
+/**
+ * Test: Visual Regression per page object
+ *
+ * Page objects declare named regions (ProductsPage: header, inventory,
+ * footer; CartPage: header, cart, footer) and the `visual` fixture compares
+ * each one with its baseline in
+ * tests/__screenshots__/<project>/<platform>/12-visual-regression.spec.js/.
+ * The test's `visual-report` attachment lists every region checked and
+ * which ones changed.
+ *
+ * A region without a baseline fails as missing. Record baselines with:
+ *
+ *   npx playwright test 12-visual --project=chromium --project="Mobile Chrome" --update-snapshots
+ *
+ * PLAYWRIGHT vs CYPRESS:
+ * - Playwright: one spec, one baseline set per browser project, no plugin
+ * - Cypress: visual testing needs a plugin or a hosted service, and its
+ *   baselines cover Chrome-family browsers and Firefox only
+ */
+
+const { test, expect } = require('../fixtures');
+const { PRODUCTS } = require('../test-data');
+
+test.describe('Visual Regression', { tag: '@visual' }, () => {
+  test('catalog matches its baselines', async ({ authenticatedPage, productsPage, visual }) => {
+    const results = await visual.check(productsPage);
+
+    expect(results.map(r => r.region)).toEqual(['ProductsPage-header', 'ProductsPage-inventory', 'ProductsPage-footer']);
+  });
+
+  test('cart with an item matches its baselines', async ({ authenticatedPage, productsPage, cartPage, visual }) => {
+    await productsPage.addProductToCart(PRODUCTS.backpack.name);
+    await cartPage.navigateToCart();
+
+    await visual.check(cartPage);
+  });
+
+  test('rejects a region the page object does not declare', async ({ productsPage, visual }) => {
+    await expect(visual.check(productsPage, { regions: ['sidebar'] }))
+      .rejects.toThrow('ProductsPage has no visual region "sidebar", expected one of: header, inventory, footer');
+  });
+});
+
+/**
+ * Persona check: every persona is compared with the chromium baselines,
+ * i.e. with what standard_user sees.
+ *
+ * visual_user gets a broken Backpack image, random prices, a displaced cart
+ * icon and a misaligned Checkout button; problem_user gets broken images.
+ */
+test.describe('Visual Regression per persona', { tag: ['@persona', '@visual'] }, () => {
+  test('catalog and cart look like the standard rendering', async ({ page, productsPage, cartPage, visual, persona }) => {
+    test.fail(!persona.expects.matchesStandardRendering, `${persona.username} has known visual defects`);
+
+    await page.goto('/inventory.html');
+    await productsPage.waitForProductsToLoad();
+    await visual.check(productsPage);
+
+    await productsPage.addProductToCart(PRODUCTS.backpack.name);
+    await cartPage.navigateToCart();
+    await visual.check(cartPage);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Test: Accessibility audits
+ *
+ * The `a11y` fixture (support/accessibility.js) runs axe-core's WCAG 2.1
+ * A/AA rules on a page, a page object or a single frame. Violations listed in
+ * config/a11y-known-issues.json show up as `a11y-warning` annotations; any
+ * other violation fails the test and is listed with its selectors.
+ *
+ * PLAYWRIGHT vs CYPRESS:
+ * - Playwright: one audit covers a frameset and every frame inside it
+ * - Cypress: cypress-axe checks the app window only; each iframe has to be
+ *   entered and injected separately
+ */
+
+const { test, expect } = require('../fixtures');
+const AccessibilityAuditor = require('../support/accessibility');
+
+const rules = audit => audit.violations.map(v => v.rule);
+
+test.describe('Accessibility', { tag: '@accessibility' }, () => {
+  test('login page has no violations', async ({ loginPage, a11y }) => {
+    await loginPage.navigateToLogin();
+
+    const audit = await a11y.audit(loginPage);
+    expect(audit.name).toBe('LoginPage');
+    expect(audit.violations).toEqual([]);
+  });
+
+  test('products page only has known issues', async ({ authenticatedPage, productsPage, a11y }) => {
+    const audit = await a11y.audit(productsPage);
+
+    expect(rules(audit)).toContain('select-name');
+    expect(audit.violations.every(v => v.known)).toBe(true);
+  });
+
+  test('inventory grid alone has no violations', async ({ authenticatedPage, productsPage, a11y }) => {
+    const grid = productsPage.within(authenticatedPage.locator('.inventory_list'));
+
+    const audit = await a11y.audit(grid, { name: 'inventory grid' });
+    expect(audit.violations).toEqual([]);
+  });
+
+  test('nested frames are audited frame by frame', async ({ internetPage, a11y }) => {
+    await internetPage.navigateToInternet('/nested_frames');
+
+    // The whole frameset: known issues of the page and its untitled frames
+    const frameset = await a11y.audit(internetPage);
+    expect(rules(frameset)).toContain('frame-title');
+
+    // One frame's document on its own
+    const left = await a11y.audit(internetPage.inFrame(...internetPage.nestedFrames.left), { name: 'left frame' });
+    expect(left.violations).toEqual([]);
+  });
+
+  test('editor iframe content has no violations', async ({ internetPage, richTextEditor, a11y }) => {
+    await internetPage.navigateToInternet('/iframe');
+    await richTextEditor.waitForReady();
+
+    await a11y.audit(richTextEditor);
+
+    const content = await a11y.audit(richTextEditor.contentFrame, { name: 'editor content' });
+    expect(content.violations).toEqual([]);
+  });
+});
+
+test.describe('Accessibility baseline', { tag: '@accessibility' }, () => {
+  const MARKUP = '<html lang="en"><title>Fixture</title><main><img src="logo.png"></main></html>';
+
+  test('fails on a violation that is not a known issue', async ({ page }, testInfo) => {
+    const auditor = new AccessibilityAuditor(page, testInfo, { knownIssues: [] });
+    await page.setContent(MARKUP);
+
+    const audit = await auditor.audit(page);
+    expect(audit.violations).toEqual([
+      expect.objectContaining({ rule: 'image-alt', impact: 'critical', known: false, nodes: [{ selector: 'img', known: false }] }),
+    ]);
+    expect(() => auditor.expectNoNewViolations()).toThrow(/\[critical\] image-alt on page/);
+  });
+
+  test('only warns about a known issue', async ({ page }, testInfo) => {
+    const knownIssues = [{ rule: 'image-alt', reason: 'Logo alt text is tracked separately' }];
+    const auditor = new AccessibilityAuditor(page, testInfo, { knownIssues });
+    await page.setContent(MARKUP);
+
+    const audit = await auditor.audit(page);
+    expect(audit.violations[0].known).toBe(true);
+    expect(() => auditor.expectNoNewViolations()).not.toThrow();
+    expect(testInfo.annotations).toContainEqual(expect.objectContaining({ type: 'a11y-warning' }));
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Test: Performance budgets
+ *
+ * The `perf` fixture measures page-object actions and fails a test whose
+ * actions go over the budgets in config/performance.js. Run per persona,
+ * that is enough to catch performance_glitch_user's slow login without a
+ * single hand-written timing assertion.
+ *
+ * PLAYWRIGHT vs CYPRESS:
+ * - Playwright: the same metrics come out of Chromium, Firefox and WebKit
+ *   projects, and long tasks where the browser supports them
+ * - Cypress: cy.lighthouse() and similar plugins work in Chrome only
+ */
+
+const { test, expect } = require('../fixtures');
+const PerformanceMonitor = require('../support/performance');
+const { analyze } = require('../support/perf-history');
+
+/**
+ * Persona check: logs in from scratch (the persona's saved session would skip
+ * the login page) and keeps every step within budget.
+ */
+test.describe('Performance per persona', { tag: ['@persona', '@performance'] }, () => {
+  test.use({ storageState: { cookies: [], origins: [] } });
+
+  test('login and catalog stay within budget', async ({ perf, loginPage, productsPage, cartPage, persona, browserErrors }) => {
+    const { loginDelayMs, sortWorks } = persona.expects;
+    test.fail(loginDelayMs > 0, `${persona.username} has a ${loginDelayMs / 1000} second login delay`);
+    if (!sortWorks) {
+      // Only the timing of the sort is measured here; 07-sorting checks its result
+      browserErrors.allow({ type: 'console', message: 'Sorting is broken!' }, `${persona.username} cannot sort`);
+    }
+
+    const login = perf.track(loginPage);
+    await login.navigateToLogin();
+    await login.login(persona.username, persona.password);
+
+    await perf.track(productsPage).sortBy('za');
+    await perf.track(cartPage).navigateToCart();
+
+    expect(perf.actions.map(action => action.name)).toEqual([
+      'LoginPage.navigateToLogin',
+      'LoginPage.login',
+      'ProductsPage.sortBy',
+      'CartPage.navigateToCart',
+    ]);
+  });
+});
+
+test.describe('Performance budgets', { tag: '@performance' }, () => {
+  test('reports every metric over budget', async ({ page }, testInfo) => {
+    const perf = new PerformanceMonitor(page, testInfo, {
+      budgets: { '*': { duration: 100, resourceCount: 0 } },
+    });
+    await page.setContent('<p>ready</p>');
+
+    await perf.measure('slow step', () => page.waitForTimeout(200));
+
+    expect(perf.getBudgetViolations()).toEqual([
+      { action: 'slow step', url: 'blank', metric: 'duration', value: expect.any(Number), limit: 100 },
+    ]);
+    expect(() => perf.expectWithinBudgets()).toThrow(/slow step \(blank\): duration \d+ > 100/);
+  });
+
+  test('does not measure synchronous page-object methods', async ({ perf, productsPage }) => {
+    const tracked = perf.track(productsPage);
+
+    expect(typeof tracked.locator('.inventory_list').click).toBe('function');
+    expect(perf.actions).toEqual([]);
+  });
+});
+
+/**
+ * The history analysis behind `npm run perf:trend` (support/perf-history.js)
+ * Pure functions over recorded runs - no browser needed.
+ */
+test.describe('Performance history', { tag: '@performance' }, () => {
+  const run = (day, duration) => ({
+    startedAt: `2026-01-${String(day).padStart(2, '0')}T00:00:00.000Z`,
+    environment: 'local',
+    samples: [{ test: 'login', project: 'chromium', action: 'LoginPage.login', metric: 'duration', value: duration }],
+  });
+  const baseline = [800, 820, 790, 810, 805, 815].map((duration, i) => run(i + 1, duration));
+
+  test('flags a significant slowdown against the rolling baseline', async () => {
+    const [row] = analyze([...baseline, run(7, 1600)]).rows;
+
+    expect(row).toMatchObject({ status: 'regression', baseline: 807.5, latest: 1600 });
+    expect(row.series).toHaveLength(7);
+  });
+
+  test('ignores noise and changes too small to matter', async () => {
+    expect(analyze([...baseline, run(7, 830)]).rows[0].status).toBe('stable');
+
+    // 40% slower and far outside the spread, but only 40 ms
+    const fast = [100, 101, 99, 100, 100, 101].map((duration, i) => run(i + 1, duration));
+    expect(analyze([...fast, run(7, 140)]).rows[0].status).toBe('stable');
+  });
+
+  test('does not judge a timing without enough history', async () => {
+    const { rows, baseline: compared } = analyze([run(1, 800), run(2, 2000)]);
+
+    expect(compared.runs).toBe(1);
+    expect(rows[0].status).toBe('new');
+  });
+
+  test('compares only runs of the same environment', async () => {
+    const staging = baseline.map(entry => ({ ...entry, environment: 'staging' }));
+
+    expect(analyze([...staging, run(7, 1600)]).rows[0].status).toBe('new');
+  });
+});
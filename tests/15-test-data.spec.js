@@ -0,0 +1,72 @@
+/**
+ * Test: Test data builders
+ *
+ * The catalog and persona definitions in test-data/ are what other specs
+ * assert against, so they are checked against the site itself; the seeded
+ * builders must give the same data for the same seed, every time.
+ *
+ * PLAYWRIGHT vs CYPRESS:
+ * - Playwright: the builders are plain functions, tested without a browser
+ *   in the same runner as the end-to-end tests
+ * - Cypress: code that runs outside the browser is exercised through cy.task()
+ */
+
+const { test, expect } = require('../fixtures');
+const { PERSONAS } = require('../config/personas');
+const { TestData, SeededRandom, CATALOG, USERS, seedFor, orderTotals, productNamed } = require('../test-data');
+
+test.describe('Test data', { tag: '@test-data' }, () => {
+  test('catalog matches the products on sale', async ({ authenticatedPage, productsPage }) => {
+    const items = await productsPage.getInventoryItems();
+
+    expect(items.map(({ name, price, detailLink }) => ({ name, price, id: Number(detailLink.split('id=')[1]) })))
+      .toEqual(CATALOG.map(({ name, price, id }) => ({ name, price, id })));
+  });
+
+  test('every persona with a saved session has a definition', async () => {
+    const canLogIn = Object.keys(USERS).filter(username => !USERS[username].expects.loginError);
+
+    expect(canLogIn.sort()).toEqual([...PERSONAS].sort());
+  });
+
+  test('the same seed builds the same data', async () => {
+    const build = seed => {
+      const data = new TestData(seed);
+      return { customer: data.customer(), products: data.products(3), product: data.product() };
+    };
+
+    expect(build(1234)).toEqual(build(1234));
+    expect(build(1234)).not.toEqual(build(4321));
+  });
+
+  test('each test gets its own seed from the run seed', async ({ testData }, testInfo) => {
+    expect(testData.seed).toBe(seedFor(testInfo));
+    expect(seedFor(testInfo, 1)).toBe(seedFor(testInfo, 1));
+    const otherTest = { project: testInfo.project, titlePath: [...testInfo.titlePath.slice(0, -1), 'another test'] };
+    expect(seedFor(otherTest, 1)).not.toBe(seedFor(testInfo, 1));
+
+    const annotation = testInfo.annotations.find(a => a.type === 'test-data');
+    expect(annotation.description).toMatch(/^seed \d+, replay with TEST_DATA_SEED=\d+$/);
+  });
+
+  test('customers fill every field and keep overrides', async ({ testData }) => {
+    const customer = testData.customer({ lastName: "O'Hara" });
+
+    expect(customer).toEqual({ firstName: expect.any(String), lastName: "O'Hara", postalCode: expect.any(String) });
+    expect(customer.firstName).not.toBe('');
+    expect(customer.postalCode).toMatch(/^(\d{5}|[A-Z]{1,2}\d{1,2}[A-Z]? \d[A-Z]{2})$/);
+  });
+
+  test('sampled products are distinct', async () => {
+    const random = new SeededRandom(7);
+
+    expect(new Set(random.sample(CATALOG, CATALOG.length)).size).toBe(CATALOG.length);
+    expect(() => random.sample(CATALOG, CATALOG.length + 1)).toThrow('Cannot sample 7 of 6 item(s)');
+  });
+
+  test('order totals add 8% tax rounded to cents', async () => {
+    const products = ['Sauce Labs Backpack', 'Sauce Labs Bike Light'].map(productNamed);
+
+    expect(orderTotals(products)).toEqual({ subtotal: 39.98, tax: 3.2, total: 43.18 });
+  });
+});
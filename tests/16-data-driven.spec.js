@@ -0,0 +1,151 @@
+/**
+ * Test: Data-driven scenarios from tables
+ *
+ * The scenarios are rows in test-data/tables/ - login.csv, sorting.csv and
+ * cart.json - and this spec only says how a row of each table is run
+ * (support/data-driven.js). Adding a login, sorting or cart scenario means
+ * adding a row; tags, skip, only and fail work per row.
+ *
+ * Rows run in every browser project, so the sorting table alone covers
+ * every persona x sort mode x device.
+ *
+ * PLAYWRIGHT vs CYPRESS:
+ * - Playwright: each row is its own test, with its own title, tags and
+ *   retries, and rows run in parallel
+ * - Cypress: rows become it() blocks only through a loop over a required
+ *   JSON file; CSV needs a parser plugin or a task
+ */
+
+const { test, expect } = require('../fixtures');
+const LoginPage = require('../pages/LoginPage');
+const ProductsPage = require('../pages/ProductsPage');
+const { environment } = require('../config/environment');
+const { generateTests, loadTable, readRows, parseCsv } = require('../support/data-driven');
+const { PRODUCTS, USERS, getPersona } = require('../test-data');
+
+const variables = { password: environment.password };
+
+/**
+ * Log in through the form as the row's persona
+ */
+async function logInAs(username, loginPage, productsPage) {
+  const { password } = getPersona(username);
+  await loginPage.navigateToLogin();
+  await loginPage.login(username, password);
+  await productsPage.waitForProductsToLoad();
+}
+
+const productName = key => PRODUCTS[key].name;
+
+test.describe('Login scenarios', { tag: '@auth' }, () => {
+  generateTests(test, loadTable('login.csv'), (row, details) => {
+    test(row.title, details, async ({ loginPage }) => {
+      await loginPage.navigateToLogin();
+      const result = await loginPage.tryLogin(row.username, row.password);
+
+      if (row.expected === 'success') {
+        expect(result).toEqual({ success: true, errorCode: null, message: null });
+      } else {
+        expect(result.errorCode, result.message).toBe(row.expected);
+      }
+    });
+  }, {
+    required: ['username', 'password', 'expected'],
+    allowed: { expected: ['success', ...Object.values(LoginPage.ERRORS)] },
+    variables,
+  });
+});
+
+test.describe('Sorting scenarios', { tag: '@catalog' }, () => {
+  generateTests(test, loadTable('sorting.csv'), (row, details) => {
+    test(row.title, details, async ({ loginPage, productsPage, browserErrors }) => {
+      if (!getPersona(row.persona).expects.sortWorks) {
+        browserErrors.allow({ type: 'console', message: 'Sorting is broken!' }, `${row.persona} cannot sort`);
+      }
+      await logInAs(row.persona, loginPage, productsPage);
+      await productsPage.sortBy(row.sort);
+
+      const { firstOutOfOrder, message } = await productsPage.verifySortOrder(row.sort);
+      if (row.expected === 'sorted') {
+        expect(firstOutOfOrder, message).toBeNull();
+      } else {
+        expect(firstOutOfOrder, `expected ${row.persona} to leave the list unsorted`).not.toBeNull();
+      }
+    });
+  }, {
+    required: ['persona', 'sort', 'expected'],
+    allowed: { persona: Object.keys(USERS), sort: Object.keys(ProductsPage.SORT_MODES), expected: ['sorted', 'unsorted'] },
+  });
+});
+
+test.describe('Cart scenarios', { tag: '@cart' }, () => {
+  generateTests(test, loadTable('cart.json'), (row, details) => {
+    test(row.title, details, async ({ loginPage, productsPage, cartPage, browserErrors }) => {
+      for (const { reason, ...match } of row.allowedErrors || []) {
+        browserErrors.allow(match, reason);
+      }
+      await logInAs(row.persona || 'standard_user', loginPage, productsPage);
+
+      await productsPage.addProductsToCart(row.add.map(productName));
+      for (const key of row.remove || []) {
+        await productsPage.removeProductFromCart(productName(key));
+      }
+
+      expect(await productsPage.getCartItemCount()).toBe(row.expectedCount);
+      await cartPage.navigateToCart();
+      expect(await cartPage.getItemNames()).toEqual(row.expectedItems.map(productName));
+    });
+  }, {
+    required: ['add', 'expectedCount', 'expectedItems'],
+    allowed: { persona: Object.keys(USERS) },
+  });
+});
+
+/**
+ * The table reader itself (support/data-driven.js) - no browser needed
+ */
+test.describe('Scenario tables', { tag: '@test-data' }, () => {
+  const table = (...rows) => ({ file: 'inline.csv', rows: rows.map((values, i) => ({ source: `inline.csv:${i + 2}`, values })) });
+
+  test('parses quoted cells, comments and blank lines', async () => {
+    const rows = parseCsv('# comment\r\ntitle,note\r\n\r\n"a, b","say ""hi""\nthere"\r\nc,\n');
+
+    expect(rows).toEqual([
+      { line: 4, values: { title: 'a, b', note: 'say "hi"\nthere' } },
+      { line: 6, values: { title: 'c', note: '' } },
+    ]);
+  });
+
+  test('reads the generator columns and substitutes variables', async () => {
+    const [row] = readRows(table({ title: 't', tags: 'smoke; @slow', skip: 'flaky on CI', only: '', fail: 'no', user: '{name}' }), {
+      variables: { name: 'standard_user' },
+    });
+
+    expect(row).toEqual({
+      title: 't',
+      source: 'inline.csv:2',
+      tags: ['@smoke', '@slow'],
+      skip: 'flaky on CI',
+      only: false,
+      fail: false,
+      params: { title: 't', user: 'standard_user' },
+    });
+  });
+
+  test('reports every problem of a table at once', async () => {
+    const broken = table(
+      { title: 'same', expected: 'success' },
+      { title: 'same', expected: 'maybe' },
+      { title: '', user: '{nobody}' },
+    );
+
+    expect(() => readRows(broken, { required: ['expected'], allowed: { expected: ['success'] } })).toThrow([
+      'Table inline.csv has 5 problem(s):',
+      '  - inline.csv:3: title "same" is already used by inline.csv:2',
+      '  - inline.csv:3: expected "maybe" is not one of: success',
+      '  - inline.csv:4: title is missing',
+      '  - inline.csv:4: unknown variable {nobody}',
+      '  - inline.csv:4: column "expected" is missing',
+    ].join('\n'));
+  });
+});
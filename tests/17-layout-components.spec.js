@@ -0,0 +1,94 @@
+/**
+ * Test: Shared layout components
+ *
+ * Every logged-in Sauce Demo page renders the same header, sidebar menu and
+ * footer. Page objects compose one component object for each
+ * (pages/components/Header.js, BurgerMenu.js, Footer.js), so these tests
+ * reach them through whichever page they are on.
+ *
+ * PLAYWRIGHT vs CYPRESS:
+ * - Playwright: productsPage.header and cartPage.header are the same kind of
+ *   object, checked with the same assertions on every page
+ * - Cypress: the same checks are repeated per page, or moved into custom
+ *   commands that know nothing about the page they run on
+ */
+
+const { test, expect } = require('../fixtures');
+const LoginPage = require('../pages/LoginPage');
+const { PRODUCTS } = require('../test-data');
+
+test.describe('Shared layout components', { tag: '@layout' }, () => {
+  test('header shows the title and cart badge on every page', async ({
+    authenticatedPage,
+    productsPage,
+    productDetailPage,
+    cartPage,
+    checkoutInformationPage,
+  }) => {
+    expect(await productsPage.header.getTitle()).toBe('Products');
+    expect(await productsPage.header.getCartItemCount()).toBe(0);
+
+    await productsPage.openProductDetail(PRODUCTS.onesie.name);
+    await productDetailPage.addToCart();
+    expect(await productDetailPage.header.getCartItemCount()).toBe(1);
+
+    await productDetailPage.header.openCart();
+    expect(await cartPage.header.getTitle()).toBe('Your Cart');
+    expect(await cartPage.header.getCartItemCount()).toBe(1);
+
+    await cartPage.checkout();
+    expect(await checkoutInformationPage.header.getTitle()).toBe('Checkout: Your Information');
+  });
+
+  test('menu opens, closes and lists its links', async ({ authenticatedPage, productsPage }) => {
+    const { menu } = productsPage;
+    expect(await menu.isOpen()).toBe(false);
+
+    expect(await menu.getItemLabels()).toEqual(['All Items', 'About', 'Logout', 'Reset App State']);
+    expect(await menu.isOpen()).toBe(true);
+    expect(await menu.getAboutUrl()).toMatch(/^https:\/\/saucelabs\.com/);
+
+    await menu.close();
+    expect(await menu.isOpen()).toBe(false);
+  });
+
+  test('All Items leads back to the catalog', async ({ authenticatedPage, cartPage, productsPage }) => {
+    await cartPage.navigateToCart();
+
+    await cartPage.menu.goToAllItems();
+    await productsPage.waitForProductsToLoad();
+    expect(await productsPage.header.getTitle()).toBe('Products');
+  });
+
+  test('Reset App State empties the cart and restores the sort order', async ({ authenticatedPage, productsPage, cartPage }) => {
+    await productsPage.addProductsToCart([PRODUCTS.backpack.name, PRODUCTS.onesie.name]);
+    await productsPage.sortBy('hilo');
+
+    await productsPage.menu.resetAppState();
+
+    expect(await productsPage.header.getCartItemCount()).toBe(0);
+    expect(await cartPage.getCartFromStorage()).toEqual([]);
+    expect((await productsPage.getSortState()).value).toBe('az');
+  });
+
+  test('Logout from any page ends the session', async ({ authenticatedPage, cartPage, loginPage, page }) => {
+    await cartPage.navigateToCart();
+
+    await cartPage.menu.logout();
+    await loginPage.expectVisible(loginPage.loginButton);
+
+    await page.goto('/inventory.html');
+    expect((await loginPage.getLoginError()).errorCode).toBe(LoginPage.ERRORS.NOT_LOGGED_IN);
+  });
+
+  test('footer lists the social links and the current year', async ({ authenticatedPage, productsPage }) => {
+    const links = await productsPage.footer.getSocialLinks();
+
+    expect(links.map(link => link.name)).toEqual(['Twitter', 'Facebook', 'LinkedIn']);
+    for (const link of links) {
+      expect(link.href).toMatch(/^https:\/\//);
+      expect(link.newTab).toBe(true);
+    }
+    expect(await productsPage.footer.getCopyrightYear()).toBe(new Date().getFullYear());
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Test: Isolation between tests
+ *
+ * Tests run fully parallel and persona tests share one saved storage state,
+ * so no test may depend on, or leave behind, a cart. support/isolation.js
+ * clears the app state before each test (per project: clear-storage or
+ * reset-app-state) and fails a test that leaves cookies or localStorage
+ * the next context could start from.
+ *
+ * PLAYWRIGHT vs CYPRESS:
+ * - Playwright: isolation is a fixture - set per project or per describe
+ *   with test.use({ isolation }), with its check at the fixture's teardown
+ * - Cypress: testIsolation is one switch for the whole run; a leftover
+ *   check has to live in an afterEach hook in the support file
+ */
+
+const { test, expect } = require('../fixtures');
+const LoginPage = require('../pages/LoginPage');
+const CartPage = require('../pages/CartPage');
+const StateIsolation = require('../support/isolation');
+const { environment } = require('../config/environment');
+const { PRODUCTS } = require('../test-data');
+
+const APP_ORIGIN = new URL(environment.sauceDemoURL).origin;
+
+/**
+ * A storage state logged in as standard_user, with these products in the cart
+ */
+function loggedInWithCart(products) {
+  return {
+    cookies: [{
+      name: LoginPage.SESSION_COOKIE,
+      value: 'standard_user',
+      domain: new URL(APP_ORIGIN).hostname,
+      path: '/',
+      expires: -1,
+      httpOnly: false,
+      secure: false,
+      sameSite: 'Lax',
+    }],
+    origins: [{
+      origin: APP_ORIGIN,
+      localStorage: [
+        { name: CartPage.CART_STORAGE_KEY, value: JSON.stringify(products.map(product => product.id)) },
+        { name: 'theme', value: 'dark' },
+      ],
+    }],
+  };
+}
+
+test.describe('Test isolation', { tag: '@isolation' }, () => {
+  test('storage states lose the cart but keep the session', async () => {
+    const state = StateIsolation.withoutAppStorage(loggedInWithCart([PRODUCTS.backpack]));
+
+    expect(state.cookies.map(cookie => cookie.name)).toEqual([LoginPage.SESSION_COOKIE]);
+    expect(state.origins[0].localStorage).toEqual([{ name: 'theme', value: 'dark' }]);
+  });
+
+  test('the cart a test fills is emptied when it ends', async ({ authenticatedPage, productsPage, cartPage, appState }) => {
+    await productsPage.addProductsToCart([PRODUCTS.backpack.name, PRODUCTS.onesie.name]);
+
+    await appState.cleanUp();
+
+    expect(await cartPage.getCartFromStorage()).toEqual([]);
+    expect(await appState.leftovers()).toEqual([]);
+  });
+
+  test('state the app does not own is reported', async ({ authenticatedPage, page, appState }) => {
+    await page.evaluate(() => window.localStorage.setItem('tour-seen', 'yes'));
+
+    expect(await appState.leftovers()).toEqual([`localStorage tour-seen on ${APP_ORIGIN} was added (yes)`]);
+
+    appState.allowLeftover('tour-seen', 'this test checks the report');
+    expect(await appState.leftovers()).toEqual([]);
+  });
+
+  test('an unknown mode is rejected', async ({}, testInfo) => {
+    expect(() => new StateIsolation(testInfo, { mode: 'sometimes' })).toThrow(
+      'Unknown isolation mode "sometimes", expected one of: clear-storage, reset-app-state, none',
+    );
+  });
+
+  test.describe('with Reset App State', () => {
+    test.use({
+      isolation: 'reset-app-state',
+      storageState: loggedInWithCart([PRODUCTS.backpack, PRODUCTS.boltTShirt]),
+    });
+
+    test('a saved cart is reset through the menu before the test', async ({ page, productsPage, cartPage }) => {
+      await expect(page).toHaveURL(/\/inventory\.html/);
+      expect(await productsPage.header.getCartItemCount()).toBe(0);
+      expect(await cartPage.getCartFromStorage()).toEqual([]);
+      expect(await productsPage.menu.isOpen()).toBe(false);
+    });
+  });
+});
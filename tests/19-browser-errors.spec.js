@@ -0,0 +1,133 @@
+/**
+ * Test: Console errors, uncaught exceptions and failed requests
+ *
+ * Every test's browser context is watched by the `browserErrors` fixture
+ * (support/browser-errors.js). What it hears ends up in the browser-errors
+ * attachment, and anything that is neither a known error
+ * (config/known-browser-errors.json) nor allowed by the test fails it.
+ *
+ * PLAYWRIGHT vs CYPRESS:
+ * - Playwright: one listener on the context covers popups and frames, and
+ *   the policy is a fixture option per project
+ * - Cypress: Cypress.on('uncaught:exception') only sees the app's window;
+ *   console errors and failed requests need their own spies and intercepts
+ */
+
+const http = require('http');
+const { test, expect } = require('../fixtures');
+const BrowserErrorCollector = require('../support/browser-errors');
+const { PRODUCTS, getPersona } = require('../test-data');
+
+test.describe('Browser errors', { tag: '@browser-errors' }, () => {
+  test('console errors, uncaught exceptions and failed requests are recorded', async ({ authenticatedPage, browserErrors }) => {
+    await authenticatedPage.evaluate(() => {
+      console.error('Checkout widget failed to load');
+      setTimeout(() => {
+        throw new Error('Cannot read the promo banner');
+      });
+      fetch('/api/promotions.json');
+    });
+
+    const unexpected = () => browserErrors.unexpected().map(({ type, message }) => `${type}: ${message}`);
+    await expect.poll(unexpected).toEqual(expect.arrayContaining([
+      'console: Checkout widget failed to load',
+      'pageerror: Cannot read the promo banner',
+      'request: 404 Not Found',
+    ]));
+
+    browserErrors.allow({ message: 'Checkout widget' }, 'logged by this test');
+    browserErrors.allow({ message: 'promo banner' }, 'thrown by this test');
+    browserErrors.allow({ url: '/api/promotions.json' }, 'the stand-in has no such endpoint');
+    expect(browserErrors.unexpected()).toEqual([]);
+  });
+
+  test('popups and frames report to the same collector', async ({ internetPage, page, browserErrors }) => {
+    await internetPage.navigateToInternet('/nested_frames');
+    await page.frame({ name: 'frame-bottom' }).evaluate(() => console.error('Error in a frame'));
+
+    await internetPage.navigateToInternet('/windows');
+    const popup = await internetPage.clickNewWindowLink();
+    await popup.evaluate(() => console.error('Error in a popup'));
+
+    const logged = message => browserErrors.entries.find(entry => entry.message === message);
+    await expect.poll(() => logged('Error in a popup')).toBeTruthy();
+    expect(logged('Error in a frame').page).toContain('/nested_frames');
+    expect(logged('Error in a popup').page).toContain('/windows/new');
+
+    browserErrors.allow({ type: 'console', message: /^Error in a (frame|popup)$/ }, 'logged by this test');
+    await internetPage.closePage(popup);
+  });
+
+  test('loads cancelled by a navigation are allowed, aborted requests are not', async ({ authenticatedPage, page, browserErrors }) => {
+    // A server that never answers keeps the frame loading until the page navigates away
+    const silent = http.createServer(() => {});
+    await new Promise(resolve => silent.listen(0, resolve));
+    await page.route('**/api/tracking.json', route => route.abort('aborted'));
+
+    try {
+      await Promise.all([
+        page.waitForRequest('**/widget.html'),
+        page.waitForEvent('requestfailed', request => request.url().endsWith('/api/tracking.json')),
+        page.evaluate(src => {
+          fetch('/api/tracking.json').catch(() => {});
+          document.body.append(Object.assign(document.createElement('iframe'), { src }));
+        }, `http://localhost:${silent.address().port}/widget.html`),
+      ]);
+      await page.goto('/cart.html');
+
+      const failed = url => browserErrors.report().entries.find(entry => entry.url.endsWith(url));
+      await expect.poll(() => failed('/widget.html')).toMatchObject({ cancelledByNavigation: true, allowed: expect.any(String) });
+      expect(failed('/api/tracking.json')).toMatchObject({ cancelledByNavigation: false, allowed: null });
+      browserErrors.allow({ url: '/api/tracking.json' }, 'aborted by this test');
+    } finally {
+      silent.closeAllConnections();
+      silent.close();
+    }
+  });
+
+  test("error_user's defects fail the test unless it allows them", async ({ loginPage, productsPage, browserErrors }) => {
+    const { username, password } = getPersona('error_user');
+    await loginPage.navigateToLogin();
+    await loginPage.login(username, password);
+    await productsPage.waitForProductsToLoad();
+
+    await productsPage.addProductToCart(PRODUCTS.boltTShirt.name);
+    await productsPage.addProductToCart(PRODUCTS.backpack.name);
+    await productsPage.removeProductFromCart(PRODUCTS.backpack.name);
+    await productsPage.sortBy('za');
+
+    const unexpected = () => browserErrors.unexpected().map(({ type, message }) => `${type}: ${message}`);
+    await expect.poll(unexpected).toEqual(expect.arrayContaining([
+      'console: Failed to add item to the cart.',
+      'pageerror: Failed to remove item from cart.',
+      expect.stringMatching(/^console: Sorting is broken!/),
+    ]));
+
+    // Allowed for this test only: the same errors from any other test still fail it
+    browserErrors.allow({ type: 'console', message: 'Failed to add item to the cart.' }, `${username} has broken Add to cart buttons`);
+    browserErrors.allow({ type: 'pageerror', message: 'Failed to remove item from cart.' }, `${username} cannot remove items`);
+    browserErrors.allow({ type: 'console', message: 'Sorting is broken!' }, `${username} cannot sort`);
+    expect(browserErrors.unexpected()).toEqual([]);
+  });
+
+  test('the policy decides which errors fail the test', async () => {
+    const testInfo = { annotations: [] };
+    const collector = new BrowserErrorCollector(testInfo, { policy: { console: 'warn', request: 'ignore' }, knownErrors: [] });
+
+    collector.record({ type: 'console', message: 'Deprecated API', url: 'http://localhost:3100/static/js/app.js' });
+    collector.record({ type: 'request', message: '404 Not Found', url: 'http://localhost:3100/missing.png' });
+    collector.record({ type: 'pageerror', message: 'Boom', url: 'http://localhost:3100/cart.html', page: 'http://localhost:3100/cart.html' });
+
+    expect(collector.entries.map(entry => entry.type)).toEqual(['console', 'pageerror']);
+    expect(() => collector.expectNoErrors()).toThrow(
+      '1 browser error(s) not in known-browser-errors.json:\n  - [pageerror] Boom (http://localhost:3100/cart.html)',
+    );
+    expect(testInfo.annotations).toEqual([
+      { type: 'browser-error-warning', description: '[console] Deprecated API (http://localhost:3100/static/js/app.js)' },
+    ]);
+
+    expect(() => new BrowserErrorCollector(testInfo, { policy: { console: 'sometimes' } })).toThrow(
+      'Unknown policy "sometimes" for console errors, expected one of: fail, warn, ignore',
+    );
+  });
+});
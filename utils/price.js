@@ -0,0 +1,28 @@
+/**
+ * Price helpers - turn the prices shown by Sauce Demo into numbers
+ */
+
+/**
+ * Parse the first dollar amount in a string
+ *
+ * parsePrice('$29.99')              // 29.99
+ * parsePrice('Item total: $37.98')  // 37.98
+ *
+ * @param {string} text
+ * @returns {number} the amount, or NaN when the text holds no amount
+ */
+function parsePrice(text) {
+  const match = /\$\s*(\d+(?:\.\d+)?)/.exec(text || '');
+  return match ? Number(match[1]) : NaN;
+}
+
+/**
+ * Round an amount to whole cents, the way the checkout does
+ *
+ * @param {number} amount
+ */
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+module.exports = { parsePrice, roundCents };